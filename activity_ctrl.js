@@ -0,0 +1,99 @@
+// activity_ctrl.js (Activity Log) - persistent record of commands, device messages and connection changes
+
+const Activity_Ctrl = (() => {
+    // --- Configuration ---
+    const STORAGE_KEY = 'acRemote.activityLog';
+    const MAX_ENTRIES = 1000; // Oldest entries are dropped first
+    const MAX_DETAIL_CHARS = 400;
+    const SAVE_DELAY_MS = 2000; // Writes are batched; a burst of status messages costs one localStorage write
+    const TYPES = ["command", "incoming", "connection"];
+
+    // --- State Variables ---
+    // Newest first: { id, at, type, deviceId, summary, detail, result, repeat, lastAt }
+    //   command:    summary = command type, result = "ack"|"sent"|"queued"|<error code>, detail = command JSON + transport
+    //   incoming:   summary = message type, detail = message JSON
+    //   connection: summary = "from → to", detail = the reason shown in the status bar
+    let entries = [];
+    let nextId = 1;
+    let saveTimerId = null;
+    let onEntryCallback = null;
+
+    // --- Private Helper Functions ---
+    const _error = (message, err = '') => console.error(`Activity_Ctrl ERROR: ${message}`, err);
+
+    function _save() {
+        saveTimerId = null;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            _error("Could not store the activity log.", error); // Quota: the in-memory log keeps working
+        }
+    }
+    function _scheduleSave() {
+        if (!saveTimerId) saveTimerId = setTimeout(_save, SAVE_DELAY_MS);
+    }
+    const _truncate = (text) => text.length > MAX_DETAIL_CHARS ? `${text.slice(0, MAX_DETAIL_CHARS)}…` : text;
+
+    // --- Public Interface ---
+    function init(callbacks = {}) {
+        onEntryCallback = callbacks.onEntry || null;
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            entries = Array.isArray(stored) ? stored.filter(e => e && TYPES.includes(e.type) && Number.isFinite(e.at)) : [];
+        } catch (error) {
+            _error("Stored activity log is unreadable; starting a new one.", error);
+            entries = [];
+        }
+        nextId = entries.reduce((max, e) => Math.max(max, e.id || 0), 0) + 1;
+        if (typeof window !== 'undefined') window.addEventListener('pagehide', () => { if (saveTimerId) { clearTimeout(saveTimerId); _save(); } });
+    }
+
+    // entry: { type, deviceId, summary, detail (string|object), result }. A message identical to the newest
+    // entry (e.g. an unchanged periodic status) only bumps that entry's repeat count and lastAt.
+    function record(entry) {
+        if (!TYPES.includes(entry.type)) { _error(`Unknown activity type "${entry.type}".`); return; }
+        const now = new Date().getTime();
+        const detail = _truncate(typeof entry.detail === 'string' ? entry.detail : JSON.stringify(entry.detail ?? ''));
+        const newest = entries[0];
+        if (newest && newest.type === entry.type && newest.deviceId === entry.deviceId && newest.summary === entry.summary && newest.detail === detail && newest.result === (entry.result ?? null)) {
+            newest.repeat = (newest.repeat || 1) + 1;
+            newest.lastAt = now;
+        } else {
+            entries.unshift({ id: nextId++, at: now, type: entry.type, deviceId: entry.deviceId ?? null, summary: entry.summary, detail, result: entry.result ?? null });
+            if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+        }
+        _scheduleSave();
+        if (onEntryCallback) {
+            try { onEntryCallback(entries[0]); } catch (e) { _error("onEntry callback failed.", e); }
+        }
+    }
+
+    // Newest first. filter: { types (array, all when empty), since (ts), deviceId }
+    function query(filter = {}) {
+        return entries.filter(e =>
+            (!filter.types || filter.types.length === 0 || filter.types.includes(e.type)) &&
+            (!filter.since || (e.lastAt || e.at) >= filter.since) &&
+            (!filter.deviceId || e.deviceId === filter.deviceId));
+    }
+
+    // JSON for bug reports: the matching entries with ISO timestamps, oldest first.
+    function exportJson(filter = {}) {
+        const rows = query(filter).slice().reverse().map(e => ({ ...e, time: new Date(e.at).toISOString() }));
+        return JSON.stringify({ exportedAt: new Date().toISOString(), filter, entries: rows }, null, 2);
+    }
+
+    function clear() {
+        entries = [];
+        clearTimeout(saveTimerId);
+        _save();
+    }
+
+    return {
+        TYPES,
+        init,
+        record,
+        query,
+        exportJson,
+        clear
+    };
+})();
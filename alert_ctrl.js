@@ -0,0 +1,120 @@
+// alert_ctrl.js (Threshold Alerts) - turns room readings, device status and nacks into debounced alerts
+
+const Alert_Ctrl = (() => {
+    // --- Configuration ---
+    const DEFAULT_CONFIG = {
+        roomTempHigh: { enabled: false, threshold: 30, minutes: 10 }, // Room above threshold °C for this many minutes
+        humidityHigh: { enabled: false, threshold: 70, minutes: 10 }, // Relative humidity above threshold % for this many minutes
+        deviceOffline: { enabled: false, minutes: 5 }, // Device reported offline (MQTT will message) for this many minutes
+        scheduleNack: { enabled: false }, // The device rejected a schedule change
+        cooldownMinutes: 30, // A condition alert is not repeated sooner than this, even if the condition clears and returns
+        quietHours: { enabled: false, start: "22:00", end: "07:00" } // Alerts in this window are recorded but not notified
+    };
+    // A condition only clears this far below its threshold, so readings hovering at the threshold do not re-arm it
+    const CLEAR_MARGIN = { roomTempHigh: 0.5, humidityHigh: 2 };
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    // --- State Variables ---
+    // deviceId -> { since: { rule: ts }, active: { rule: bool }, lastFiredAt: { rule: ts } }
+    const runtime = {};
+
+    // --- Private Helper Functions ---
+    const _log = (message) => console.log(`Alert_Ctrl: ${message}`);
+
+    function _runtimeFor(deviceId) {
+        if (!runtime[deviceId]) runtime[deviceId] = { since: {}, active: {}, lastFiredAt: {} };
+        return runtime[deviceId];
+    }
+    const _minutesOfDay = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+    // Debounce for "X for N minutes" rules: fires once when the condition has held for `minutes`, then not
+    // again until it clears, and never within the cooldown of the previous alert for the same rule.
+    function _checkCondition(rt, rule, { holds, cleared, minutes, startedAt }, now, cooldownMinutes) {
+        if (cleared) { delete rt.since[rule]; rt.active[rule] = false; return false; }
+        if (!holds) return false; // Inside the clear margin: keep whatever state the rule is in
+        if (!rt.since[rule]) rt.since[rule] = startedAt || now;
+        if (rt.active[rule] || now - rt.since[rule] < minutes * 60 * 1000) return false;
+        rt.active[rule] = true;
+        if (now - (rt.lastFiredAt[rule] || 0) < cooldownMinutes * 60 * 1000) return false;
+        rt.lastFiredAt[rule] = now;
+        return true;
+    }
+
+    // --- Public Interface ---
+    function getDefaultConfig() { return JSON.parse(JSON.stringify(DEFAULT_CONFIG)); }
+
+    function normalizeConfig(config) {
+        const stored = config || {};
+        const clamp = (value, min, max, fallback) => Number.isFinite(Number(value)) ? Math.min(max, Math.max(min, Number(value))) : fallback;
+        const rule = (name, limits) => {
+            const merged = { ...DEFAULT_CONFIG[name], ...(stored[name] || {}) };
+            const normalized = { enabled: merged.enabled === true };
+            if ('threshold' in DEFAULT_CONFIG[name]) normalized.threshold = clamp(merged.threshold, limits.min, limits.max, DEFAULT_CONFIG[name].threshold);
+            if ('minutes' in DEFAULT_CONFIG[name]) normalized.minutes = clamp(merged.minutes, 0, 24 * 60, DEFAULT_CONFIG[name].minutes);
+            return normalized;
+        };
+        const quiet = { ...DEFAULT_CONFIG.quietHours, ...(stored.quietHours || {}) };
+        return {
+            roomTempHigh: rule('roomTempHigh', { min: 0, max: 60 }),
+            humidityHigh: rule('humidityHigh', { min: 0, max: 100 }),
+            deviceOffline: rule('deviceOffline'),
+            scheduleNack: rule('scheduleNack'),
+            cooldownMinutes: clamp(stored.cooldownMinutes, 0, 24 * 60, DEFAULT_CONFIG.cooldownMinutes),
+            quietHours: {
+                enabled: quiet.enabled === true,
+                start: TIME_PATTERN.test(quiet.start) ? quiet.start : DEFAULT_CONFIG.quietHours.start,
+                end: TIME_PATTERN.test(quiet.end) ? quiet.end : DEFAULT_CONFIG.quietHours.end
+            }
+        };
+    }
+
+    // True inside the quiet window; a window like 22:00–07:00 runs past midnight.
+    function isQuietTime(config, date) {
+        if (!config.quietHours.enabled) return false;
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const start = _minutesOfDay(config.quietHours.start);
+        const end = _minutesOfDay(config.quietHours.end);
+        return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+    }
+
+    // input: { now, roomTemp (number|null), humidity (number|null), offlineSince (ts|null), nack ({ type, reason }|null) }
+    // roomTemp/humidity are null when the message carried no reading. Returns the alerts to raise now:
+    // [{ rule, title, body, at, quiet }], where quiet means inside quiet hours (record it, do not notify).
+    function evaluate(deviceId, config, input) {
+        const rt = _runtimeFor(deviceId);
+        const { now } = input;
+        const alerts = [];
+        const raise = (rule, title, body) => {
+            alerts.push({ rule, title, body, at: now, quiet: isQuietTime(config, new Date(now)) });
+            _log(`${deviceId}: ${rule} (${body})`);
+        };
+
+        const { roomTempHigh, humidityHigh, deviceOffline, scheduleNack, cooldownMinutes } = config;
+        if (roomTempHigh.enabled && Number.isFinite(input.roomTemp)) {
+            const condition = { holds: input.roomTemp > roomTempHigh.threshold, cleared: input.roomTemp <= roomTempHigh.threshold - CLEAR_MARGIN.roomTempHigh, minutes: roomTempHigh.minutes };
+            if (_checkCondition(rt, 'roomTempHigh', condition, now, cooldownMinutes)) raise('roomTempHigh', "Room too warm", `Room is ${input.roomTemp.toFixed(1)}°C, above ${roomTempHigh.threshold}°C for ${roomTempHigh.minutes} min.`);
+        }
+        if (humidityHigh.enabled && Number.isFinite(input.humidity)) {
+            const condition = { holds: input.humidity > humidityHigh.threshold, cleared: input.humidity <= humidityHigh.threshold - CLEAR_MARGIN.humidityHigh, minutes: humidityHigh.minutes };
+            if (_checkCondition(rt, 'humidityHigh', condition, now, cooldownMinutes)) raise('humidityHigh', "Room too humid", `Humidity is ${input.humidity.toFixed(0)}%, above ${humidityHigh.threshold}% for ${humidityHigh.minutes} min.`);
+        }
+        if (deviceOffline.enabled) {
+            const condition = { holds: !!input.offlineSince, cleared: !input.offlineSince, minutes: deviceOffline.minutes, startedAt: input.offlineSince };
+            if (_checkCondition(rt, 'deviceOffline', condition, now, cooldownMinutes)) raise('deviceOffline', "Device offline", `The device has reported offline for ${Math.round((now - input.offlineSince) / 60000)} min.`);
+        }
+        // Each rejection is its own event, so no debounce here
+        if (scheduleNack.enabled && input.nack) raise('scheduleNack', "Schedule rejected", `The device rejected "${input.nack.type.replace(/_nack$/, '')}": ${input.nack.reason || 'no reason given'}.`);
+        return alerts;
+    }
+
+    // Forgets debounce state, e.g. after the rules were edited.
+    function reset(deviceId) { delete runtime[deviceId]; }
+
+    return {
+        getDefaultConfig,
+        normalizeConfig,
+        isQuietTime,
+        evaluate,
+        reset
+    };
+})();
@@ -0,0 +1,160 @@
+// energy_ctrl.js (Energy & Runtime) - AC runtime per day by mode/fan speed, turned into kWh and cost estimates
+
+const Energy_Ctrl = (() => {
+    // --- Configuration ---
+    const STORAGE_KEY = 'acRemote.energy';
+    const DEFAULT_CONFIG = {
+        ratedWatts: { COOL: 900, DRY: 500, HEAT: 1000, FAN: 50 }, // Average electrical draw per mode, from the AC's label
+        tariff: 0.25, // Price per kWh
+        currency: "" // Shown before costs, e.g. "€"
+    };
+    const MODES = Object.keys(DEFAULT_CONFIG.ratedWatts);
+    const MAX_CREDIT_MS = 10 * 60 * 1000; // A longer gap means the page lost track (sleep, throttled tab); it is not counted
+    const RETENTION_DAYS = 400; // Enough for this month against last month, and a year back
+
+    // --- State Variables ---
+    let days = {}; // deviceId -> { "YYYY-MM-DD": { "MODE|FAN": seconds } }
+    const runtime = {}; // deviceId -> { state: { mode, fanSpeed } | null (off), since }
+
+    // --- Private Helper Functions ---
+    const _error = (message, err = '') => console.error(`Energy_Ctrl ERROR: ${message}`, err);
+
+    const _dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const _startOfDay = (ts) => { const d = new Date(ts); d.setHours(0, 0, 0, 0); return d; };
+    const _addDays = (date, count) => { const d = new Date(date); d.setDate(d.getDate() + count); return d; };
+
+    function _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(days));
+        } catch (error) {
+            _error("Could not store runtime totals.", error);
+        }
+    }
+
+    // Adds the time since the last credit to the running state, split at local midnight.
+    function _credit(deviceId, now) {
+        const rt = runtime[deviceId];
+        if (!rt) return;
+        const from = rt.since;
+        rt.since = now;
+        if (!rt.state || now <= from || now - from > MAX_CREDIT_MS) return;
+        const bucket = `${rt.state.mode}|${rt.state.fanSpeed}`;
+        if (!days[deviceId]) days[deviceId] = {};
+        let start = from;
+        while (start < now) {
+            const end = Math.min(now, _addDays(_startOfDay(start), 1).getTime());
+            const key = _dayKey(new Date(start));
+            const day = days[deviceId][key] || (days[deviceId][key] = {});
+            day[bucket] = (day[bucket] || 0) + (end - start) / 1000;
+            start = end;
+        }
+        _save();
+    }
+
+    function _summarize(deviceId, from, to, config) {
+        const summary = { seconds: 0, byMode: {}, byFan: {}, kwh: 0, cost: 0 };
+        for (let date = new Date(from); date < to; date = _addDays(date, 1)) {
+            const day = days[deviceId]?.[_dayKey(date)];
+            if (!day) continue;
+            Object.keys(day).forEach(bucket => {
+                const [mode, fanSpeed] = bucket.split('|');
+                const seconds = day[bucket];
+                summary.seconds += seconds;
+                summary.byMode[mode] = (summary.byMode[mode] || 0) + seconds;
+                summary.byFan[fanSpeed] = (summary.byFan[fanSpeed] || 0) + seconds;
+                summary.kwh += (seconds / 3600) * (config.ratedWatts[mode] || 0) / 1000;
+            });
+        }
+        summary.cost = summary.kwh * config.tariff;
+        return summary;
+    }
+
+    // [start, end) of the period containing `now` and of the one before it. Weeks start on Monday.
+    function _periodBounds(period, now) {
+        const today = _startOfDay(now);
+        if (period === 'week') {
+            const start = _addDays(today, -((today.getDay() + 6) % 7));
+            return { current: [start, _addDays(start, 7)], previous: [_addDays(start, -7), start] };
+        }
+        if (period === 'month') {
+            const start = new Date(today.getFullYear(), today.getMonth(), 1);
+            return { current: [start, new Date(today.getFullYear(), today.getMonth() + 1, 1)], previous: [new Date(today.getFullYear(), today.getMonth() - 1, 1), start] };
+        }
+        return { current: [today, _addDays(today, 1)], previous: [_addDays(today, -1), today] };
+    }
+
+    // --- Public Interface ---
+    function init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            days = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            _error("Stored runtime totals are unreadable; starting over.", error);
+            days = {};
+        }
+        const oldest = _dayKey(_addDays(_startOfDay(new Date().getTime()), -RETENTION_DAYS));
+        Object.values(days).forEach(deviceDays => Object.keys(deviceDays).forEach(key => { if (key < oldest) delete deviceDays[key]; }));
+    }
+
+    function getDefaultConfig() { return JSON.parse(JSON.stringify(DEFAULT_CONFIG)); }
+
+    function normalizeConfig(config) {
+        const stored = config || {};
+        const watts = {};
+        MODES.forEach(mode => {
+            const value = Number(stored.ratedWatts?.[mode]);
+            watts[mode] = Number.isFinite(value) && value >= 0 ? Math.min(value, 10000) : DEFAULT_CONFIG.ratedWatts[mode];
+        });
+        const tariff = Number(stored.tariff);
+        return {
+            ratedWatts: watts,
+            tariff: Number.isFinite(tariff) && tariff >= 0 ? tariff : DEFAULT_CONFIG.tariff,
+            currency: typeof stored.currency === 'string' ? stored.currency.trim().slice(0, 4) : DEFAULT_CONFIG.currency
+        };
+    }
+
+    // The AC state the device reported: { power (bool), mode, fanSpeed }. Time is credited to the previous state.
+    function observe(deviceId, state, now) {
+        _credit(deviceId, now);
+        runtime[deviceId] = { state: state.power ? { mode: state.mode, fanSpeed: state.fanSpeed } : null, since: now };
+    }
+
+    // Credits the running state up to now while the link is still live (no new status needed).
+    function tick(deviceId, now) { _credit(deviceId, now); }
+
+    // The link dropped: credit up to now and stop counting until the next reported state.
+    function pause(deviceId, now) {
+        _credit(deviceId, now);
+        delete runtime[deviceId];
+    }
+
+    // period: "day" | "week" | "month". Returns { current, previous, bounds }, where current covers the period so
+    // far and previous the whole period before it; each is { seconds, byMode, byFan, kwh, cost }.
+    function getReport(deviceId, period, config, now) {
+        _credit(deviceId, now); // Include the state that is running right now
+        const bounds = _periodBounds(period, now);
+        return {
+            current: _summarize(deviceId, ...bounds.current, config),
+            previous: _summarize(deviceId, ...bounds.previous, config),
+            bounds
+        };
+    }
+
+    function forgetDevice(deviceId) {
+        delete days[deviceId];
+        delete runtime[deviceId];
+        _save();
+    }
+
+    return {
+        MODES,
+        init,
+        getDefaultConfig,
+        normalizeConfig,
+        observe,
+        tick,
+        pause,
+        getReport,
+        forgetDevice
+    };
+})();
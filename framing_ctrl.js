@@ -0,0 +1,109 @@
+// framing_ctrl.js (BLE Message Framing) - splits messages into MTU-sized chunks and reassembles them
+
+const Framing_Ctrl = (() => {
+    // --- Configuration ---
+    // Chunk layout: [MARKER, message id, chunk index, chunk count, ...payload bytes]. A plain JSON
+    // notification starts with "{" (0x7B), so firmware that does not frame its output still gets through.
+    // Firmware that understands framing says so by reporting its negotiated MTU; only then are writes framed.
+    const MARKER = 0xFE;
+    const HEADER_BYTES = 4;
+    const ATT_OVERHEAD_BYTES = 3; // ATT opcode + handle in every write/notification
+    const MAX_CHUNKS = 255;
+    const REASSEMBLY_TIMEOUT_MS = 3000; // A message whose chunks stop arriving is dropped after this
+
+    // --- State Variables ---
+    let nextMessageId = 0;
+
+    // --- Private Helper Functions ---
+    const _encoder = new TextEncoder();
+    const _decoder = new TextDecoder('utf-8');
+    const _payloadSize = (mtu) => Math.max(1, mtu - ATT_OVERHEAD_BYTES - HEADER_BYTES);
+
+    function _concat(chunks) {
+        const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const bytes = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => { bytes.set(chunk, offset); offset += chunk.length; });
+        return bytes;
+    }
+
+    // --- Public Interface ---
+    // Returns the writes for one message. Without an mtu (the firmware has not reported one, so it may not
+    // understand framing) the message is one plain write, as before framing. With an mtu, a message that fits
+    // one ATT packet is still plain JSON and a longer one is split into framed chunks.
+    // Throws if the message needs more than MAX_CHUNKS chunks.
+    function encode(text, mtu = null) {
+        const bytes = _encoder.encode(text);
+        if (!mtu || bytes.length <= mtu - ATT_OVERHEAD_BYTES) return [bytes];
+        const payloadSize = _payloadSize(mtu);
+        const count = Math.ceil(bytes.length / payloadSize);
+        if (count > MAX_CHUNKS) throw new Error(`Message of ${bytes.length} bytes needs ${count} chunks (max ${MAX_CHUNKS})`);
+        const id = nextMessageId;
+        nextMessageId = (nextMessageId + 1) % 256;
+        const chunks = [];
+        for (let index = 0; index < count; index++) {
+            const payload = bytes.subarray(index * payloadSize, (index + 1) * payloadSize);
+            const chunk = new Uint8Array(HEADER_BYTES + payload.length);
+            chunk.set([MARKER, id, index, count]);
+            chunk.set(payload, HEADER_BYTES);
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    // One reassembler per link. callbacks: { onMessage(text), onError(problem, detail) }.
+    // Chunks may arrive in any order; duplicates are ignored, and a message with missing chunks is
+    // reported and dropped when a new message starts or the timeout passes.
+    function createReassembler(callbacks) {
+        let pending = null; // { id, count, chunks, received, timerId }
+
+        function drop(problem) {
+            if (!pending) return;
+            clearTimeout(pending.timerId);
+            const missing = [];
+            pending.chunks.forEach((chunk, index) => { if (!chunk) missing.push(index); });
+            callbacks.onError(problem, `Message ${pending.id}: got ${pending.received} of ${pending.count} chunks, missing ${missing.join(', ')}`);
+            pending = null;
+        }
+
+        function push(dataView) {
+            const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+            if (bytes.length === 0) return;
+            if (bytes[0] !== MARKER) { // Unframed message from older firmware
+                callbacks.onMessage(_decoder.decode(bytes));
+                return;
+            }
+            if (bytes.length < HEADER_BYTES) { callbacks.onError("bad chunk", `Chunk of ${bytes.length} bytes is shorter than its header`); return; }
+            const [, id, index, count] = bytes;
+            if (count === 0 || index >= count) { callbacks.onError("bad chunk", `Chunk ${index} of ${count} for message ${id}`); return; }
+
+            if (pending && (pending.id !== id || pending.count !== count)) drop("missing chunks");
+            if (!pending) pending = { id, count, chunks: new Array(count).fill(null), received: 0, timerId: null };
+            if (pending.chunks[index]) { callbacks.onError("duplicate chunk", `Chunk ${index} of message ${id} arrived twice`); return; }
+
+            pending.chunks[index] = bytes.slice(HEADER_BYTES);
+            pending.received++;
+            clearTimeout(pending.timerId);
+            if (pending.received < pending.count) {
+                pending.timerId = setTimeout(() => drop("timed out"), REASSEMBLY_TIMEOUT_MS);
+                return;
+            }
+            const text = _decoder.decode(_concat(pending.chunks));
+            pending = null;
+            callbacks.onMessage(text);
+        }
+
+        // Call when the link drops so a half-received message is not completed by the next connection.
+        function reset() {
+            if (pending) clearTimeout(pending.timerId);
+            pending = null;
+        }
+
+        return { push, reset };
+    }
+
+    return {
+        encode,
+        createReassembler
+    };
+})();
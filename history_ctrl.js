@@ -0,0 +1,211 @@
+// history_ctrl.js (Room Environment History) - IndexedDB storage for temperature/humidity readings
+
+const History_Ctrl = (() => {
+    // --- Configuration ---
+    const DB_NAME = "acRemoteHistory";
+    const DB_VERSION = 1;
+    const STORE_NAME = "readings";
+    const RAW_INTERVAL_MS = 30 * 1000; // At most one stored reading per device every 30 s
+    const RAW_RETENTION_MS = 24 * 60 * 60 * 1000; // Raw readings are kept for 24 h...
+    const BUCKET_MS = 10 * 60 * 1000; // ...then averaged into 10 minute buckets
+    const RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Nothing is kept longer than 30 days
+    const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+    // --- State Variables ---
+    let dbPromise = null;
+    let compactIntervalId = null;
+    const lastRecordedAt = {}; // deviceId -> timestamp of the last stored reading
+
+    // --- Private Helper Functions ---
+    const _log = (message) => console.log(`History_Ctrl: ${message}`);
+    const _error = (message, err = '') => console.error(`History_Ctrl ERROR: ${message}`, err);
+
+    const _requestToPromise = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const _transactionDone = (tx) => new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+
+    function _open() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("IndexedDB is not available in this browser."));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+                store.createIndex("device_ts", ["deviceId", "ts"]);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(error => _error("Could not open history database.", error));
+        return dbPromise;
+    }
+
+    // --- Public Interface ---
+    function init() {
+        _open().then(() => {
+            _log("History database ready.");
+            compact();
+            if (!compactIntervalId) compactIntervalId = setInterval(compact, COMPACT_INTERVAL_MS);
+        }).catch(() => { /* Logged in _open(); history stays unavailable */ });
+    }
+
+    // Stores a reading unless one was stored for the same device less than RAW_INTERVAL_MS ago.
+    // reading: { temp, humidity, power: "ON"|"OFF", mode }
+    async function record(deviceId, reading) {
+        const now = new Date().getTime();
+        if (now - (lastRecordedAt[deviceId] || 0) < RAW_INTERVAL_MS) return false;
+        lastRecordedAt[deviceId] = now;
+        try {
+            const db = await _open();
+            const tx = db.transaction(STORE_NAME, "readwrite");
+            tx.objectStore(STORE_NAME).add({
+                deviceId, ts: now,
+                temp: reading.temp, humidity: reading.humidity,
+                tempMin: reading.temp, tempMax: reading.temp, humidityMin: reading.humidity, humidityMax: reading.humidity,
+                power: reading.power, mode: reading.mode, samples: 1, aggregated: false
+            });
+            await _transactionDone(tx);
+            return true;
+        } catch (error) {
+            _error("Failed to store reading.", error);
+            return false;
+        }
+    }
+
+    async function query(deviceId, fromTs, toTs = new Date().getTime()) {
+        const db = await _open();
+        const index = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).index("device_ts");
+        return _requestToPromise(index.getAll(IDBKeyRange.bound([deviceId, fromTs], [deviceId, toTs])));
+    }
+
+    // Deletes every stored reading of a device that was removed from the dashboard.
+    async function forgetDevice(deviceId) {
+        delete lastRecordedAt[deviceId];
+        try {
+            const db = await _open();
+            const tx = db.transaction(STORE_NAME, "readwrite");
+            const index = tx.objectStore(STORE_NAME).index("device_ts");
+            const cursorRequest = index.openKeyCursor(IDBKeyRange.bound([deviceId, -Infinity], [deviceId, Infinity]));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                tx.objectStore(STORE_NAME).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            await _transactionDone(tx);
+        } catch (error) {
+            _error("Failed to delete device history.", error);
+        }
+    }
+
+    // Drops readings past RETENTION_MS and folds raw readings older than RAW_RETENTION_MS into
+    // BUCKET_MS averages. Only whole buckets are folded, so each bucket ends up as a single record.
+    async function compact() {
+        try {
+            const db = await _open();
+            const now = new Date().getTime();
+            const deleteBefore = now - RETENTION_MS;
+            const foldBefore = Math.floor((now - RAW_RETENTION_MS) / BUCKET_MS) * BUCKET_MS;
+            const buckets = new Map();
+            let deleted = 0;
+
+            const tx = db.transaction(STORE_NAME, "readwrite");
+            const store = tx.objectStore(STORE_NAME);
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.openCursor();
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) { resolve(); return; }
+                    const r = cursor.value;
+                    if (r.ts < deleteBefore) {
+                        cursor.delete(); deleted++;
+                    } else if (!r.aggregated && r.ts < foldBefore) {
+                        const bucketStart = Math.floor(r.ts / BUCKET_MS) * BUCKET_MS;
+                        const key = `${r.deviceId}|${bucketStart}`;
+                        if (!buckets.has(key)) buckets.set(key, { deviceId: r.deviceId, bucketStart, readings: [] });
+                        buckets.get(key).readings.push(r);
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+            });
+            buckets.forEach(({ deviceId, bucketStart, readings }) => {
+                const temps = readings.map(r => r.temp).filter(Number.isFinite);
+                const hums = readings.map(r => r.humidity).filter(Number.isFinite);
+                const lastOn = [...readings].reverse().find(r => r.power === "ON");
+                const avg = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+                store.add({
+                    deviceId, ts: bucketStart + BUCKET_MS / 2,
+                    temp: avg(temps), humidity: avg(hums),
+                    tempMin: temps.length ? Math.min(...temps) : null, tempMax: temps.length ? Math.max(...temps) : null,
+                    humidityMin: hums.length ? Math.min(...hums) : null, humidityMax: hums.length ? Math.max(...hums) : null,
+                    power: lastOn ? "ON" : "OFF", mode: lastOn ? lastOn.mode : readings[readings.length - 1].mode,
+                    samples: readings.length, aggregated: true
+                });
+            });
+            await _transactionDone(tx);
+            if (deleted || buckets.size) _log(`Compacted history: ${deleted} expired, ${buckets.size} bucket(s) folded.`);
+        } catch (error) {
+            _error("History compaction failed.", error);
+        }
+    }
+
+    // Averages readings into `bucketCount` equal slots between fromTs and toTs for charting.
+    // Empty slots are returned with value null so charts can show gaps.
+    function downsample(records, metric, fromTs, toTs, bucketCount) {
+        const width = (toTs - fromTs) / bucketCount;
+        const slots = Array.from({ length: bucketCount }, (_, i) => ({ ts: fromTs + (i + 0.5) * width, sum: 0, weight: 0, power: "OFF", mode: null }));
+        records.forEach(r => {
+            const value = r[metric];
+            if (!Number.isFinite(value)) return;
+            const slot = slots[Math.min(bucketCount - 1, Math.max(0, Math.floor((r.ts - fromTs) / width)))];
+            slot.sum += value * r.samples; slot.weight += r.samples;
+            if (r.power === "ON") { slot.power = "ON"; slot.mode = r.mode; }
+        });
+        return slots.map(s => ({ ts: s.ts, value: s.weight ? s.sum / s.weight : null, power: s.power, mode: s.mode }));
+    }
+
+    function stats(records, metric) {
+        const values = records.filter(r => Number.isFinite(r[metric]));
+        if (!values.length) return null;
+        const totalSamples = values.reduce((sum, r) => sum + r.samples, 0);
+        return {
+            min: Math.min(...values.map(r => r[`${metric}Min`] ?? r[metric])),
+            max: Math.max(...values.map(r => r[`${metric}Max`] ?? r[metric])),
+            avg: values.reduce((sum, r) => sum + r[metric] * r.samples, 0) / totalSamples
+        };
+    }
+
+    // devices: [{ id, name }]. Returns CSV text with one row per stored record, oldest first.
+    async function exportCsv(devices, fromTs) {
+        const fmt = (v) => Number.isFinite(v) ? v.toFixed(1) : "";
+        const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+        const rows = ["device,timestamp,room_temp_c,humidity_pct,ac_power,ac_mode,samples"];
+        for (const device of devices) {
+            const records = await query(device.id, fromTs);
+            records.forEach(r => rows.push([quote(device.name), new Date(r.ts).toISOString(), fmt(r.temp), fmt(r.humidity), r.power || "", r.mode || "", r.samples].join(",")));
+        }
+        return rows.join("\r\n");
+    }
+
+    return {
+        init,
+        record,
+        query,
+        forgetDevice,
+        compact,
+        downsample,
+        stats,
+        exportCsv
+    };
+})();
@@ -11,32 +11,130 @@ if (typeof Paho === 'undefined' || typeof Paho.Client === 'undefined') {
         publish: () => { return false; },
         isBrokerConnected: () => false,
         isFullyConnected: () => false,
-        forceDeviceOnlineConfirmation: () => {}
+        forceDeviceOnlineConfirmation: () => {},
+        reconfigure: () => false,
+        testConnection: () => { console.error("MQTT_Ctrl disabled: Paho library missing."); },
+        getDefaultSettings: () => ({}),
+        getSettings: () => ({}),
+        isReconnecting: () => false,
+        enqueue: () => 0,
+        getOutbox: () => [],
+        clearOutbox: () => {},
+        forgetOutbox: () => {}
     };
 } else {
 
 const MQTT_Ctrl = (() => {
     // --- Configuration ---
-    const MQTT_BROKER_HOST = "broker.hivemq.com";
-    const MQTT_BROKER_PORT = 8884; // Secure WebSocket Port
-    const MQTT_USE_SSL = true;
-    const MQTT_COMMAND_TOPIC = "ac_remote/SANKAR_AC_BLE_MQTT/command_to_esp32";
-    const MQTT_STATUS_TOPIC = "ac_remote/SANKAR_AC_BLE_MQTT/status_from_esp32";
-    const MQTT_DEVICE_READY_TOPIC = "ac_remote/SANKAR_AC_BLE_MQTT/esp32_ready";
+    // Defaults only; the settings saved by the user are passed in through init() / reconfigure().
+    const DEFAULT_SETTINGS = {
+        host: "broker.hivemq.com",
+        port: 8884, // Secure WebSocket Port
+        path: "/mqtt",
+        useSSL: true,
+        username: "",
+        password: "",
+        clientIdPrefix: "AC_WebApp_",
+        topicPrefix: "ac_remote",
+        deviceTopic: "SANKAR_AC_BLE_MQTT" // Per-device namespace, supplied by the device registry in js7.js
+    };
     const DEVICE_READY_TIMEOUT_MS = 10000; // 10 seconds to wait for "online" message
+    const TEST_CONNECTION_TIMEOUT_MS = 8000; // Broker connect + retained "online" check for testConnection()
+    const OUTBOX_STORAGE_KEY_PREFIX = "acRemote.mqttOutbox.";
+    const OUTBOX_MAX_AGE_MS = 12 * 60 * 60 * 1000; // Queued commands older than this are dropped instead of replayed
 
     // --- State Variables ---
+    let settings = { ...DEFAULT_SETTINGS };
     let client = null;
     let connectedToBroker = false;
     let esp32ConfirmedOnline = false;
     let onDataReceivedCallback = null;
     let onConnectionStatusChangeCallback = null;
     let deviceReadyTimeoutId = null;
+    let reconnecting = false; // Paho is re-establishing a dropped session on its own (reconnect: true)
+    let outbox = []; // [{ key, command, queuedAt }] waiting for the device to come back online
+    let flushing = false; // A replay is in progress; a second "online" must not send the same entries again
+    let onOutboxChangeCallback = null;
+    let sealPayloadCallback = null; // Optional async jsonString -> payload (signing/encryption) applied to every publish
 
     // --- Private Helper Functions ---
     const _log = (message) => console.log(`MQTT_Ctrl: ${message}`);
     const _error = (message, err = '') => console.error(`MQTT_Ctrl ERROR: ${message}`, err);
     
+    const _mergeSettings = (overrides = {}) => {
+        const merged = { ...DEFAULT_SETTINGS };
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (overrides[key] !== undefined && overrides[key] !== null) merged[key] = overrides[key];
+        });
+        merged.port = parseInt(merged.port, 10) || DEFAULT_SETTINGS.port;
+        merged.useSSL = !!merged.useSSL;
+        merged.path = merged.path.startsWith('/') ? merged.path : `/${merged.path}`;
+        merged.topicPrefix = merged.topicPrefix.replace(/\/+$/, '');
+        return merged;
+    };
+    const _topicsFor = (cfg) => ({
+        command: `${cfg.topicPrefix}/${cfg.deviceTopic}/command_to_esp32`,
+        status: `${cfg.topicPrefix}/${cfg.deviceTopic}/status_from_esp32`,
+        ready: `${cfg.topicPrefix}/${cfg.deviceTopic}/esp32_ready`
+    });
+    const _connectOptionsFor = (cfg, onSuccess, onFailure) => {
+        const options = { onSuccess, onFailure, useSSL: cfg.useSSL, timeout: 10 };
+        // Paho rejects a password without a user name, so only send credentials when a user name is set.
+        if (cfg.username) {
+            options.userName = cfg.username;
+            options.password = cfg.password;
+        }
+        return options;
+    };
+
+    // --- Outbox (commands held while the broker or device is unavailable) ---
+    // Persisted per device namespace so queued commands survive a page reload.
+    const _outboxStorageKey = () => `${OUTBOX_STORAGE_KEY_PREFIX}${settings.topicPrefix}/${settings.deviceTopic}`;
+    // Only the latest AC state and the latest state of each relay matter; other commands are kept individually.
+    const _coalesceKeyFor = (command) => {
+        if (command.type === "ac_fan") return "ac_fan";
+        if (command.type === "relay") return `relay:${command.relay}`;
+        return `${command.type}:${command.req_id || new Date().getTime()}`;
+    };
+    const _loadOutbox = () => {
+        try {
+            outbox = JSON.parse(localStorage.getItem(_outboxStorageKey()) || "[]");
+        } catch (error) {
+            _error("Could not read stored outbox.", error);
+            outbox = [];
+        }
+        if (onOutboxChangeCallback) onOutboxChangeCallback(outbox.length);
+    };
+    const _saveOutbox = () => {
+        try {
+            if (outbox.length) localStorage.setItem(_outboxStorageKey(), JSON.stringify(outbox));
+            else localStorage.removeItem(_outboxStorageKey());
+        } catch (error) {
+            _error("Could not persist outbox.", error);
+        }
+        if (onOutboxChangeCallback) onOutboxChangeCallback(outbox.length);
+    };
+    const _flushOutbox = async () => {
+        if (flushing || !outbox.length) return;
+        flushing = true;
+        const cutoff = new Date().getTime() - OUTBOX_MAX_AGE_MS;
+        const before = outbox.length;
+        outbox = outbox.filter(entry => entry.queuedAt >= cutoff);
+        if (outbox.length < before) _log(`Dropping ${before - outbox.length} expired queued command(s).`);
+        _log(`Replaying ${outbox.length} queued command(s)...`);
+        try {
+            while (outbox.length) {
+                const entry = outbox[0];
+                if (!await publish(JSON.stringify(entry.command))) break; // Keep the rest for the next "online"
+                // Entries queued or coalesced during the await stay; only the one just sent is removed.
+                outbox = outbox.filter(queued => queued !== entry);
+            }
+        } finally {
+            flushing = false;
+            _saveOutbox();
+        }
+    };
+
     const _updateAndNotifyStatus = (broker, device, message) => {
         connectedToBroker = broker;
         esp32ConfirmedOnline = device;
@@ -48,13 +146,16 @@ const MQTT_Ctrl = (() => {
     // --- Paho Event Handlers ---
     const onConnectSuccess = () => {
         _log("Successfully connected to MQTT broker.");
+        reconnecting = false;
+        clearTimeout(deviceReadyTimeoutId);
         _updateAndNotifyStatus(true, false, "Awaiting Device...");
         
         try {
-            client.subscribe(MQTT_STATUS_TOPIC);
-            client.subscribe(MQTT_DEVICE_READY_TOPIC);
-            _log(`Subscribed to: ${MQTT_STATUS_TOPIC}`);
-            _log(`Subscribed to: ${MQTT_DEVICE_READY_TOPIC}`);
+            const topics = _topicsFor(settings);
+            client.subscribe(topics.status);
+            client.subscribe(topics.ready);
+            _log(`Subscribed to: ${topics.status}`);
+            _log(`Subscribed to: ${topics.ready}`);
             
             // Set a timeout to check if the device reports "online"
             deviceReadyTimeoutId = setTimeout(() => {
@@ -75,24 +176,38 @@ const MQTT_Ctrl = (() => {
 
     const onConnectionLost = (responseObject) => {
         _error(`MQTT connection lost: ${responseObject.errorMessage}`);
+        clearTimeout(deviceReadyTimeoutId);
+        if (responseObject.errorCode !== 0) {
+            // Unexpected drop: Paho retries on its own, and commands are queued in the outbox meanwhile.
+            reconnecting = true;
+            _updateAndNotifyStatus(false, false, "MQTT Reconnecting...");
+            return;
+        }
         _updateAndNotifyStatus(false, false, "MQTT Disconnected");
     };
 
+    const onConnected = (isReconnect) => {
+        // Paho also calls onSuccess after an automatic reconnect, which already redoes the subscriptions and ready timeout.
+        if (isReconnect) _log("Automatic reconnect succeeded.");
+    };
+
     const onMessageArrived = (message) => {
         const topic = message.destinationName;
         const payload = message.payloadString;
+        const topics = _topicsFor(settings);
         _log(`Message arrived on topic: ${topic}`);
 
-        if (topic === MQTT_DEVICE_READY_TOPIC) {
+        if (topic === topics.ready) {
             if (payload === 'online') {
                 _log("Device is ONLINE.");
                 clearTimeout(deviceReadyTimeoutId);
                 _updateAndNotifyStatus(true, true, "MQTT Device Online");
+                _flushOutbox();
             } else {
                 _log("Device is OFFLINE.");
                 _updateAndNotifyStatus(true, false, "Device Offline");
             }
-        } else if (topic === MQTT_STATUS_TOPIC) {
+        } else if (topic === topics.status) {
             if (onDataReceivedCallback) {
                 onDataReceivedCallback(payload);
             }
@@ -100,28 +215,47 @@ const MQTT_Ctrl = (() => {
     };
 
     // --- Public Interface ---
-    function init(callbacks) {
-        if (client) {
-            _log("MQTT Controller already initialized.");
-            return true;
-        }
-        _log("Initializing MQTT Controller...");
-        onDataReceivedCallback = callbacks.onDataReceived;
-        onConnectionStatusChangeCallback = callbacks.onConnectionStatusChange;
-        const clientId = "AC_WebApp_" + new Date().getTime();
-        
+    function _createClient() {
+        const clientId = settings.clientIdPrefix + new Date().getTime();
         try {
-            client = new Paho.Client(MQTT_BROKER_HOST, MQTT_BROKER_PORT, "/mqtt", clientId);
+            client = new Paho.Client(settings.host, settings.port, settings.path, clientId);
             // DEFINITIVE FIX: Assign callbacks right after client creation.
             client.onMessageArrived = onMessageArrived;
             client.onConnectionLost = onConnectionLost;
+            client.onConnected = onConnected;
             return true;
         } catch (error) {
             _error("Failed to create Paho client.", error);
+            client = null;
             return false;
         }
     }
 
+    function init(callbacks, userSettings) {
+        if (client) {
+            _log("MQTT Controller already initialized.");
+            return true;
+        }
+        _log("Initializing MQTT Controller...");
+        onDataReceivedCallback = callbacks.onDataReceived;
+        onConnectionStatusChangeCallback = callbacks.onConnectionStatusChange;
+        onOutboxChangeCallback = callbacks.onOutboxChange || null;
+        sealPayloadCallback = callbacks.sealPayload || null;
+        settings = _mergeSettings(userSettings);
+        _loadOutbox();
+        return _createClient();
+    }
+
+    // Applies new broker/topic settings. An active session is closed first; the caller reconnects.
+    function reconfigure(userSettings) {
+        if (connectedToBroker || reconnecting) disconnect();
+        clearTimeout(deviceReadyTimeoutId);
+        settings = _mergeSettings(userSettings);
+        _loadOutbox(); // The device namespace may have changed
+        _log(`Reconfigured for ${settings.useSSL ? 'wss' : 'ws'}://${settings.host}:${settings.port}${settings.path}`);
+        return _createClient();
+    }
+
     function connect() {
         if (connectedToBroker) {
             _log("Already connected or connecting.");
@@ -135,17 +269,11 @@ const MQTT_Ctrl = (() => {
         _log("Attempting to connect...");
         _updateAndNotifyStatus(false, false, "MQTT Connecting...");
         
+        // No Last Will: the ready topic carries the firmware's own will, and a page's would mark a live board offline.
         const connectOptions = {
-            onSuccess: onConnectSuccess,
-            onFailure: onConnectFailure,
-            useSSL: MQTT_USE_SSL,
+            ..._connectOptionsFor(settings, onConnectSuccess, onConnectFailure),
             cleanSession: true,
-            reconnect: true,
-            timeout: 10,
-            willMessage: new Paho.Message("offline"),
-            willDestinationName: MQTT_DEVICE_READY_TOPIC,
-            willQos: 1,
-            willRetain: true
+            reconnect: true
         };
 
         try {
@@ -157,8 +285,10 @@ const MQTT_Ctrl = (() => {
     }
 
     function disconnect() {
-        if (!client || !connectedToBroker) return;
+        if (!client || (!connectedToBroker && !reconnecting)) return;
         _log("Disconnecting from MQTT broker.");
+        reconnecting = false;
+        clearTimeout(deviceReadyTimeoutId);
         try {
             client.disconnect();
         } catch (error) {
@@ -167,13 +297,24 @@ const MQTT_Ctrl = (() => {
         _updateAndNotifyStatus(false, false, "MQTT Disconnected");
     }
 
-    function publish(jsonString) {
+    // Resolves true once the message is handed to Paho.
+    async function publish(jsonString) {
         if (!isFullyConnected()) {
             _error("Cannot publish: Not fully connected.");
             return false;
         }
-        const message = new Paho.Message(jsonString);
-        message.destinationName = MQTT_COMMAND_TOPIC;
+        let payload = jsonString;
+        if (sealPayloadCallback) {
+            try {
+                payload = await sealPayloadCallback(jsonString);
+            } catch (error) {
+                _error("Could not seal payload.", error);
+                return false;
+            }
+            if (!isFullyConnected()) return false; // Dropped while signing
+        }
+        const message = new Paho.Message(payload);
+        message.destinationName = _topicsFor(settings).command;
         try {
             client.send(message);
             return true;
@@ -185,6 +326,31 @@ const MQTT_Ctrl = (() => {
     
     const isBrokerConnected = () => connectedToBroker;
     const isFullyConnected = () => connectedToBroker && esp32ConfirmedOnline;
+    const isReconnecting = () => reconnecting;
+
+    // Holds a command until the device reports "online" again. Returns the number of queued commands.
+    function enqueue(command) {
+        const key = _coalesceKeyFor(command);
+        outbox = outbox.filter(entry => entry.key !== key);
+        outbox.push({ key, command, queuedAt: new Date().getTime() });
+        _log(`Queued "${command.type}" for later delivery (${outbox.length} pending).`);
+        _saveOutbox();
+        return outbox.length;
+    }
+    const getOutbox = () => outbox.map(entry => ({ ...entry }));
+    function clearOutbox() {
+        outbox = [];
+        _saveOutbox();
+    }
+    // Drops the stored outbox of a device namespace that was removed from the registry.
+    function forgetOutbox(deviceTopic) {
+        if (deviceTopic === settings.deviceTopic) { clearOutbox(); return; }
+        try {
+            localStorage.removeItem(`${OUTBOX_STORAGE_KEY_PREFIX}${settings.topicPrefix}/${deviceTopic}`);
+        } catch (error) {
+            _error("Could not remove stored outbox.", error);
+        }
+    }
 
     function forceDeviceOnlineConfirmation() {
         if (isBrokerConnected() && !esp32ConfirmedOnline) {
@@ -194,6 +360,61 @@ const MQTT_Ctrl = (() => {
         }
     }
 
+    // Opens a throwaway client with the given settings and reports the outcome through the
+    // onConnectionStatusChange callback. The live connection state is left untouched.
+    function testConnection(candidateSettings) {
+        const cfg = _mergeSettings(candidateSettings);
+        const topics = _topicsFor(cfg);
+        const report = (message) => {
+            if (onConnectionStatusChangeCallback) {
+                onConnectionStatusChangeCallback(connectedToBroker, esp32ConfirmedOnline, message);
+            }
+        };
+        let testClient;
+        let finished = false;
+        let timeoutId = null;
+        const finish = (message) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timeoutId);
+            try { if (testClient.isConnected()) testClient.disconnect(); } catch (e) { /* already closed */ }
+            _log(message);
+            report(message);
+        };
+
+        _log(`Testing connection to ${cfg.host}:${cfg.port}${cfg.path}...`);
+        try {
+            testClient = new Paho.Client(cfg.host, cfg.port, cfg.path, `${cfg.clientIdPrefix}test_${new Date().getTime()}`);
+        } catch (error) {
+            _error("Test client could not be created.", error);
+            report(`MQTT Test Failed: ${error.message}`);
+            return;
+        }
+        // The device publishes a retained "online"/"offline" on its ready topic, so a subscription
+        // tells us right away whether it is reachable.
+        testClient.onMessageArrived = (message) => {
+            if (message.destinationName !== topics.ready) return;
+            finish(message.payloadString === 'online'
+                ? "MQTT Test Passed: Broker reachable and device online."
+                : "MQTT Test Passed: Broker reachable, device reports offline.");
+        };
+        timeoutId = setTimeout(() => {
+            finish(testClient.isConnected()
+                ? "MQTT Test Passed: Broker reachable, no device status received."
+                : "MQTT Test Failed: Broker did not respond in time.");
+        }, TEST_CONNECTION_TIMEOUT_MS);
+        try {
+            testClient.connect(_connectOptionsFor(cfg,
+                () => testClient.subscribe(topics.ready),
+                (responseObject) => finish(`MQTT Test Failed: ${responseObject.errorMessage}`)));
+        } catch (error) {
+            finish(`MQTT Test Failed: ${error.message}`);
+        }
+    }
+
+    const getDefaultSettings = () => ({ ...DEFAULT_SETTINGS });
+    const getSettings = () => ({ ...settings });
+
     return {
         init,
         connect,
@@ -201,7 +422,16 @@ const MQTT_Ctrl = (() => {
         publish,
         isBrokerConnected,
         isFullyConnected,
-        forceDeviceOnlineConfirmation
+        forceDeviceOnlineConfirmation,
+        reconfigure,
+        testConnection,
+        getDefaultSettings,
+        getSettings,
+        isReconnecting,
+        enqueue,
+        getOutbox,
+        clearOutbox,
+        forgetOutbox
     };
 })();
 }
@@ -7,57 +7,220 @@ document.addEventListener('DOMContentLoaded', () => {
     let bleService = null;
     let commandCharacteristic = null;
     let statusCharacteristic = null;
+    let lastBleDevice = null; // Board from the last BLE session; reconnected to without the chooser
+    let bleReconnect = null; // { device, background, attempt, timerId, inFlight } while auto-reconnecting
+    let bleMtu = null; // Negotiated MTU, reported by firmware that understands framing; until then each message is one plain write
+    let bleWriteChain = Promise.resolve(); // Tail of the serialized GATT write queue
     const BLE_SERVICE_UUID = "00948910-1cef-4307-86f6-b97aff6b26c5";
     const COMMAND_CHAR_UUID = "1afd03b2-83f0-4189-9793-f1b44a350de0";
     const STATUS_CHAR_UUID = "42e2cbf0-9c82-4519-b502-eb683d14a3d6";
 
     // --- Application State ---
-    const relayMapping = { relay1: "light", relay2: "fan", relay3: "aux" };
-    let currentTemp = 24, currentModeIndex = 0, isPowerOn = false;
     const acModes = [ { name: "COOL", icon: "fa-snowflake", color: "text-sky-400" }, { name: "DRY",  icon: "fa-water", color: "text-teal-400" }, { name: "HEAT", icon: "fa-sun", color: "text-yellow-400" }, { name: "FAN",  icon: "fa-fan", color: "text-gray-500" } ];
     const fanSpeedCycleOrder = ["LOW", "MEDIUM", "HIGH", "AUTO"];
     // Visuals for desktop and mobile can be same or different if UI desires
     const fanSpeedVisualDesktop = ["LOW", "MEDIUM", "HIGH", "AUTO"];
     const fanSpeedVisualMobile = ["LOW", "MEDIUM", "HIGH", "AUTO"];
-    let currentFanSpeed = fanSpeedCycleOrder[0];
-    let relayStates = { relay1: false, relay2: false, relay3: false };
-    let roomTemperature = 0, roomHumidity = 0;
-    let currentAutomationType = 'fixed';
-    let automationConfigs = { fixed: { temp: 24, modeIndex: 0, fan: fanSpeedCycleOrder[0], time: "00:00" }, oscillation: { temp: 24, modeIndex: 0, fan: fanSpeedCycleOrder[0], on_time: "00:00", off_time: "00:00" } };
-    let currentCommunicationMode = 'none'; // 'ble', 'mqtt', 'none', or 'mqtt_connecting'
+    let currentCommunicationMode = 'none'; // 'ble', 'lan', 'mqtt', 'sim', 'none', or '<mode>_connecting'
+    let connectionTransition = null; // Label shown while the connection manager switches transports on its own
+
+    // --- Device Registry & Per-Device State ---
+    // One entry per AC unit (each with its own ESP32). Only the active device is connected at a time,
+    // but every device keeps its own AC/relay/environment/automation state.
+    const DEVICES_STORAGE_KEY = 'acRemote.devices';
+    const DEFAULT_DEVICE = { id: 'ac_default', name: 'SANKAR AC', topic: 'SANKAR_AC_BLE_MQTT', bleDeviceId: null, bleName: null, lanHost: '' };
+    const deviceStates = {};
+    // Relay channels per device: { id, name, label, icon }. id goes into relay commands and name is the key the
+    // board uses in relay_states; both come from the board (state_request_ack). label and icon are the user's.
+    const RELAY_CHANNELS_STORAGE_KEY = 'acRemote.relayChannels';
+    const RELAY_ICONS = { lightbulb: 'text-yellow-400', fan: 'text-sky-400', plug: 'text-emerald-400', fire: 'text-orange-400', water: 'text-teal-400', tv: 'text-indigo-400', bolt: 'text-amber-400', 'power-off': 'text-gray-400' };
+    const DEFAULT_RELAY_CHANNELS = [
+        { id: 'relay1', name: 'LIGHT', label: 'Main Light', icon: 'lightbulb' },
+        { id: 'relay2', name: 'FAN', label: 'Room Fan', icon: 'fan' },
+        { id: 'relay3', name: 'AUX', label: 'Aux Outlet', icon: 'plug' }
+    ];
+    function loadRelayChannels(deviceId) {
+        const stored = loadStoredJson(RELAY_CHANNELS_STORAGE_KEY, {})[deviceId];
+        return Array.isArray(stored) ? stored : DEFAULT_RELAY_CHANNELS.map(c => ({ ...c }));
+    }
+    function saveRelayChannels(deviceId, channels) {
+        const all = loadStoredJson(RELAY_CHANNELS_STORAGE_KEY, {});
+        if (channels) all[deviceId] = channels; else delete all[deviceId];
+        saveStoredJson(RELAY_CHANNELS_STORAGE_KEY, all);
+    }
+    // Last state each device reported, so a reload (or an offline start) shows it until the device is reached.
+    const LAST_STATE_STORAGE_KEY = 'acRemote.lastState';
+    const LAST_STATE_FIELDS = ['isPowerOn', 'currentTemp', 'currentModeIndex', 'currentFanSpeed', 'relayStates', 'roomTemperature', 'roomHumidity', 'roomTempUpdatedAt', 'scheduleEntries', 'relaySchedules'];
+    let lastStateSaveTimer = null;
+    function restoreLastKnownState(state, deviceId) {
+        const saved = loadStoredJson(LAST_STATE_STORAGE_KEY, {})[deviceId];
+        if (!saved || !saved.state) return state;
+        LAST_STATE_FIELDS.forEach(field => { if (saved.state[field] !== undefined) state[field] = saved.state[field]; });
+        state.relayStates = Object.fromEntries(loadRelayChannels(deviceId).map(c => [c.id, !!saved.state.relayStates?.[c.id]]));
+        state.syncStatus = 'stale';
+        state.staleSince = saved.savedAt;
+        return state;
+    }
+    // Called for every message from the device; writes at most every few seconds.
+    function scheduleLastKnownStateSave() {
+        if (lastStateSaveTimer) return;
+        const deviceId = getActiveDevice().id;
+        const targetState = deviceState;
+        lastStateSaveTimer = setTimeout(() => {
+            lastStateSaveTimer = null;
+            const all = loadStoredJson(LAST_STATE_STORAGE_KEY, {});
+            all[deviceId] = { savedAt: Date.now(), state: Object.fromEntries(LAST_STATE_FIELDS.map(field => [field, targetState[field]])) };
+            saveStoredJson(LAST_STATE_STORAGE_KEY, all);
+        }, 3000);
+    }
+    function createDeviceState(deviceId) {
+        const now = new Date(); const cT = now.toTimeString().slice(0, 5); const oT = new Date(now.getTime() + 60 * 60 * 1000).toTimeString().slice(0, 5);
+        return {
+            isPowerOn: false, currentTemp: 24, currentModeIndex: 0, currentFanSpeed: fanSpeedCycleOrder[0],
+            relayStates: Object.fromEntries(loadRelayChannels(deviceId).map(c => [c.id, false])),
+            roomTemperature: 0, roomHumidity: 0, roomTempUpdatedAt: 0,
+            currentAutomationType: 'fixed',
+            automationConfigs: { fixed: { temp: 24, modeIndex: 0, fan: fanSpeedCycleOrder[0], time: cT }, oscillation: { temp: 24, modeIndex: 0, fan: fanSpeedCycleOrder[0], on_time: cT, off_time: oT },
+                sleep_curve: { start: '22:00', end: '07:00', modeIndex: 0, points: [{ offset_min: 0, temp: 22, fan: 'MEDIUM' }, { offset_min: 60, temp: 23, fan: 'MEDIUM' }, { offset_min: 120, temp: 24, fan: 'LOW' }, { offset_min: 180, temp: 25, fan: 'LOW' }, { offset_min: 240, temp: 26, fan: 'LOW' }] },
+                duty_cycle: { start: cT, limit: 'window', end: oT, cycles: 4, runMinutes: 30, restMinutes: 10, run: { modeIndex: 0, temp: 24, fan: 'MEDIUM' }, rest: { power: 'OFF', modeIndex: 3, temp: 24, fan: 'LOW' } } },
+            syncStatus: 'unknown', // 'unknown' | 'stale' | 'syncing' | 'synced' | 'failed': whether the UI reflects the device's reported state
+            staleSince: 0, // With 'stale': when the restored last-known state was saved
+            scheduleEntries: [], // Weekly entries held by the ESP32; filled by "Sync from Device" and kept in step by add/update/delete acks
+            relayTimers: {}, // relay id -> { value, endsAt }: countdowns running on the ESP32, as last reported
+            dutyCycle: null, // { phase, endsAt, cycle, cycles }: the duty cycle schedule's live phase, as last reported
+            relaySchedules: [] // Weekly on/off windows per relay, held by the ESP32 like scheduleEntries
+        };
+    }
+    function getDeviceState(deviceId) {
+        if (!deviceStates[deviceId]) deviceStates[deviceId] = restoreLastKnownState(createDeviceState(deviceId), deviceId);
+        return deviceStates[deviceId];
+    }
+    function loadDeviceRegistry() {
+        const stored = loadStoredJson(DEVICES_STORAGE_KEY, null);
+        if (!stored || !Array.isArray(stored.devices) || stored.devices.length === 0) {
+            return { devices: [{ ...DEFAULT_DEVICE }], activeDeviceId: DEFAULT_DEVICE.id };
+        }
+        const activeDeviceId = stored.devices.some(d => d.id === stored.activeDeviceId) ? stored.activeDeviceId : stored.devices[0].id;
+        return { devices: stored.devices, activeDeviceId };
+    }
+    function saveDeviceRegistry() { saveStoredJson(DEVICES_STORAGE_KEY, deviceRegistry); }
+    function getActiveDevice() { return deviceRegistry.devices.find(d => d.id === deviceRegistry.activeDeviceId); }
+    let deviceRegistry = loadDeviceRegistry();
+    let deviceState = getDeviceState(deviceRegistry.activeDeviceId); // State of the active device; all UI reads from here
 
     // --- DOM Elements ---
     const dom = {
         statusDot: document.getElementById('connectionStatusDot'),
         bleConnectButton: document.getElementById('bleConnectButton'),
+        outboxIndicator: document.getElementById('outboxIndicator'),
+        outboxCount: document.getElementById('outboxCount'),
+        deviceSwitcher: document.getElementById('deviceSwitcher'),
         mobilePageTitle: document.getElementById('mobilePageTitle'),
         mobileShutdownButton: document.getElementById('mobileShutdownButton'),
         desktopShutdownButton: document.getElementById('desktopShutdownButton'),
-        ac: {}, fanDesktop: { levels: {} }, relaysDesktop: {}, envDesktop: {},
-        acMobile: {}, fanMobile: { levels: {} }, relaysMobile: {}, envMobile: {},
+        ac: {}, fanDesktop: { levels: {} }, relaysDesktop: {}, envDesktop: {}, // relaysDesktop/relaysMobile: relay id -> checkbox, filled by renderRelayCards()
+        acMobile: {}, fanMobile: { levels: {} }, relaysMobile: {}, envMobile: {}, relayLists: {},
         mobileMenuButton: document.getElementById('mobileMenuButton'),
         closeMenuButton: document.getElementById('closeMenuButton'),
         mobileMenuDrawer: document.getElementById('mobileMenuDrawer'),
         menuOverlay: document.getElementById('menuOverlay'),
         mobileNavLinks: document.querySelectorAll('#mobileMenuDrawer .mobile-nav-link'),
         mobilePages: {},
+        envHistoryPanels: document.querySelectorAll('[data-env-history]'),
+        scheduleManagers: document.querySelectorAll('[data-schedule-manager]'),
+        stateSync: {
+            banner: document.getElementById('stateSyncBanner'),
+            message: document.getElementById('stateSyncMessage'),
+            retryButton: document.getElementById('stateSyncRetryButton'),
+            pushButton: document.getElementById('stateSyncPushButton')
+        },
+        thermostatPanels: document.querySelectorAll('[data-thermostat]'),
+        scenePanels: document.querySelectorAll('[data-scenes]'),
+        alertPanels: document.querySelectorAll('[data-alerts]'),
+        energyPanels: document.querySelectorAll('[data-energy]'),
+        sleepCurvePanels: document.querySelectorAll('[data-sleep-curve]'),
+        dutyCyclePanels: document.querySelectorAll('[data-duty-cycle]'),
+        dutyCycleBadges: document.querySelectorAll('[data-duty-badge]'),
+        scheduleEditor: {
+            modal: document.getElementById('scheduleEditorModal'),
+            form: document.getElementById('scheduleEditorForm'),
+            title: document.getElementById('scheduleEditorTitle'),
+            closeButton: document.getElementById('closeScheduleEditor'),
+            cancelButton: document.getElementById('cancelScheduleEditor')
+        },
+        relayEditor: {
+            modal: document.getElementById('relayTimerModal'),
+            title: document.getElementById('relayTimerTitle'),
+            closeButton: document.getElementById('closeRelayTimer'),
+            countdownForm: document.getElementById('relayCountdownForm'),
+            countdownStatus: document.getElementById('relayCountdownStatus'),
+            countdownCancel: document.getElementById('relayCountdownCancel'),
+            scheduleForm: document.getElementById('relayScheduleForm'),
+            scheduleList: document.getElementById('relayScheduleList'),
+            scheduleNew: document.getElementById('relayScheduleNew')
+        },
+        wifiWizard: {
+            modal: document.getElementById('wifiWizardModal'),
+            openButton: document.getElementById('wifiWizardOpenButton'),
+            closeButton: document.getElementById('closeWifiWizard'),
+            steps: document.querySelectorAll('#wifiWizardModal [data-wizard-step]'),
+            stepLabels: document.querySelectorAll('#wifiWizardModal [data-wizard-step-label]'),
+            networkList: document.getElementById('wifiNetworkList'),
+            scanButton: document.getElementById('wifiScanButton'),
+            manualButton: document.getElementById('wifiManualButton'),
+            form: document.getElementById('wifiCredentialsForm'),
+            backButton: document.getElementById('wifiBackButton'),
+            progress: document.getElementById('wifiJoinProgress'),
+            changeDetailsButton: document.getElementById('wifiChangeDetailsButton')
+        },
+        activityLog: {
+            modal: document.getElementById('activityLogModal'),
+            closeButton: document.getElementById('closeActivityLog'),
+            filterForm: document.getElementById('activityLogFilter'),
+            list: document.getElementById('activityLogList'),
+            clearButton: document.getElementById('activityLogClear'),
+            exportButton: document.getElementById('activityLogExport')
+        },
         automation: {},
         statusPopup: document.getElementById('statusPopup'),
         statusPopupMessage: document.getElementById('statusPopupMessage'),
-        closeStatusPopup: document.getElementById('closeStatusPopup')
+        closeStatusPopup: document.getElementById('closeStatusPopup'),
+        settings: {
+            openButton: document.getElementById('settingsButton'),
+            openMobile: document.getElementById('mobileSettingsLink'),
+            modal: document.getElementById('settingsModal'),
+            closeButton: document.getElementById('closeSettingsModal'),
+            mqttForm: document.getElementById('mqttSettingsForm'),
+            mqttTestButton: document.getElementById('mqttTestConnectionButton'),
+            mqttResetButton: document.getElementById('mqttResetDefaultsButton'),
+            commandForm: document.getElementById('commandSettingsForm'),
+            deviceList: document.getElementById('deviceList'),
+            addDeviceForm: document.getElementById('addDeviceForm'),
+            relayChannelList: document.getElementById('relayChannelList'),
+            protocolInfo: document.getElementById('protocolVersionInfo'),
+            diagnosticsList: document.getElementById('protocolDiagnosticsList'),
+            diagnosticsClearButton: document.getElementById('protocolDiagnosticsClear'),
+            activityLogOpenButton: document.getElementById('activityLogOpenButton'),
+            simForm: document.getElementById('simulatorSettingsForm'),
+            connectionForm: document.getElementById('connectionSettingsForm'),
+            securityForm: document.getElementById('securitySettingsForm'),
+            securityKeyStatus: document.getElementById('securityKeyStatus'),
+            securityForgetButton: document.getElementById('securityForgetKeyButton'),
+            simDisconnectButton: document.getElementById('simulateDisconnectButton')
+        }
     };
     // Populate DOM elements (As per your structure)
     dom.ac.power = document.getElementById('powerButtonDesktop'); dom.ac.tempDown = document.getElementById('tempDownButtonDesktop'); dom.ac.tempUp = document.getElementById('tempUpButtonDesktop'); dom.ac.mode = document.getElementById('modeButtonDesktop'); dom.ac.tempDisplay = document.getElementById('tempDisplayDesktop'); dom.ac.modeIcon = document.getElementById('currentModeIconDesktop');
     dom.fanDesktop.barContainer = document.querySelector('#fanSpeedDesktopContainer .fan-speed-bar-container-desktop');
     fanSpeedVisualDesktop.forEach(s => dom.fanDesktop.levels[s] = dom.fanDesktop.barContainer?.querySelector(`.fan-speed-level-desktop[data-speed="${s}"]`));
     dom.fanDesktop.up = document.getElementById('fanSpeedUpButtonDesktop'); dom.fanDesktop.down = document.getElementById('fanSpeedDownButtonDesktop');
-    ['relay1', 'relay2', 'relay3'].forEach(r => dom.relaysDesktop[r] = document.getElementById(`${r}ToggleDesktop`));
+    dom.relayLists.desktop = document.getElementById('relayListDesktop');
     dom.envDesktop.temp = document.getElementById('roomTempValueDesktop'); dom.envDesktop.humidity = document.getElementById('roomHumidityValueDesktop');
     dom.acMobile.power = document.getElementById('powerButtonMobile'); dom.acMobile.tempDown = document.getElementById('tempDownButtonMobile'); dom.acMobile.tempUp = document.getElementById('tempUpButtonMobile'); dom.acMobile.mode = document.getElementById('modeButtonMobile'); dom.acMobile.tempDisplay = document.getElementById('tempDisplayMobile'); dom.acMobile.modeIcon = document.getElementById('currentModeIconMobile');
     dom.fanMobile.barContainer = document.querySelector('#acFanControlsMobilePage .fan-speed-bar-container-mobile');
     fanSpeedVisualMobile.forEach(s => dom.fanMobile.levels[s] = dom.fanMobile.barContainer?.querySelector(`.fan-speed-level-mobile[data-speed-mobile="${s}"]`));
     dom.fanMobile.up = document.getElementById('fanSpeedUpButtonMobile'); dom.fanMobile.down = document.getElementById('fanSpeedDownButtonMobile');
-    ['relay1', 'relay2', 'relay3'].forEach(r => dom.relaysMobile[r] = document.getElementById(`${r}ToggleMobile`));
+    dom.relayLists.mobile = document.getElementById('relayListMobile');
     dom.envMobile.temp = document.getElementById('roomTempValueMobile'); dom.envMobile.humidity = document.getElementById('roomHumidityValueMobile');
     dom.mobilePages.acFanControlsMobilePage = document.getElementById('acFanControlsMobilePage'); dom.mobilePages.relaysMobilePage = document.getElementById('relaysMobilePage'); dom.mobilePages.environmentMobilePage = document.getElementById('environmentMobilePage'); dom.mobilePages.automationPage = document.getElementById('automationPage');
     dom.automation.fixedBtnMobile = document.getElementById('fixedAutomationBtnMobile'); dom.automation.oscillationBtnMobile = document.getElementById('oscillationAutomationBtnMobile'); dom.automation.fixedSettingsMobile = document.getElementById('fixedAutomationSettingsMobile'); dom.automation.oscillationSettingsMobile = document.getElementById('oscillationAutomationSettingsMobile'); dom.automation.fixedTempDisplayMobile = document.getElementById('fixedTempDisplayMobile'); dom.automation.fixedModeIconMobile = document.getElementById('fixedModeIconMobile'); dom.automation.fixedTimeMobile = document.getElementById('fixedTimeMobile'); dom.automation.applyFixedSettingsMobile = document.getElementById('applyFixedSettingsMobile'); dom.automation.oscillationOnTimeMobile = document.getElementById('oscillationOnTimeMobile'); dom.automation.oscillationOffTimeMobile = document.getElementById('oscillationOffTimeMobile'); dom.automation.oscillationTempDisplayMobile = document.getElementById('oscillationTempDisplayMobile'); dom.automation.oscillationModeIconMobile = document.getElementById('oscillationModeIconMobile'); dom.automation.applyOscillationSettingsMobile = document.getElementById('applyOscillationSettingsMobile');
@@ -66,11 +229,19 @@ document.addEventListener('DOMContentLoaded', () => {
     dom.automation.fixedBtnDesktop = document.getElementById('fixedAutomationBtnDesktop'); dom.automation.oscillationBtnDesktop = document.getElementById('oscillationAutomationBtnDesktop'); dom.automation.fixedSettingsDesktop = document.getElementById('fixedAutomationSettingsDesktop'); dom.automation.oscillationSettingsDesktop = document.getElementById('oscillationAutomationSettingsDesktop'); dom.automation.fixedTempDisplayDesktop = document.getElementById('fixedTempDisplayDesktop'); dom.automation.fixedModeIconDesktop = document.getElementById('fixedModeIconDesktop'); dom.automation.fixedTimeDesktop = document.getElementById('fixedTimeDesktop'); dom.automation.applyFixedSettingsDesktop = document.getElementById('applyFixedSettingsDesktop'); dom.automation.oscillationOnTimeDesktop = document.getElementById('oscillationOnTimeDesktop'); dom.automation.oscillationOffTimeDesktop = document.getElementById('oscillationOffTimeDesktop'); dom.automation.oscillationTempDisplayDesktop = document.getElementById('oscillationTempDisplayDesktop'); dom.automation.oscillationModeIconDesktop = document.getElementById('oscillationModeIconDesktop'); dom.automation.applyOscillationSettingsDesktop = document.getElementById('applyOscillationSettingsDesktop');
     dom.automation.fanSpeedLevelsFixedDesktop = Array.from(document.querySelectorAll('#fixedAutomationSettingsDesktop .fan-speed-level-desktop-auto'));
     dom.automation.fanSpeedLevelsOscillationDesktop = Array.from(document.querySelectorAll('#oscillationAutomationSettingsDesktop .fan-speed-level-desktop-auto'));
+    dom.automation.sleepCurveBtnDesktop = document.getElementById('sleepCurveAutomationBtnDesktop'); dom.automation.sleepCurveBtnMobile = document.getElementById('sleepCurveAutomationBtnMobile');
+    dom.automation.dutyCycleBtnDesktop = document.getElementById('dutyCycleAutomationBtnDesktop'); dom.automation.dutyCycleBtnMobile = document.getElementById('dutyCycleAutomationBtnMobile');
     const infoButtons = document.querySelectorAll('.info-button');
 
 
     // --- Helper: Check if connected and ready for user actions (NO UI POPUPS HERE) ---
-    function isConnectedAndReadyForUserAction() {
+    // The device itself is reachable right now (for MQTT, not just the broker).
+    function isLinkLive() {
+        return isConnectedAndReadyForUserAction({ queueable: false });
+    }
+    // queueable: the action only sends commands that may wait in the MQTT outbox, so the broker alone is enough.
+    // Reads, scenes and system commands pass false and need the device itself.
+    function isConnectedAndReadyForUserAction({ queueable = true } = {}) {
         if (currentCommunicationMode === 'ble' && bluetoothDevice?.gatt?.connected && commandCharacteristic) {
             return true;
         }
@@ -78,12 +249,25 @@ document.addEventListener('DOMContentLoaded', () => {
         if (currentCommunicationMode === 'mqtt' && typeof MQTT_Ctrl !== 'undefined' && MQTT_Ctrl.isFullyConnected()) {
             return true;
         }
+        if (currentCommunicationMode === 'lan' && typeof LAN_Ctrl !== 'undefined' && LAN_Ctrl.isConnected()) {
+            return true;
+        }
+        if (currentCommunicationMode === 'sim' && typeof SIM_Ctrl !== 'undefined' && SIM_Ctrl.isConnected()) {
+            return true;
+        }
+        // Broker reconnecting or device offline: still in MQTT mode, so queueable commands go to the outbox.
+        if (currentCommunicationMode === 'mqtt' && typeof MQTT_Ctrl !== 'undefined') {
+            return queueable;
+        }
         return false;
     }
 
     // --- UI Update Functions ---
-    function updateConnectionStatusUI(statusMsg = "Connect to Device") {
+    // reason: why the connection changed, for the activity log; defaults to the status shown.
+    function updateConnectionStatusUI(statusMsg = "Connect to Device", reason = statusMsg) {
+        logConnectionChange(statusMsg, reason);
         let isConsideredConnected = false; // For visual cues like dot color and button style
+        let isReconnecting = false; // Amber dot; the button cancels the reconnect
         let displayedMessage = statusMsg;
         let deviceName = "Device";
 
@@ -94,26 +278,46 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if (currentCommunicationMode === 'mqtt' && typeof MQTT_Ctrl !== 'undefined') {
             if (MQTT_Ctrl.isFullyConnected()) {
                 isConsideredConnected = true;
-                deviceName = 'SANKAR_AC_BLE_MQTT (MQTT)';
+                deviceName = `${getActiveDevice().name} (MQTT)`;
                 displayedMessage = "MQTT Device Online"; // Preferred success message
             } else if (MQTT_Ctrl.isBrokerConnected()) {
                 isConsideredConnected = true; // Green dot, but specific message
                 deviceName = 'MQTT Broker';
                 displayedMessage = statusMsg; // Uses messages like "Verifying..." or "Device Not Responding"
+            } else if (MQTT_Ctrl.isReconnecting()) {
+                isReconnecting = true;
+                displayedMessage = "MQTT Reconnecting... (Cancel)";
             } else { // Not connected to broker
                 displayedMessage = statusMsg;
             }
         } else if (currentCommunicationMode === 'mqtt_connecting') {
              displayedMessage = "Attempting MQTT..."; // Or statusMsg if provided
+        } else if (currentCommunicationMode === 'ble_reconnecting' && bleReconnect) {
+            isReconnecting = true;
+            displayedMessage = `Reconnecting BLE (attempt ${Math.max(1, bleReconnect.attempt)}/${BLE_RECONNECT_MAX_ATTEMPTS})... (Cancel)`;
+        } else if (currentCommunicationMode === 'lan' && typeof LAN_Ctrl !== 'undefined' && LAN_Ctrl.isConnected()) {
+            isConsideredConnected = true;
+            deviceName = `${getActiveDevice().name} (LAN)`;
+            displayedMessage = `Disconnect from ${deviceName}`;
+        } else if (currentCommunicationMode === 'sim' && typeof SIM_Ctrl !== 'undefined' && SIM_Ctrl.isConnected()) {
+            isConsideredConnected = true;
+            deviceName = `${getActiveDevice().name} (Simulator)`;
+            displayedMessage = "Disconnect Simulator";
+        }
+        if (connectionTransition) { // Failover or return in progress: amber dot, the button waits for it to finish
+            isConsideredConnected = false;
+            isReconnecting = true;
+            displayedMessage = connectionTransition;
         }
 
 
         dom.statusDot.classList.toggle('connected', isConsideredConnected);
-        dom.statusDot.classList.toggle('disconnected', !isConsideredConnected);
+        dom.statusDot.classList.toggle('disconnected', !isConsideredConnected && !isReconnecting);
+        dom.statusDot.classList.toggle('reconnecting', isReconnecting);
         dom.bleConnectButton.classList.toggle('connected', isConsideredConnected);
         dom.bleConnectButton.classList.toggle('disconnected', !isConsideredConnected);
 
-        if (isConsideredConnected) {
+        if (isConsideredConnected || isReconnecting) {
             dom.bleConnectButton.textContent = displayedMessage; // Dynamic message
             dom.bleConnectButton.removeEventListener('click', initiateConnectionProcess);
             dom.bleConnectButton.addEventListener('click', disconnectFromCurrentDevice);
@@ -122,19 +326,21 @@ document.addEventListener('DOMContentLoaded', () => {
             dom.bleConnectButton.removeEventListener('click', disconnectFromCurrentDevice);
             dom.bleConnectButton.addEventListener('click', initiateConnectionProcess);
         }
-        dom.bleConnectButton.disabled = false;
+        dom.bleConnectButton.disabled = Boolean(connectionTransition);
+        // Switching devices mid-handshake would leave the transport talking to the wrong unit.
+        if (dom.deviceSwitcher) dom.deviceSwitcher.disabled = Boolean(connectionTransition) || /_connecting|_switch|_disconnecting/.test(currentCommunicationMode);
     }
 
     // ... (Other UI update functions: updateAcPowerButtonUI, updateAcControlsUI, etc. remain as in your input_file_0.js)
     function updateAcPowerButtonUI(powerButtonEl, isPowered) { if(powerButtonEl) { powerButtonEl.classList.toggle('bg-red-600', !isPowered); powerButtonEl.classList.toggle('hover:bg-red-500', !isPowered); powerButtonEl.classList.toggle('power-button-on', isPowered); } }
     function updateAcControlsUI(tempDisplayEl, modeIconEl, temp, modeIndex, isPowered = true) { if (tempDisplayEl) tempDisplayEl.textContent = temp; if (modeIconEl) { const mode = acModes[modeIndex]; modeIconEl.innerHTML = `<i class="fas ${mode.icon} ${mode.color}"></i>`; modeIconEl.querySelector('i')?.classList.toggle('mode-active', isPowered); } }
-    function updateFanSpeedUIDesktop() { const currentSpeedIdx = fanSpeedCycleOrder.indexOf(currentFanSpeed); fanSpeedVisualDesktop.forEach((speed, visualIdx) => { const el = dom.fanDesktop.levels[speed]; if (!el) return; el.classList.remove('active', 'filled'); if (isPowerOn) { if (visualIdx <= currentSpeedIdx) el.classList.add('filled'); if (speed === currentFanSpeed) el.classList.add('active'); } }); }
-    function updateFanSpeedUIMobile() { const currentSpeedIdx = fanSpeedCycleOrder.indexOf(currentFanSpeed); fanSpeedVisualMobile.forEach((speed, visualIdx) => { const el = dom.fanMobile.levels[speed]; if (!el) return; el.classList.remove('active', 'filled'); if (isPowerOn) { if (visualIdx <= currentSpeedIdx) el.classList.add('filled'); if (speed === currentFanSpeed) el.classList.add('active'); } }); }
-    function updateRelaysSection(relayElementsDesktop, relayElementsMobile) { for (const relayId in relayStates) { if(relayElementsDesktop[relayId]) relayElementsDesktop[relayId].checked = relayStates[relayId]; if(relayElementsMobile[relayId]) relayElementsMobile[relayId].checked = relayStates[relayId]; } }
-    function updateEnvironmentSection(envElementsDesktop, envElementsMobile) { if(envElementsDesktop.temp) envElementsDesktop.temp.innerHTML = `${roomTemperature}<span class="text-base font-normal"> °C</span>`; if(envElementsDesktop.humidity) envElementsDesktop.humidity.innerHTML = `${roomHumidity}<span class="text-base font-normal"> %</span>`; if(envElementsMobile.temp) envElementsMobile.temp.innerHTML = `${roomTemperature}<span class="text-base font-normal"> °C</span>`; if(envElementsMobile.humidity) envElementsMobile.humidity.innerHTML = `${roomHumidity}<span class="text-base font-normal"> %</span>`; }
-    function updateAutomationUI() { if (dom.automation.fixedBtnMobile) { dom.automation.fixedBtnMobile.classList.toggle('active-automation', currentAutomationType === 'fixed'); dom.automation.oscillationBtnMobile.classList.toggle('active-automation', currentAutomationType === 'oscillation'); } if (dom.automation.fixedBtnDesktop) { dom.automation.fixedBtnDesktop.classList.toggle('active-automation', currentAutomationType === 'fixed'); dom.automation.oscillationBtnDesktop.classList.toggle('active-automation', currentAutomationType === 'oscillation'); } if (dom.automation.fixedSettingsMobile) { dom.automation.fixedSettingsMobile.classList.toggle('visible', currentAutomationType === 'fixed'); dom.automation.fixedSettingsMobile.style.display = currentAutomationType === 'fixed' ? '' : 'none'; dom.automation.oscillationSettingsMobile.classList.toggle('visible', currentAutomationType === 'oscillation'); dom.automation.oscillationSettingsMobile.style.display = currentAutomationType === 'oscillation' ? '' : 'none'; } if (dom.automation.fixedSettingsDesktop) { dom.automation.fixedSettingsDesktop.classList.toggle('visible', currentAutomationType === 'fixed'); dom.automation.fixedSettingsDesktop.style.display = currentAutomationType === 'fixed' ? '' : 'none'; dom.automation.oscillationSettingsDesktop.classList.toggle('visible', currentAutomationType === 'oscillation'); dom.automation.oscillationSettingsDesktop.style.display = currentAutomationType === 'oscillation' ? '' : 'none'; } const fixedConf = automationConfigs.fixed; updateAcControlsUI(dom.automation.fixedTempDisplayMobile, dom.automation.fixedModeIconMobile, fixedConf.temp, fixedConf.modeIndex, true); if (dom.automation.fixedTimeMobile) dom.automation.fixedTimeMobile.value = fixedConf.time; updateAutomationFanSpeedUI(fixedConf.fan, dom.automation.fanSpeedLevelsFixedMobile); updateAcControlsUI(dom.automation.fixedTempDisplayDesktop, dom.automation.fixedModeIconDesktop, fixedConf.temp, fixedConf.modeIndex, true); if (dom.automation.fixedTimeDesktop) dom.automation.fixedTimeDesktop.value = fixedConf.time; updateAutomationFanSpeedUI(fixedConf.fan, dom.automation.fanSpeedLevelsFixedDesktop); const oscConf = automationConfigs.oscillation; updateAcControlsUI(dom.automation.oscillationTempDisplayMobile, dom.automation.oscillationModeIconMobile, oscConf.temp, oscConf.modeIndex, true); if (dom.automation.oscillationOnTimeMobile) dom.automation.oscillationOnTimeMobile.value = oscConf.on_time; if (dom.automation.oscillationOffTimeMobile) dom.automation.oscillationOffTimeMobile.value = oscConf.off_time; updateAutomationFanSpeedUI(oscConf.fan, dom.automation.fanSpeedLevelsOscillationMobile); updateAcControlsUI(dom.automation.oscillationTempDisplayDesktop, dom.automation.oscillationModeIconDesktop, oscConf.temp, oscConf.modeIndex, true); if (dom.automation.oscillationOnTimeDesktop) dom.automation.oscillationOnTimeDesktop.value = oscConf.on_time; if (dom.automation.oscillationOffTimeDesktop) dom.automation.oscillationOffTimeDesktop.value = oscConf.off_time; updateAutomationFanSpeedUI(oscConf.fan, dom.automation.fanSpeedLevelsOscillationDesktop); }
+    function updateFanSpeedUIDesktop() { const currentSpeedIdx = fanSpeedCycleOrder.indexOf(deviceState.currentFanSpeed); fanSpeedVisualDesktop.forEach((speed, visualIdx) => { const el = dom.fanDesktop.levels[speed]; if (!el) return; el.classList.remove('active', 'filled'); if (deviceState.isPowerOn) { if (visualIdx <= currentSpeedIdx) el.classList.add('filled'); if (speed === deviceState.currentFanSpeed) el.classList.add('active'); } }); }
+    function updateFanSpeedUIMobile() { const currentSpeedIdx = fanSpeedCycleOrder.indexOf(deviceState.currentFanSpeed); fanSpeedVisualMobile.forEach((speed, visualIdx) => { const el = dom.fanMobile.levels[speed]; if (!el) return; el.classList.remove('active', 'filled'); if (deviceState.isPowerOn) { if (visualIdx <= currentSpeedIdx) el.classList.add('filled'); if (speed === deviceState.currentFanSpeed) el.classList.add('active'); } }); }
+    function updateRelaysSection(relayElementsDesktop, relayElementsMobile) { for (const relayId in deviceState.relayStates) { if(relayElementsDesktop[relayId]) relayElementsDesktop[relayId].checked = deviceState.relayStates[relayId]; if(relayElementsMobile[relayId]) relayElementsMobile[relayId].checked = deviceState.relayStates[relayId]; } }
+    function updateEnvironmentSection(envElementsDesktop, envElementsMobile) { if(envElementsDesktop.temp) envElementsDesktop.temp.innerHTML = `${deviceState.roomTemperature}<span class="text-base font-normal"> °C</span>`; if(envElementsDesktop.humidity) envElementsDesktop.humidity.innerHTML = `${deviceState.roomHumidity}<span class="text-base font-normal"> %</span>`; if(envElementsMobile.temp) envElementsMobile.temp.innerHTML = `${deviceState.roomTemperature}<span class="text-base font-normal"> °C</span>`; if(envElementsMobile.humidity) envElementsMobile.humidity.innerHTML = `${deviceState.roomHumidity}<span class="text-base font-normal"> %</span>`; }
+    function updateAutomationUI() { if (dom.automation.fixedBtnMobile) { dom.automation.fixedBtnMobile.classList.toggle('active-automation', deviceState.currentAutomationType === 'fixed'); dom.automation.oscillationBtnMobile.classList.toggle('active-automation', deviceState.currentAutomationType === 'oscillation'); } if (dom.automation.fixedBtnDesktop) { dom.automation.fixedBtnDesktop.classList.toggle('active-automation', deviceState.currentAutomationType === 'fixed'); dom.automation.oscillationBtnDesktop.classList.toggle('active-automation', deviceState.currentAutomationType === 'oscillation'); } if (dom.automation.fixedSettingsMobile) { dom.automation.fixedSettingsMobile.classList.toggle('visible', deviceState.currentAutomationType === 'fixed'); dom.automation.fixedSettingsMobile.style.display = deviceState.currentAutomationType === 'fixed' ? '' : 'none'; dom.automation.oscillationSettingsMobile.classList.toggle('visible', deviceState.currentAutomationType === 'oscillation'); dom.automation.oscillationSettingsMobile.style.display = deviceState.currentAutomationType === 'oscillation' ? '' : 'none'; } if (dom.automation.fixedSettingsDesktop) { dom.automation.fixedSettingsDesktop.classList.toggle('visible', deviceState.currentAutomationType === 'fixed'); dom.automation.fixedSettingsDesktop.style.display = deviceState.currentAutomationType === 'fixed' ? '' : 'none'; dom.automation.oscillationSettingsDesktop.classList.toggle('visible', deviceState.currentAutomationType === 'oscillation'); dom.automation.oscillationSettingsDesktop.style.display = deviceState.currentAutomationType === 'oscillation' ? '' : 'none'; } const fixedConf = deviceState.automationConfigs.fixed; updateAcControlsUI(dom.automation.fixedTempDisplayMobile, dom.automation.fixedModeIconMobile, fixedConf.temp, fixedConf.modeIndex, true); if (dom.automation.fixedTimeMobile) dom.automation.fixedTimeMobile.value = fixedConf.time; updateAutomationFanSpeedUI(fixedConf.fan, dom.automation.fanSpeedLevelsFixedMobile); updateAcControlsUI(dom.automation.fixedTempDisplayDesktop, dom.automation.fixedModeIconDesktop, fixedConf.temp, fixedConf.modeIndex, true); if (dom.automation.fixedTimeDesktop) dom.automation.fixedTimeDesktop.value = fixedConf.time; updateAutomationFanSpeedUI(fixedConf.fan, dom.automation.fanSpeedLevelsFixedDesktop); const oscConf = deviceState.automationConfigs.oscillation; updateAcControlsUI(dom.automation.oscillationTempDisplayMobile, dom.automation.oscillationModeIconMobile, oscConf.temp, oscConf.modeIndex, true); if (dom.automation.oscillationOnTimeMobile) dom.automation.oscillationOnTimeMobile.value = oscConf.on_time; if (dom.automation.oscillationOffTimeMobile) dom.automation.oscillationOffTimeMobile.value = oscConf.off_time; updateAutomationFanSpeedUI(oscConf.fan, dom.automation.fanSpeedLevelsOscillationMobile); updateAcControlsUI(dom.automation.oscillationTempDisplayDesktop, dom.automation.oscillationModeIconDesktop, oscConf.temp, oscConf.modeIndex, true); if (dom.automation.oscillationOnTimeDesktop) dom.automation.oscillationOnTimeDesktop.value = oscConf.on_time; if (dom.automation.oscillationOffTimeDesktop) dom.automation.oscillationOffTimeDesktop.value = oscConf.off_time; updateAutomationFanSpeedUI(oscConf.fan, dom.automation.fanSpeedLevelsOscillationDesktop); updateSleepCurveUI(); updateDutyCycleUI(); }
     function updateAutomationFanSpeedUI(selectedFanSpeed, fanLevelsElements) { fanLevelsElements.forEach(el => { const speed = el.dataset.speedAutomation; el.classList.remove('active', 'filled'); const selectedIdx = fanSpeedCycleOrder.indexOf(selectedFanSpeed); const currentIdx = fanSpeedCycleOrder.indexOf(speed); if (currentIdx <= selectedIdx) el.classList.add('filled'); if (speed === selectedFanSpeed) el.classList.add('active'); }); }
-    function updateAllUIs() { updateAcPowerButtonUI(dom.ac.power, isPowerOn); updateAcPowerButtonUI(dom.acMobile.power, isPowerOn); updateAcControlsUI(dom.ac.tempDisplay, dom.ac.modeIcon, currentTemp, currentModeIndex, isPowerOn); updateAcControlsUI(dom.acMobile.tempDisplay, dom.acMobile.modeIcon, currentTemp, currentModeIndex, isPowerOn); updateFanSpeedUIDesktop(); updateFanSpeedUIMobile(); updateRelaysSection(dom.relaysDesktop, dom.relaysMobile); updateEnvironmentSection(dom.envDesktop, dom.envMobile); updateAutomationUI(); }
+    function updateAllUIs() { updateAcPowerButtonUI(dom.ac.power, deviceState.isPowerOn); updateAcPowerButtonUI(dom.acMobile.power, deviceState.isPowerOn); updateAcControlsUI(dom.ac.tempDisplay, dom.ac.modeIcon, deviceState.currentTemp, deviceState.currentModeIndex, deviceState.isPowerOn); updateAcControlsUI(dom.acMobile.tempDisplay, dom.acMobile.modeIcon, deviceState.currentTemp, deviceState.currentModeIndex, deviceState.isPowerOn); updateFanSpeedUIDesktop(); updateFanSpeedUIMobile(); updateRelaysSection(dom.relaysDesktop, dom.relaysMobile); updateEnvironmentSection(dom.envDesktop, dom.envMobile); updateAutomationUI(); renderScheduleManager(); updateRelayTimerBadges(); }
     function showStatusPopup(message) { dom.statusPopupMessage.textContent = message; dom.statusPopup.classList.add('visible'); }
     function hideStatusPopup() { dom.statusPopup.classList.remove('visible'); }
     dom.closeStatusPopup.addEventListener('click', hideStatusPopup);
@@ -144,19 +350,1163 @@ document.addEventListener('DOMContentLoaded', () => {
     infoButtons.forEach(button => { button.addEventListener('click', (e) => { e.stopPropagation(); toggleTooltip(button); }); });
 
 
+    // --- Environment History (charts + CSV export) ---
+    const ENV_RANGES_MS = { '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+    const ENV_CHART_POINTS = 120;
+    const ENV_CHART_REFRESH_MS = 30 * 1000; // Redraw at most this often while readings stream in
+    const modeOverlayColors = { COOL: '#38bdf8', DRY: '#2dd4bf', HEAT: '#facc15', FAN: '#9ca3af' };
+    const envHistoryView = { range: '1h', metric: 'temp' };
+    let lastEnvChartRenderAt = 0;
+
+    // Only the values this message carried; a field it lacks is stored as null (a gap), not the 0 placeholder in deviceState.
+    function recordEnvironmentReading(data) {
+        if (typeof History_Ctrl === 'undefined') return;
+        History_Ctrl.record(deviceRegistry.activeDeviceId, {
+            temp: data.roomTemp !== undefined ? parseFloat(data.roomTemp) : null, humidity: data.humidity !== undefined ? parseFloat(data.humidity) : null,
+            power: deviceState.isPowerOn ? "ON" : "OFF", mode: acModes[deviceState.currentModeIndex].name
+        }).then(stored => { if (stored && Date.now() - lastEnvChartRenderAt >= ENV_CHART_REFRESH_MS) renderEnvironmentHistory(); });
+    }
+
+    function buildEnvChartSvg(points, fromTs, toTs, unit) {
+        const values = points.map(p => p.value).filter(v => v !== null);
+        if (!values.length) return '<div class="env-chart-empty">No readings in this period yet.</div>';
+        const W = 300, H = 120, PAD_L = 30, PAD_T = 6, PAD_B = 14;
+        let lo = Math.min(...values), hi = Math.max(...values);
+        if (hi - lo < 1) { lo -= 0.5; hi += 0.5; }
+        const x = (ts) => PAD_L + (ts - fromTs) / (toTs - fromTs) * (W - PAD_L);
+        const y = (v) => PAD_T + (hi - v) / (hi - lo) * (H - PAD_T - PAD_B);
+        const slotWidth = (W - PAD_L) / points.length;
+
+        // Shaded bands for runs of slots where the AC was on, coloured by mode.
+        let bands = '';
+        let run = null;
+        const closeRun = () => { if (run) bands += `<rect x="${(PAD_L + run.start * slotWidth).toFixed(1)}" y="${PAD_T}" width="${((run.end - run.start + 1) * slotWidth).toFixed(1)}" height="${H - PAD_T - PAD_B}" fill="${modeOverlayColors[run.mode] || '#a78bfa'}" opacity="0.18"><title>AC ON (${escapeHtml(run.mode)})</title></rect>`; };
+        points.forEach((p, i) => {
+            const mode = p.power === "ON" ? (p.mode || 'ON') : null;
+            if (run && run.mode === mode) { run.end = i; return; }
+            closeRun();
+            run = mode ? { mode, start: i, end: i } : null;
+        });
+        closeRun();
+
+        // Line, broken wherever a slot has no readings.
+        const segments = [[]];
+        points.forEach(p => {
+            if (p.value === null) { if (segments[segments.length - 1].length) segments.push([]); return; }
+            segments[segments.length - 1].push([x(p.ts), y(p.value)]);
+        });
+        const lines = segments.filter(seg => seg.length).map(seg => seg.length === 1
+            ? `<circle cx="${seg[0][0].toFixed(1)}" cy="${seg[0][1].toFixed(1)}" r="1.5" class="env-chart-line-dot"/>`
+            : `<polyline points="${seg.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ')}" class="env-chart-line"/>`).join('');
+
+        const timeLabel = (ts) => envHistoryView.range === '7d' ? new Date(ts).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : new Date(ts).toTimeString().slice(0, 5);
+        return `<svg viewBox="0 0 ${W} ${H}" class="env-chart-svg" preserveAspectRatio="none">
+            ${bands}
+            <line x1="${PAD_L}" y1="${H - PAD_B}" x2="${W}" y2="${H - PAD_B}" class="env-chart-axis"/>
+            <text x="${PAD_L - 3}" y="${PAD_T + 6}" class="env-chart-label" text-anchor="end">${hi.toFixed(1)}</text>
+            <text x="${PAD_L - 3}" y="${H - PAD_B}" class="env-chart-label" text-anchor="end">${lo.toFixed(1)}${unit}</text>
+            <text x="${PAD_L}" y="${H - 2}" class="env-chart-label">${timeLabel(fromTs)}</text>
+            <text x="${W}" y="${H - 2}" class="env-chart-label" text-anchor="end">${timeLabel(toTs)}</text>
+            ${lines}
+        </svg>`;
+    }
+
+    async function renderEnvironmentHistory() {
+        if (typeof History_Ctrl === 'undefined' || !dom.envHistoryPanels.length) return;
+        lastEnvChartRenderAt = Date.now();
+        const toTs = Date.now();
+        const fromTs = toTs - ENV_RANGES_MS[envHistoryView.range];
+        let records = [];
+        try {
+            records = await History_Ctrl.query(deviceRegistry.activeDeviceId, fromTs, toTs);
+        } catch (error) {
+            console.warn("Main: Could not load environment history:", error.message);
+        }
+        const metric = envHistoryView.metric;
+        const unit = metric === 'temp' ? '°C' : '%';
+        const svg = buildEnvChartSvg(History_Ctrl.downsample(records, metric, fromTs, toTs, ENV_CHART_POINTS), fromTs, toTs, unit);
+        const summary = History_Ctrl.stats(records, metric);
+        dom.envHistoryPanels.forEach(panel => {
+            panel.querySelector('.env-chart').innerHTML = svg;
+            panel.querySelectorAll('[data-range]').forEach(b => b.classList.toggle('active', b.dataset.range === envHistoryView.range));
+            panel.querySelectorAll('[data-metric]').forEach(b => b.classList.toggle('active', b.dataset.metric === metric));
+            ['min', 'avg', 'max'].forEach(k => { panel.querySelector(`[data-stat="${k}"]`).textContent = summary ? `${summary[k].toFixed(1)}${unit}` : '–'; });
+        });
+    }
+
+    async function handleEnvHistoryExport() {
+        try {
+            const devices = deviceRegistry.devices.map(d => ({ id: d.id, name: d.name }));
+            const csv = await History_Ctrl.exportCsv(devices, Date.now() - ENV_RANGES_MS[envHistoryView.range]);
+            const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `room-history-${envHistoryView.range}-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error("Main: CSV export failed:", error);
+            showStatusPopup(`Could not export history: ${error.message}`);
+        }
+    }
+
+    dom.envHistoryPanels.forEach(panel => {
+        panel.querySelector('.env-legend').innerHTML = acModes.map(m => `<span><i style="background:${modeOverlayColors[m.name]}"></i>${m.name}</span>`).join('');
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.range) envHistoryView.range = button.dataset.range;
+            else if (button.dataset.metric) envHistoryView.metric = button.dataset.metric;
+            else if (button.classList.contains('env-export')) { handleEnvHistoryExport(); return; }
+            else return;
+            renderEnvironmentHistory();
+        });
+    });
+
+
+    // --- Energy & Runtime ---
+    // Energy_Ctrl keeps runtime per day by mode and fan speed from the AC state the device reports; this
+    // section feeds it, keeps it ticking while the link is live and renders the report. Rates are per device.
+    const ENERGY_RATES_STORAGE_KEY = 'acRemote.energyRates';
+    const ENERGY_TICK_MS = 60 * 1000;
+    const ENERGY_PREVIOUS_LABELS = { day: 'Yesterday', week: 'Last week', month: 'Last month' };
+    const energyView = { period: 'day' };
+    function loadEnergyRates(deviceId = deviceRegistry.activeDeviceId) {
+        if (typeof Energy_Ctrl === 'undefined') return null;
+        return Energy_Ctrl.normalizeConfig(loadStoredJson(ENERGY_RATES_STORAGE_KEY, {})[deviceId]);
+    }
+    function recordAcRuntime() {
+        if (typeof Energy_Ctrl === 'undefined') return;
+        Energy_Ctrl.observe(deviceRegistry.activeDeviceId, { power: deviceState.isPowerOn, mode: acModes[deviceState.currentModeIndex].name, fanSpeed: deviceState.currentFanSpeed }, Date.now());
+    }
+    function tickEnergy() {
+        if (typeof Energy_Ctrl === 'undefined') return;
+        if (isLinkLive()) Energy_Ctrl.tick(deviceRegistry.activeDeviceId, Date.now());
+        else Energy_Ctrl.pause(deviceRegistry.activeDeviceId, Date.now()); // Unknown while offline; counting resumes with the next status
+        renderEnergyReport();
+    }
+    function formatRuntime(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+    function renderEnergyReport() {
+        const rates = loadEnergyRates();
+        if (!rates) return;
+        const { current, previous } = Energy_Ctrl.getReport(deviceRegistry.activeDeviceId, energyView.period, rates, Date.now());
+        const cost = (value) => `${rates.currency}${value.toFixed(2)}`;
+        const previousLabel = ENERGY_PREVIOUS_LABELS[energyView.period];
+        let compare = `${previousLabel}: no runtime recorded.`;
+        if (previous.seconds > 0) {
+            const change = previous.kwh > 0 ? Math.round((current.kwh - previous.kwh) / previous.kwh * 100) : null;
+            const changeHtml = change === null ? '' : ` · ${energyView.period === 'day' ? 'today' : `this ${energyView.period}`} so far <span class="${change > 0 ? 'up' : 'down'}">${change > 0 ? '+' : ''}${change}%</span>`;
+            compare = `${previousLabel}: ${formatRuntime(previous.seconds)} · ${previous.kwh.toFixed(2)} kWh · ${escapeHtml(cost(previous.cost))}${changeHtml}`;
+        }
+        const breakdown = (totals, names, colorFor) => names.filter(name => totals[name]).map(name => `
+            <div class="energy-breakdown-row">
+                <span>${name}</span>
+                <div class="energy-breakdown-bar"><span style="width:${(totals[name] / current.seconds * 100).toFixed(1)}%${colorFor ? `;background:${colorFor(name)}` : ''}"></span></div>
+                <span class="energy-breakdown-value">${formatRuntime(totals[name])}</span>
+            </div>`).join('');
+        dom.energyPanels.forEach(panel => {
+            panel.querySelectorAll('[data-period]').forEach(b => b.classList.toggle('active', b.dataset.period === energyView.period));
+            panel.querySelector('[data-energy-stat="runtime"]').textContent = formatRuntime(current.seconds);
+            panel.querySelector('[data-energy-stat="kwh"]').textContent = `${current.kwh.toFixed(2)} kWh`;
+            panel.querySelector('[data-energy-stat="cost"]').textContent = cost(current.cost);
+            panel.querySelector('[data-energy-compare]').innerHTML = compare;
+            panel.querySelector('[data-energy-breakdown="mode"]').innerHTML = breakdown(current.byMode, Energy_Ctrl.MODES, name => modeOverlayColors[name]);
+            panel.querySelector('[data-energy-breakdown="fan"]').innerHTML = breakdown(current.byFan, fanSpeedCycleOrder);
+        });
+    }
+    function renderEnergyPanels() {
+        const rates = loadEnergyRates();
+        if (!rates) return;
+        dom.energyPanels.forEach(panel => {
+            const form = panel.querySelector('form');
+            Energy_Ctrl.MODES.forEach(mode => { form.elements[mode].value = rates.ratedWatts[mode]; });
+            form.elements.tariff.value = rates.tariff;
+            form.elements.currency.value = rates.currency;
+        });
+        renderEnergyReport();
+    }
+    function handleEnergyRatesSave(e) {
+        e.preventDefault();
+        const form = e.target;
+        const ratedWatts = {};
+        Energy_Ctrl.MODES.forEach(mode => { ratedWatts[mode] = parseFloat(form.elements[mode].value); });
+        const rates = Energy_Ctrl.normalizeConfig({ ratedWatts, tariff: parseFloat(form.elements.tariff.value), currency: form.elements.currency.value });
+        const stored = loadStoredJson(ENERGY_RATES_STORAGE_KEY, {});
+        stored[deviceRegistry.activeDeviceId] = rates;
+        if (!saveStoredJson(ENERGY_RATES_STORAGE_KEY, stored)) { showStatusPopup("Could not save energy rates in this browser."); return; }
+        renderEnergyPanels();
+        showStatusPopup("Energy rates saved.");
+    }
+    dom.energyPanels.forEach(panel => {
+        panel.querySelector('form')?.addEventListener('submit', handleEnergyRatesSave);
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-period]');
+            if (!button) return;
+            energyView.period = button.dataset.period;
+            renderEnergyReport();
+        });
+    });
+
+
+    // --- Client-side Thermostat ---
+    // Thermostat_Ctrl decides from room readings; this section feeds it, applies its decision through
+    // sendAcState() and shows why. Settings are stored per device.
+    const THERMOSTAT_STORAGE_KEY = 'acRemote.thermostat';
+    const THERMOSTAT_CHECK_MS = 30 * 1000;
+    function loadThermostatConfig(deviceId = deviceRegistry.activeDeviceId) {
+        if (typeof Thermostat_Ctrl === 'undefined') return null;
+        return Thermostat_Ctrl.normalizeConfig(loadStoredJson(THERMOSTAT_STORAGE_KEY, {})[deviceId]);
+    }
+    function runThermostat() {
+        const config = loadThermostatConfig();
+        if (!config) return;
+        if (!config.enabled) { renderThermostatStatus(); return; }
+        // Only act on a live link: a decision replayed later from the outbox would be based on old readings.
+        if (!isLinkLive() || deviceState.syncStatus === 'syncing' || [...pendingCommands.values()].some(p => p.command.type === "ac_fan")) { renderThermostatStatus(); return; }
+        const decision = Thermostat_Ctrl.evaluate(deviceRegistry.activeDeviceId, config, {
+            now: Date.now(),
+            roomTemp: deviceState.roomTempUpdatedAt ? parseFloat(deviceState.roomTemperature) : null,
+            readingAt: deviceState.roomTempUpdatedAt,
+            isPowerOn: deviceState.isPowerOn,
+            setPoint: deviceState.currentTemp,
+            mode: acModes[deviceState.currentModeIndex].name
+        });
+        if (decision.action !== "none") {
+            runOptimisticCommand(['isPowerOn', 'currentTemp'], () => { deviceState.isPowerOn = decision.power; deviceState.currentTemp = decision.temp; }, sendAcState);
+        }
+        renderThermostatStatus();
+    }
+    function renderThermostatStatus() {
+        if (typeof Thermostat_Ctrl === 'undefined') return;
+        const config = loadThermostatConfig();
+        const { lastDecision, lastAction } = Thermostat_Ctrl.getStatus(deviceRegistry.activeDeviceId);
+        const time = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const age = deviceState.roomTempUpdatedAt ? `${Math.round((Date.now() - deviceState.roomTempUpdatedAt) / 60000)} min ago` : 'none yet';
+        let html;
+        if (!config.enabled) html = '<p>Thermostat is off. The AC follows its own set point and any schedules.</p>';
+        else if (!lastDecision) html = '<p>Waiting for a room reading over a live connection.</p>';
+        else html = `<p><span class="thermostat-status-label">Last check ${time(lastDecision.at)}</span>${escapeHtml(lastDecision.reason)}</p>`;
+        if (config.enabled && lastAction) html += `<p><span class="thermostat-status-label">Last action ${time(lastAction.at)}</span>${escapeHtml(lastAction.reason)}</p>`;
+        html += `<p class="thermostat-status-meta">Room reading: ${age}</p>`;
+        dom.thermostatPanels.forEach(panel => { panel.querySelector('[data-thermostat-status]').innerHTML = html; });
+    }
+    function renderThermostatPanels() {
+        const config = loadThermostatConfig();
+        if (!config) return;
+        dom.thermostatPanels.forEach(panel => {
+            const form = panel.querySelector('form');
+            Object.keys(config).forEach(field => {
+                const input = form.elements[field];
+                if (!input) return;
+                if (input.type === 'checkbox') input.checked = config[field]; else input.value = config[field];
+            });
+        });
+        renderThermostatStatus();
+    }
+    function handleThermostatSave(e) {
+        e.preventDefault();
+        const form = e.target;
+        const config = Thermostat_Ctrl.normalizeConfig({
+            enabled: form.elements.enabled.checked,
+            target: parseFloat(form.elements.target.value),
+            hysteresis: parseFloat(form.elements.hysteresis.value),
+            minOnMinutes: parseInt(form.elements.minOnMinutes.value, 10),
+            minOffMinutes: parseInt(form.elements.minOffMinutes.value, 10),
+            staleAfterMinutes: parseInt(form.elements.staleAfterMinutes.value, 10),
+            staleAction: form.elements.staleAction.value
+        });
+        const stored = loadStoredJson(THERMOSTAT_STORAGE_KEY, {});
+        stored[deviceRegistry.activeDeviceId] = config;
+        if (!saveStoredJson(THERMOSTAT_STORAGE_KEY, stored)) { showStatusPopup("Could not save thermostat settings in this browser."); return; }
+        Thermostat_Ctrl.reset(deviceRegistry.activeDeviceId);
+        renderThermostatPanels();
+        showStatusPopup(config.enabled ? `Thermostat on: holding ${config.target}°C ±${config.hysteresis}°C.` : "Thermostat off.");
+        runThermostat();
+    }
+    dom.thermostatPanels.forEach(panel => panel.querySelector('form')?.addEventListener('submit', handleThermostatSave));
+
+
+    // --- Threshold Alerts ---
+    // Alert_Ctrl debounces the rules; this section feeds it readings, nacks and the MQTT offline state,
+    // then notifies and keeps a history. Rules are stored per device, the history is shared.
+    const ALERTS_STORAGE_KEY = 'acRemote.alerts';
+    const ALERT_HISTORY_STORAGE_KEY = 'acRemote.alertHistory';
+    const ALERT_HISTORY_LIMIT = 100;
+    const ALERT_CHECK_MS = 30 * 1000;
+    const SCHEDULE_NACK_TYPES = ["schedule_nack", "schedule_entry_nack", "relay_schedule_nack"];
+    let deviceOfflineSince = null; // Set while MQTT reports the device offline (its will message, or no "online" in time)
+    function loadAlertConfig(deviceId = deviceRegistry.activeDeviceId) {
+        if (typeof Alert_Ctrl === 'undefined') return null;
+        return Alert_Ctrl.normalizeConfig(loadStoredJson(ALERTS_STORAGE_KEY, {})[deviceId]);
+    }
+    // observation: { roomTemp, humidity, nack } from an incoming message; the offline state is always included.
+    function runAlertRules(observation = {}) {
+        const config = loadAlertConfig();
+        if (!config) return;
+        const alerts = Alert_Ctrl.evaluate(deviceRegistry.activeDeviceId, config, {
+            now: Date.now(),
+            roomTemp: null,
+            humidity: null,
+            nack: null,
+            ...observation,
+            offlineSince: deviceOfflineSince
+        });
+        alerts.forEach(deliverAlert);
+    }
+    function deliverAlert(alert) {
+        const device = getActiveDevice();
+        const notified = !alert.quiet && showAlertNotification(`${device.name}: ${alert.title}`, alert.body, `${device.id}:${alert.rule}`);
+        if (!alert.quiet) showStatusPopup(`${alert.title}: ${alert.body}`);
+        const entry = { at: alert.at, deviceId: device.id, deviceName: device.name, rule: alert.rule, title: alert.title, body: alert.body, quiet: alert.quiet, notified };
+        saveStoredJson(ALERT_HISTORY_STORAGE_KEY, [entry, ...loadStoredJson(ALERT_HISTORY_STORAGE_KEY, [])].slice(0, ALERT_HISTORY_LIMIT));
+        renderAlertHistory();
+    }
+    // Returns whether a system notification was attempted (permission granted).
+    function showAlertNotification(title, body, tag) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+        const options = { body, tag, icon: 'icon.svg' };
+        const showInPage = () => {
+            try { new Notification(title, options); } catch (error) { console.warn("Main: Could not show notification:", error.message); }
+        };
+        // Mobile browsers only show notifications through the service worker
+        if (!('serviceWorker' in navigator)) { showInPage(); return true; }
+        navigator.serviceWorker.getRegistration()
+            .then(registration => registration ? registration.showNotification(title, options) : showInPage())
+            .catch(showInPage);
+        return true;
+    }
+    function describeNotificationPermission() {
+        if (typeof Notification === 'undefined') return "This browser cannot show notifications; alerts appear in the app only.";
+        if (Notification.permission === 'granted') return "Notifications are allowed.";
+        if (Notification.permission === 'denied') return "Notifications are blocked for this site; alerts appear in the app only.";
+        return "Saving an enabled rule asks for permission to show notifications.";
+    }
+    function renderAlertHistory() {
+        const history = loadStoredJson(ALERT_HISTORY_STORAGE_KEY, []);
+        const when = (ts) => new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const html = history.length === 0 ? '<p class="alert-history-empty">No alerts yet.</p>' : history.map(entry => `
+            <div class="schedule-row${entry.quiet ? ' quiet' : ''}">
+                <div class="schedule-row-main">
+                    <div class="schedule-row-name">${escapeHtml(entry.title)} · ${escapeHtml(entry.deviceName)}</div>
+                    <div class="schedule-row-meta">${when(entry.at)}${entry.quiet ? ' · quiet hours' : ''} · ${escapeHtml(entry.body)}</div>
+                </div>
+            </div>`).join('');
+        dom.alertPanels.forEach(panel => { panel.querySelector('[data-alert-history]').innerHTML = html; });
+    }
+    function renderAlertPanels() {
+        const config = loadAlertConfig();
+        if (!config) return;
+        dom.alertPanels.forEach(panel => {
+            const form = panel.querySelector('form');
+            Array.from(form.elements).forEach(input => {
+                if (!input.name) return;
+                const value = input.name.split('.').reduce((node, key) => node?.[key], config);
+                if (input.type === 'checkbox') input.checked = value; else input.value = value;
+            });
+            panel.querySelector('[data-alert-permission]').textContent = describeNotificationPermission();
+        });
+        renderAlertHistory();
+    }
+    async function handleAlertSave(e) {
+        e.preventDefault();
+        const form = e.target;
+        const rule = (name) => ({
+            enabled: form.elements[`${name}.enabled`].checked,
+            threshold: parseFloat(form.elements[`${name}.threshold`]?.value),
+            minutes: parseInt(form.elements[`${name}.minutes`]?.value, 10)
+        });
+        const config = Alert_Ctrl.normalizeConfig({
+            roomTempHigh: rule('roomTempHigh'),
+            humidityHigh: rule('humidityHigh'),
+            deviceOffline: rule('deviceOffline'),
+            scheduleNack: rule('scheduleNack'),
+            cooldownMinutes: parseInt(form.elements.cooldownMinutes.value, 10),
+            quietHours: { enabled: form.elements['quietHours.enabled'].checked, start: form.elements['quietHours.start'].value, end: form.elements['quietHours.end'].value }
+        });
+        const stored = loadStoredJson(ALERTS_STORAGE_KEY, {});
+        stored[deviceRegistry.activeDeviceId] = config;
+        if (!saveStoredJson(ALERTS_STORAGE_KEY, stored)) { showStatusPopup("Could not save alert settings in this browser."); return; }
+        Alert_Ctrl.reset(deviceRegistry.activeDeviceId);
+        const anyEnabled = ['roomTempHigh', 'humidityHigh', 'deviceOffline', 'scheduleNack'].some(name => config[name].enabled);
+        if (anyEnabled && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            try { await Notification.requestPermission(); } catch (error) { console.warn("Main: Notification permission request failed:", error.message); }
+        }
+        renderAlertPanels();
+        showStatusPopup(anyEnabled ? "Alert rules saved." : "All alerts are off.");
+        runAlertRules();
+    }
+    function handleAlertPanelClick(e) {
+        if (!e.target.closest('[data-alert-action="clear"]')) return;
+        if (!confirm("Clear the alert history for all devices?")) return;
+        saveStoredJson(ALERT_HISTORY_STORAGE_KEY, []);
+        renderAlertHistory();
+    }
+    dom.alertPanels.forEach(panel => {
+        panel.querySelector('form')?.addEventListener('submit', handleAlertSave);
+        panel.addEventListener('click', handleAlertPanelClick);
+    });
+
+
+    // --- Settings Persistence (localStorage) ---
+    const MQTT_SETTINGS_STORAGE_KEY = 'acRemote.mqttSettings';
+    function loadStoredJson(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.warn(`Main: Could not read "${key}" from storage:`, error.message);
+            return fallback;
+        }
+    }
+    function saveStoredJson(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Main: Could not save "${key}" to storage:`, error.message);
+            return false;
+        }
+    }
+    function loadMqttSettings() {
+        const defaults = typeof MQTT_Ctrl !== 'undefined' ? MQTT_Ctrl.getDefaultSettings() : {};
+        const stored = loadStoredJson(MQTT_SETTINGS_STORAGE_KEY, {});
+        // Prefixes saved before the device registry included the device namespace; strip it off.
+        if (stored.topicPrefix && stored.topicPrefix.endsWith(`/${DEFAULT_DEVICE.topic}`)) {
+            stored.topicPrefix = stored.topicPrefix.slice(0, -(DEFAULT_DEVICE.topic.length + 1));
+        }
+        return { ...defaults, ...stored };
+    }
+    // Broker settings plus the active device's topic namespace, as MQTT_Ctrl expects them.
+    function currentMqttSettings(mqttSettings = loadMqttSettings()) {
+        return { ...mqttSettings, deviceTopic: getActiveDevice().topic };
+    }
+
+    // --- Settings Modal ---
+    function fillMqttSettingsForm(mqttSettings) {
+        const form = dom.settings.mqttForm;
+        if (!form) return;
+        Object.keys(mqttSettings).forEach(key => {
+            const field = form.elements[key];
+            if (!field) return;
+            if (field.type === 'checkbox') field.checked = !!mqttSettings[key];
+            else field.value = mqttSettings[key];
+        });
+    }
+    function readMqttSettingsForm() {
+        const form = dom.settings.mqttForm;
+        return {
+            host: form.elements.host.value.trim(),
+            port: parseInt(form.elements.port.value, 10),
+            path: form.elements.path.value.trim() || '/mqtt',
+            useSSL: form.elements.useSSL.checked,
+            username: form.elements.username.value.trim(),
+            password: form.elements.password.value,
+            clientIdPrefix: form.elements.clientIdPrefix.value.trim(),
+            topicPrefix: form.elements.topicPrefix.value.trim()
+        };
+    }
+    function validateMqttSettings(mqttSettings) {
+        if (!mqttSettings.host) return "Broker host is required.";
+        if (!(mqttSettings.port > 0 && mqttSettings.port < 65536)) return "Port must be between 1 and 65535.";
+        if (!mqttSettings.topicPrefix) return "Topic prefix is required.";
+        if (/[#+]/.test(mqttSettings.topicPrefix)) return "Topic prefix cannot contain MQTT wildcards (# or +).";
+        return null;
+    }
+    function fillCommandSettingsForm() {
+        const form = dom.settings.commandForm;
+        if (!form) return;
+        const commandSettings = loadCommandSettings();
+        form.elements.ackTimeoutSeconds.value = commandSettings.ackTimeoutMs / 1000;
+        form.elements.maxRetries.value = commandSettings.maxRetries;
+    }
+    function handleCommandSettingsSave(e) {
+        e.preventDefault();
+        const form = dom.settings.commandForm;
+        const ackTimeoutSeconds = parseFloat(form.elements.ackTimeoutSeconds.value);
+        const maxRetries = parseInt(form.elements.maxRetries.value, 10);
+        if (!(ackTimeoutSeconds >= 0.5 && ackTimeoutSeconds <= 30)) { showStatusPopup("Ack timeout must be between 0.5 and 30 seconds."); return; }
+        if (!(maxRetries >= 0 && maxRetries <= 5)) { showStatusPopup("Retries must be between 0 and 5."); return; }
+        saveStoredJson(COMMAND_SETTINGS_STORAGE_KEY, { ackTimeoutMs: Math.round(ackTimeoutSeconds * 1000), maxRetries });
+        showStatusPopup("Command settings saved.");
+    }
+
+    // --- Connection Settings (transport order, LAN link) ---
+    const CONNECTION_SETTINGS_STORAGE_KEY = 'acRemote.connectionSettings';
+    const TRANSPORTS = { ble: 'Bluetooth', lan: 'LAN', mqtt: 'MQTT' };
+    // manual: a BLE drop is only retried over BLE. auto: a BLE drop moves to MQTT. auto_return: as auto, then back to BLE once the board is in range.
+    const FAILOVER_POLICIES = { manual: 'Manual', auto: 'Auto-failover', auto_return: 'Auto-failover and return' };
+    const DEFAULT_CONNECTION_SETTINGS = { transportOrder: ['ble', 'lan', 'mqtt'], lanPort: 81, lanPath: '/ws', lanUseSSL: false, failoverPolicy: 'auto_return' };
+    function loadConnectionSettings() {
+        const stored = { ...DEFAULT_CONNECTION_SETTINGS, ...loadStoredJson(CONNECTION_SETTINGS_STORAGE_KEY, {}) };
+        stored.transportOrder = stored.transportOrder.filter((t, i, all) => TRANSPORTS[t] && all.indexOf(t) === i);
+        if (!FAILOVER_POLICIES[stored.failoverPolicy]) stored.failoverPolicy = DEFAULT_CONNECTION_SETTINGS.failoverPolicy;
+        return stored;
+    }
+    function fillConnectionSettingsForm() {
+        const form = dom.settings.connectionForm;
+        if (!form) return;
+        const connectionSettings = loadConnectionSettings();
+        ['transport1', 'transport2', 'transport3'].forEach((field, i) => {
+            form.elements[field].innerHTML = `<option value="">${i === 0 ? '(choose)' : '(none)'}</option>` + Object.keys(TRANSPORTS).map(t => `<option value="${t}">${TRANSPORTS[t]}</option>`).join('');
+            form.elements[field].value = connectionSettings.transportOrder[i] || '';
+        });
+        form.elements.lanPort.value = connectionSettings.lanPort;
+        form.elements.lanPath.value = connectionSettings.lanPath;
+        form.elements.lanUseSSL.checked = connectionSettings.lanUseSSL;
+        form.elements.failoverPolicy.innerHTML = Object.keys(FAILOVER_POLICIES).map(p => `<option value="${p}">${FAILOVER_POLICIES[p]}</option>`).join('');
+        form.elements.failoverPolicy.value = connectionSettings.failoverPolicy;
+    }
+    function handleConnectionSettingsSave(e) {
+        e.preventDefault();
+        const form = dom.settings.connectionForm;
+        const transportOrder = ['transport1', 'transport2', 'transport3'].map(field => form.elements[field].value).filter(Boolean);
+        const lanPort = parseInt(form.elements.lanPort.value, 10);
+        let lanPath = form.elements.lanPath.value.trim() || '/';
+        if (!lanPath.startsWith('/')) lanPath = `/${lanPath}`;
+        if (transportOrder.length === 0) { showStatusPopup("Choose at least one transport."); return; }
+        if (new Set(transportOrder).size !== transportOrder.length) { showStatusPopup("Each transport can only appear once in the order."); return; }
+        if (!(lanPort >= 1 && lanPort <= 65535)) { showStatusPopup("LAN port must be between 1 and 65535."); return; }
+        const failoverPolicy = form.elements.failoverPolicy.value;
+        saveStoredJson(CONNECTION_SETTINGS_STORAGE_KEY, { transportOrder, lanPort, lanPath, lanUseSSL: form.elements.lanUseSSL.checked, failoverPolicy });
+        if (failoverPolicy !== 'auto_return' && bleReconnect?.background) cancelBleReconnect();
+        else if (failoverPolicy === 'auto_return' && currentCommunicationMode === 'mqtt' && lastBleDevice && !bleReconnect) startBleReconnect(lastBleDevice, { background: true });
+        showStatusPopup(`Connection order saved: ${transportOrder.map(t => TRANSPORTS[t]).join(' → ')}. On a Bluetooth drop: ${FAILOVER_POLICIES[failoverPolicy]}.`);
+    }
+    function lanUrlFor(device) {
+        const { lanPort, lanPath, lanUseSSL } = loadConnectionSettings();
+        const hasPort = /:\d+$/.test(device.lanHost);
+        return `${lanUseSSL ? 'wss' : 'ws'}://${device.lanHost}${hasPort ? '' : `:${lanPort}`}${lanPath}`;
+    }
+    function openSettingsModal() {
+        fillMqttSettingsForm(loadMqttSettings());
+        fillCommandSettingsForm();
+        fillConnectionSettingsForm();
+        fillSecuritySettingsForm();
+        renderDeviceList();
+        renderRelayChannelList();
+        renderProtocolDiagnostics();
+        dom.settings.openButton?.classList.remove('has-alert');
+        closeMobileMenu();
+        dom.settings.modal.classList.add('visible');
+    }
+    function closeSettingsModal() { dom.settings.modal.classList.remove('visible'); }
+
+    function handleMqttSettingsSave(e) {
+        e.preventDefault();
+        const mqttSettings = readMqttSettingsForm();
+        const validationError = validateMqttSettings(mqttSettings);
+        if (validationError) { showStatusPopup(validationError); return; }
+        if (!saveStoredJson(MQTT_SETTINGS_STORAGE_KEY, mqttSettings)) { showStatusPopup("Could not save settings in this browser."); return; }
+        const wasUsingMqtt = currentCommunicationMode === 'mqtt' || currentCommunicationMode === 'mqtt_connecting';
+        if (typeof MQTT_Ctrl !== 'undefined' && !MQTT_Ctrl.reconfigure(currentMqttSettings(mqttSettings))) {
+            showStatusPopup("MQTT settings saved, but the client could not be created with them. Check console.");
+            return;
+        }
+        closeSettingsModal();
+        showStatusPopup(wasUsingMqtt ? "MQTT settings saved. Reconnect to use the new broker." : "MQTT settings saved.");
+    }
+    function handleMqttTestConnection() {
+        const mqttSettings = readMqttSettingsForm();
+        const validationError = validateMqttSettings(mqttSettings);
+        if (validationError) { showStatusPopup(validationError); return; }
+        if (typeof MQTT_Ctrl === 'undefined') { showStatusPopup("MQTT module missing. Cannot test."); return; }
+        dom.settings.mqttTestButton.disabled = true;
+        dom.settings.mqttTestButton.textContent = "Testing...";
+        MQTT_Ctrl.testConnection(currentMqttSettings(mqttSettings)); // Result arrives through handleMqttConnectionStatusChange
+    }
+    function handleMqttResetDefaults() {
+        if (typeof MQTT_Ctrl !== 'undefined') fillMqttSettingsForm(MQTT_Ctrl.getDefaultSettings());
+    }
+
+    // --- Device Switcher & Device List ---
+    function escapeHtml(text) { return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
+    function validateDeviceTopic(topic, ownDeviceId = null) {
+        if (!topic) return "Topic namespace is required.";
+        if (/[\/#+\s]/.test(topic)) return "Topic namespace cannot contain '/', '#', '+' or spaces.";
+        if (deviceRegistry.devices.some(d => d.topic === topic && d.id !== ownDeviceId)) return `Another device already uses the topic "${topic}".`;
+        return null;
+    }
+    function renderDeviceSwitcher() {
+        if (!dom.deviceSwitcher) return;
+        dom.deviceSwitcher.innerHTML = deviceRegistry.devices.map(d => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)}</option>`).join('');
+        dom.deviceSwitcher.value = deviceRegistry.activeDeviceId;
+    }
+    function renderDeviceList() {
+        if (!dom.settings.deviceList) return;
+        dom.settings.deviceList.innerHTML = deviceRegistry.devices.map(d => `
+            <div class="device-list-row" data-device-id="${escapeHtml(d.id)}">
+                <input type="text" class="settings-input" data-field="name" value="${escapeHtml(d.name)}" aria-label="Device name">
+                <input type="text" class="settings-input" data-field="topic" value="${escapeHtml(d.topic)}" aria-label="MQTT topic namespace">
+                <input type="text" class="settings-input device-list-wide" data-field="lanHost" value="${escapeHtml(d.lanHost || '')}" placeholder="LAN address, e.g. 192.168.1.40 (optional)" aria-label="LAN address">
+                <div class="device-list-meta">
+                    <span title="${escapeHtml(d.bleDeviceId || '')}"><i class="fab fa-bluetooth-b mr-1"></i>${d.bleDeviceId ? escapeHtml(d.bleName || 'Paired') : 'Not paired'}</span>
+                    ${d.bleDeviceId ? '<button type="button" class="device-list-link" data-action="forget-ble">Forget</button>' : ''}
+                    ${d.id === deviceRegistry.activeDeviceId ? '<span class="device-list-active">Active</span>' : '<button type="button" class="device-list-link" data-action="remove">Remove</button>'}
+                </div>
+            </div>`).join('');
+    }
+    function updateDeviceField(deviceId, field, value) {
+        const device = deviceRegistry.devices.find(d => d.id === deviceId);
+        if (!device) return;
+        value = value.trim();
+        if (field === 'name' && !value) { showStatusPopup("Device name cannot be empty."); renderDeviceList(); return; }
+        if (field === 'topic') {
+            const topicError = validateDeviceTopic(value, deviceId);
+            if (topicError) { showStatusPopup(topicError); renderDeviceList(); return; }
+        }
+        if (field === 'lanHost' && value && !/^[a-z0-9.-]+(:\d{1,5})?$/i.test(value)) { showStatusPopup("LAN address must be a host name or IP, optionally with :port."); renderDeviceList(); return; }
+        device[field] = value;
+        saveDeviceRegistry();
+        renderDeviceSwitcher();
+        if (field === 'topic' && deviceId === deviceRegistry.activeDeviceId && typeof MQTT_Ctrl !== 'undefined') {
+            MQTT_Ctrl.reconfigure(currentMqttSettings()); // Drops an active MQTT session on the old topics
+        }
+    }
+    function handleDeviceListAction(deviceId, action) {
+        const device = deviceRegistry.devices.find(d => d.id === deviceId);
+        if (!device) return;
+        if (action === 'forget-ble') {
+            device.bleDeviceId = null; device.bleName = null;
+        } else if (action === 'remove') {
+            if (!confirm(`Remove "${device.name}" from this dashboard?`)) return;
+            deviceRegistry.devices = deviceRegistry.devices.filter(d => d.id !== deviceId);
+            delete deviceStates[deviceId];
+            saveDeviceSecurity(deviceId, null);
+            saveRelayChannels(deviceId, null);
+            saveScenes(deviceId, null);
+            const alertConfigs = loadStoredJson(ALERTS_STORAGE_KEY, {});
+            delete alertConfigs[deviceId];
+            saveStoredJson(ALERTS_STORAGE_KEY, alertConfigs);
+            if (typeof Energy_Ctrl !== 'undefined') Energy_Ctrl.forgetDevice(deviceId);
+            if (typeof History_Ctrl !== 'undefined') History_Ctrl.forgetDevice(deviceId);
+            if (typeof Thermostat_Ctrl !== 'undefined') Thermostat_Ctrl.reset(deviceId);
+            if (typeof MQTT_Ctrl !== 'undefined') MQTT_Ctrl.forgetOutbox(device.topic);
+            [THERMOSTAT_STORAGE_KEY, ENERGY_RATES_STORAGE_KEY].forEach(key => {
+                const perDevice = loadStoredJson(key, {});
+                delete perDevice[deviceId];
+                saveStoredJson(key, perDevice);
+            });
+            const lastStates = loadStoredJson(LAST_STATE_STORAGE_KEY, {});
+            delete lastStates[deviceId];
+            saveStoredJson(LAST_STATE_STORAGE_KEY, lastStates);
+        }
+        saveDeviceRegistry();
+        renderDeviceList();
+        renderDeviceSwitcher();
+    }
+    function handleAddDevice(e) {
+        e.preventDefault();
+        const form = dom.settings.addDeviceForm;
+        const name = form.elements.name.value.trim();
+        const topic = form.elements.topic.value.trim();
+        if (!name) { showStatusPopup("Device name is required."); return; }
+        const topicError = validateDeviceTopic(topic);
+        if (topicError) { showStatusPopup(topicError); return; }
+        deviceRegistry.devices.push({ id: `ac_${Date.now().toString(36)}`, name, topic, bleDeviceId: null, bleName: null, lanHost: '' });
+        saveDeviceRegistry();
+        form.reset();
+        renderDeviceList();
+        renderDeviceSwitcher();
+    }
+    async function switchActiveDevice(deviceId) {
+        if (deviceId === deviceRegistry.activeDeviceId || !deviceRegistry.devices.some(d => d.id === deviceId)) return;
+        console.log("Main: Switching active device to", deviceId);
+        if (currentCommunicationMode !== 'none') await disconnectFromCurrentDevice();
+        deviceRegistry.activeDeviceId = deviceId;
+        saveDeviceRegistry();
+        deviceState = getDeviceState(deviceId);
+        deviceOfflineSince = null;
+        lastBleDevice = null; // Belongs to the previous device; never fail back to it
+        if (typeof MQTT_Ctrl !== 'undefined') MQTT_Ctrl.reconfigure(currentMqttSettings());
+        renderDeviceSwitcher();
+        renderDeviceList();
+        renderRelayCards();
+        renderScenePanels();
+        updateConnectionStatusUI('Connect to Device');
+        updateAllUIs();
+        renderEnvironmentHistory();
+        renderEnergyPanels();
+        renderThermostatPanels();
+        renderAlertPanels();
+        renderStateSyncBanner();
+    }
+    // Called once a BLE board is picked: bind it to the active device, or switch to the device it already belongs to.
+    function rememberBleDevice(device) {
+        const owner = deviceRegistry.devices.find(d => d.bleDeviceId === device.id);
+        if (owner && owner.id !== deviceRegistry.activeDeviceId) {
+            console.log(`Main: Selected BLE board belongs to "${owner.name}". Making it the active device.`);
+            deviceRegistry.activeDeviceId = owner.id;
+            deviceState = getDeviceState(owner.id);
+            if (typeof MQTT_Ctrl !== 'undefined') MQTT_Ctrl.reconfigure(currentMqttSettings());
+            renderDeviceSwitcher();
+            renderRelayCards();
+            renderScenePanels();
+            renderEnvironmentHistory();
+            renderEnergyPanels();
+            renderThermostatPanels();
+            renderAlertPanels();
+        } else if (!owner) {
+            const activeDevice = getActiveDevice();
+            activeDevice.bleDeviceId = device.id;
+            activeDevice.bleName = device.name || null;
+        }
+        saveDeviceRegistry();
+    }
+
+    dom.deviceSwitcher?.addEventListener('change', (e) => switchActiveDevice(e.target.value));
+    dom.settings.deviceList?.addEventListener('change', (e) => {
+        const row = e.target.closest('.device-list-row');
+        if (row && e.target.dataset.field) updateDeviceField(row.dataset.deviceId, e.target.dataset.field, e.target.value);
+    });
+    dom.settings.deviceList?.addEventListener('click', (e) => {
+        const actionButton = e.target.closest('[data-action]');
+        if (actionButton) handleDeviceListAction(actionButton.closest('.device-list-row').dataset.deviceId, actionButton.dataset.action);
+    });
+    dom.settings.addDeviceForm?.addEventListener('submit', handleAddDevice);
+
+
+    // --- Relay Channels ---
+    function relayCardHtml(channel, view) {
+        const toggleId = `${channel.id}Toggle${view}`;
+        return `
+            <div class="flex items-center justify-between p-3 bg-gray-700/80 rounded-md">
+                <span class="text-sm font-medium flex items-center"><i class="fas fa-${channel.icon} mr-2 ${RELAY_ICONS[channel.icon] || RELAY_ICONS.plug}"></i>${escapeHtml(channel.label)}</span>
+                <div class="relay-controls">
+                    <span class="relay-timer-badge hidden" data-relay-timer="${escapeHtml(channel.id)}"></span>
+                    <button type="button" class="relay-timer-button" data-relay-action="timer" data-relay-id="${escapeHtml(channel.id)}" title="Timer & schedule"><i class="fas fa-clock"></i></button>
+                    <div class="relative inline-block align-middle"><input type="checkbox" id="${escapeHtml(toggleId)}" data-relay-id="${escapeHtml(channel.id)}" class="toggle-checkbox absolute opacity-0 w-0 h-0"/><label for="${escapeHtml(toggleId)}" class="toggle-label block cursor-pointer bg-element-color"><span class="toggle-circle block bg-white"></span></label></div>
+                </div>
+            </div>`;
+    }
+    // Rebuilds the desktop card and mobile page from the active device's channels.
+    function renderRelayCards() {
+        const channels = loadRelayChannels(getActiveDevice().id);
+        [['desktop', 'Desktop', dom.relaysDesktop], ['mobile', 'Mobile', dom.relaysMobile]].forEach(([key, view, toggles]) => {
+            const list = dom.relayLists[key];
+            if (!list) return;
+            list.innerHTML = channels.length ? channels.map(c => relayCardHtml(c, view)).join('') : '<p class="text-sm text-center text-secondary-color">This device reports no relays.</p>';
+            Object.keys(toggles).forEach(id => delete toggles[id]);
+            list.querySelectorAll('input[data-relay-id]').forEach(input => { toggles[input.dataset.relayId] = input; });
+        });
+        updateRelaysSection(dom.relaysDesktop, dom.relaysMobile);
+        updateRelayTimerBadges();
+    }
+    function renderRelayChannelList() {
+        if (!dom.settings.relayChannelList) return;
+        const iconOptions = (selected) => Object.keys(RELAY_ICONS).map(icon => `<option value="${icon}"${icon === selected ? ' selected' : ''}>${icon}</option>`).join('');
+        dom.settings.relayChannelList.innerHTML = loadRelayChannels(getActiveDevice().id).map(c => `
+            <div class="device-list-row" data-relay-id="${escapeHtml(c.id)}">
+                <input type="text" class="settings-input" data-field="label" value="${escapeHtml(c.label)}" maxlength="24" aria-label="Relay label">
+                <select class="settings-input" data-field="icon" aria-label="Relay icon">${iconOptions(c.icon)}</select>
+                <div class="device-list-meta"><span>${escapeHtml(c.id)} &middot; ${escapeHtml(c.name)}</span></div>
+            </div>`).join('') || '<p class="text-xs text-secondary-color">No relays reported by this device.</p>';
+    }
+    function updateRelayChannelField(relayId, field, value) {
+        const deviceId = getActiveDevice().id;
+        const channels = loadRelayChannels(deviceId);
+        const channel = channels.find(c => c.id === relayId);
+        if (!channel) return;
+        value = value.trim();
+        if (field === 'label' && !value) { showStatusPopup("Relay label cannot be empty."); renderRelayChannelList(); return; }
+        channel[field] = value;
+        saveRelayChannels(deviceId, channels);
+        renderRelayCards();
+        renderScenePanels(); // Scene summaries name the relays
+    }
+    // relay_channels from the board: keeps the user's label/icon for known ids, names new ones after the board.
+    function applyReportedRelayChannels(reported) {
+        const deviceId = getActiveDevice().id;
+        const known = loadRelayChannels(deviceId);
+        const channels = reported.map(({ id, name }) => {
+            const existing = known.find(c => c.id === id);
+            if (existing) return { ...existing, name };
+            const lower = name.toLowerCase();
+            const icon = /light|lamp/.test(lower) ? 'lightbulb' : /fan/.test(lower) ? 'fan' : /heat/.test(lower) ? 'fire' : /pump|water/.test(lower) ? 'water' : 'plug';
+            return { id, name, label: lower.charAt(0).toUpperCase() + lower.slice(1), icon };
+        });
+        if (JSON.stringify(channels) === JSON.stringify(known)) return;
+        console.log(`Main: Device reports ${channels.length} relay channel(s):`, channels.map(c => c.id).join(', '));
+        saveRelayChannels(deviceId, channels);
+        deviceState.relayStates = Object.fromEntries(channels.map(c => [c.id, !!deviceState.relayStates[c.id]]));
+        renderRelayCards();
+        if (dom.settings.modal.classList.contains('visible')) renderRelayChannelList();
+    }
+    // Maps a relay_states key or a relay notification's name ("LIGHT", or the id itself) to a channel id.
+    function relayIdForName(key) {
+        const lower = String(key).toLowerCase();
+        return loadRelayChannels(getActiveDevice().id).find(c => c.id.toLowerCase() === lower || c.name.toLowerCase() === lower)?.id;
+    }
+
+    dom.settings.relayChannelList?.addEventListener('change', (e) => {
+        const row = e.target.closest('.device-list-row');
+        if (row && e.target.dataset.field) updateRelayChannelField(row.dataset.relayId, e.target.dataset.field, e.target.value);
+    });
+
+    dom.settings.openButton?.addEventListener('click', openSettingsModal);
+    dom.settings.openMobile?.addEventListener('click', (e) => { e.preventDefault(); openSettingsModal(); });
+    dom.settings.closeButton?.addEventListener('click', closeSettingsModal);
+    dom.settings.modal?.addEventListener('click', (e) => { if (e.target === dom.settings.modal) closeSettingsModal(); });
+    dom.settings.mqttForm?.addEventListener('submit', handleMqttSettingsSave);
+    dom.settings.commandForm?.addEventListener('submit', handleCommandSettingsSave);
+    dom.settings.connectionForm?.addEventListener('submit', handleConnectionSettingsSave);
+    dom.settings.securityForm?.addEventListener('submit', provisionDeviceKey);
+    dom.settings.securityForgetButton?.addEventListener('click', forgetDeviceKey);
+    dom.settings.mqttTestButton?.addEventListener('click', handleMqttTestConnection);
+    dom.settings.mqttResetButton?.addEventListener('click', handleMqttResetDefaults);
+
+    // --- Protocol Diagnostics ---
+    function renderProtocolDiagnostics() {
+        if (!dom.settings.diagnosticsList) return;
+        const peerVersion = Protocol_Ctrl.getPeerVersion();
+        dom.settings.protocolInfo.textContent = `App protocol v${Protocol_Ctrl.VERSION} · Firmware: ${peerVersion === null ? 'version not reported' : `v${peerVersion}`}`;
+        const entries = Protocol_Ctrl.getDiagnostics();
+        dom.settings.diagnosticsList.innerHTML = entries.length === 0 ? '<p class="diagnostics-empty">No rejected messages.</p>' : entries.map(d => `
+            <div class="diagnostics-row">
+                <div class="diagnostics-row-head"><span class="diagnostics-kind ${d.kind}">${d.direction === 'in' ? 'IN' : 'OUT'} · ${d.kind}</span>${escapeHtml(d.type || '(no type)')}<span class="diagnostics-time">${new Date(d.at).toLocaleTimeString()}</span></div>
+                <div>${d.errors.map(escapeHtml).join('<br>')}</div>
+                <code>${escapeHtml(d.raw)}</code>
+            </div>`).join('');
+    }
+    function handleProtocolDiagnostic() {
+        if (dom.settings.modal?.classList.contains('visible')) renderProtocolDiagnostics();
+        else dom.settings.openButton?.classList.add('has-alert');
+    }
+    function handleProtocolVersionMismatch(firmwareVersion, appVersion) {
+        showStatusPopup(`Protocol mismatch: ${getActiveDevice().name} speaks v${firmwareVersion}, this app speaks v${appVersion}. Some controls may not work. Update the ${firmwareVersion > appVersion ? 'app' : 'firmware'}.`);
+    }
+    dom.settings.diagnosticsClearButton?.addEventListener('click', () => { Protocol_Ctrl.clearDiagnostics(); renderProtocolDiagnostics(); });
+
+
+    // --- Activity Log ---
+    // Activity_Ctrl keeps the entries in localStorage; this section records commands, device messages and
+    // connection changes for the active device, and renders the viewer.
+    const ACTIVITY_RANGES_MS = { '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+    const READING_FIELDS = ['roomTemp', 'humidity']; // Kept in the environment history instead, so unchanged status repeats collapse
+    let lastLoggedConnection = { mode: 'none', status: 'Connect to Device' }; // The state the page starts in
+    function logActivity(type, summary, detail, result = null) {
+        if (typeof Activity_Ctrl === 'undefined') return;
+        Activity_Ctrl.record({ type, deviceId: deviceRegistry.activeDeviceId, summary, detail, result });
+    }
+    function logIncomingMessage(data) {
+        const detail = { ...data };
+        READING_FIELDS.forEach(field => delete detail[field]);
+        if (detail.duty_cycle) { const { remaining_s, ...phase } = detail.duty_cycle; detail.duty_cycle = phase; } // Only phase changes are news
+        if (Object.keys(detail).every(key => key === 'type')) return; // A bare sensor reading
+        logActivity('incoming', data.type || 'status', detail);
+    }
+    function logConnectionChange(status, reason) {
+        const mode = currentCommunicationMode;
+        if (mode === lastLoggedConnection.mode && status === lastLoggedConnection.status) return;
+        const summary = mode === lastLoggedConnection.mode ? mode : `${lastLoggedConnection.mode} → ${mode}`;
+        lastLoggedConnection = { mode, status };
+        logActivity('connection', summary, reason);
+    }
+    function activityLogFilter() {
+        const { type, range, device } = dom.activityLog.filterForm.elements;
+        return {
+            types: type.value ? [type.value] : [],
+            since: range.value ? Date.now() - ACTIVITY_RANGES_MS[range.value] : 0,
+            deviceId: device.value === 'active' ? deviceRegistry.activeDeviceId : null
+        };
+    }
+    function renderActivityLog() {
+        if (typeof Activity_Ctrl === 'undefined' || !dom.activityLog.modal?.classList.contains('visible')) return;
+        const entries = Activity_Ctrl.query(activityLogFilter());
+        const deviceNames = Object.fromEntries(deviceRegistry.devices.map(d => [d.id, d.name]));
+        const when = (ts) => new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        const label = { command: 'OUT', incoming: 'IN', connection: 'LINK' };
+        dom.activityLog.list.innerHTML = entries.length === 0 ? '<p class="diagnostics-empty">Nothing logged in this range.</p>' : entries.map(e => `
+            <div class="diagnostics-row">
+                <div class="diagnostics-row-head">
+                    <span class="diagnostics-kind ${e.type}">${label[e.type]}</span>${escapeHtml(e.summary)}
+                    ${e.result ? `<span class="activity-result${['ack', 'sent', 'queued'].includes(e.result) ? '' : ' failed'}">${escapeHtml(e.result)}</span>` : ''}
+                    ${e.repeat ? `<span class="activity-repeat">×${e.repeat}</span>` : ''}
+                    <span class="diagnostics-time">${when(e.lastAt || e.at)}</span>
+                </div>
+                <code>${escapeHtml(e.detail)}${e.deviceId && deviceNames[e.deviceId] && activityLogFilter().deviceId === null ? ` · ${escapeHtml(deviceNames[e.deviceId])}` : ''}</code>
+            </div>`).join('');
+    }
+    function openActivityLog() {
+        if (typeof Activity_Ctrl === 'undefined') { showStatusPopup("Activity log module is not loaded."); return; }
+        closeSettingsModal();
+        dom.activityLog.modal.classList.add('visible');
+        renderActivityLog();
+    }
+    function closeActivityLog() { dom.activityLog.modal.classList.remove('visible'); }
+    function handleActivityLogExport() {
+        const json = Activity_Ctrl.exportJson(activityLogFilter());
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `activity-log-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    function handleActivityLogClear() {
+        if (!confirm("Clear the activity log for all devices?")) return;
+        Activity_Ctrl.clear();
+        renderActivityLog();
+    }
+    dom.settings.activityLogOpenButton?.addEventListener('click', openActivityLog);
+    dom.activityLog.closeButton?.addEventListener('click', closeActivityLog);
+    dom.activityLog.filterForm?.addEventListener('change', renderActivityLog);
+    dom.activityLog.exportButton?.addEventListener('click', handleActivityLogExport);
+    dom.activityLog.clearButton?.addEventListener('click', handleActivityLogClear);
+
+
     // --- Connection Orchestration ---
+    // Tries each transport in the configured order and stops at the first that reaches the device.
+    // The last transport in the order is kept even if the device has not answered yet (MQTT queues commands).
     async function initiateConnectionProcess() {
-        // Always attempt BLE first when the user clicks "Connect".
-        console.log("Main: Initiating connection process...");
-        await connectBluetoothDevice();
+        const order = loadConnectionSettings().transportOrder;
+        console.log("Main: Initiating connection process. Order:", order.join(' > '));
+        for (let i = 0; i < order.length; i++) {
+            const isLast = i === order.length - 1;
+            let connected = false;
+            if (order[i] === 'ble') connected = await connectBluetoothDevice();
+            else if (order[i] === 'lan') connected = await connectLan();
+            else if (order[i] === 'mqtt') connected = await connectMqtt({ keepIfDeviceSilent: isLast });
+            if (connected) return;
+            if (!isLast) console.log(`Main: ${TRANSPORTS[order[i]]} did not reach the device. Trying ${TRANSPORTS[order[i + 1]]}...`);
+        }
+        if (currentCommunicationMode === 'none') {
+            updateConnectionStatusUI('Connect to Device');
+            showStatusPopup(`Could not reach ${getActiveDevice().name} via ${order.map(t => TRANSPORTS[t]).join(', ')}.`);
+        }
+    }
+
+    // --- Connection Manager (BLE/MQTT failover) ---
+    // An unexpected BLE drop hands the session to MQTT without clearing the device state. Under
+    // auto_return the board is then reconnected in the background, and the session moves back once it answers.
+    const MQTT_ARM_DELAY_MS = 2000; // Let the state snapshot go first
+    const MQTT_FAILOVER_TIMEOUT_MS = 8000; // The switch ends here even if the device has not answered on the broker yet
+    let mqttFailoverPending = false; // The failover timed out with the broker still connecting; the MQTT status handler finishes it
+
+    // Under an auto policy, tell the firmware to bring its MQTT link up while BLE still works, so a
+    // later failover finds the device already on the broker.
+    function armMqttFailover() {
+        if (loadConnectionSettings().failoverPolicy === 'manual' || typeof MQTT_Ctrl === 'undefined') return;
+        setTimeout(() => {
+            if (currentCommunicationMode === 'ble') requestEspMqttActivationViaBle();
+        }, MQTT_ARM_DELAY_MS);
+    }
+
+    async function failoverToMqtt() {
+        const deviceName = getActiveDevice().name;
+        console.log("Main: BLE dropped unexpectedly. Failing over to MQTT.");
+        connectionTransition = "BLE Lost. Switching to MQTT...";
+        const failoverTimerId = setTimeout(() => settleMqttConnectAttempt(false), MQTT_FAILOVER_TIMEOUT_MS);
+        const reachedDevice = await connectMqtt({ keepIfDeviceSilent: true });
+        clearTimeout(failoverTimerId);
+        connectionTransition = null;
+        if (currentCommunicationMode === 'mqtt_connecting') { // Broker still connecting; handleMqttConnectionStatusChange takes it from here
+            mqttFailoverPending = true;
+            updateConnectionStatusUI("Attempting MQTT Connection...");
+            showStatusPopup(`Bluetooth link to ${deviceName} lost. Still connecting to the MQTT broker...`);
+            return;
+        }
+        if (currentCommunicationMode !== 'mqtt') { // Broker unreachable; handleMqttConnectionStatusChange already reset the session
+            fallBackToBleReconnect();
+            return;
+        }
+        updateConnectionStatusUI(reachedDevice ? "MQTT Device Online" : `${deviceName} Not Responding`);
+        showStatusPopup(reachedDevice ? `Bluetooth link lost. ${deviceName} is now controlled via MQTT.` : `Bluetooth link lost. Switched to MQTT, but ${deviceName} is not answering there yet; commands will queue.`);
+        startBleReturn();
+    }
+    // The broker session has settled in 'mqtt': under auto_return, look for the board in the background.
+    function startBleReturn() {
+        if (loadConnectionSettings().failoverPolicy === 'auto_return' && lastBleDevice) startBleReconnect(lastBleDevice, { background: true });
+    }
+    // MQTT could not take over: keep trying the board itself, as after a drop without failover.
+    function fallBackToBleReconnect() {
+        const deviceName = getActiveDevice().name;
+        if (!lastBleDevice) {
+            updateConnectionStatusUI('Connect to Device');
+            showStatusPopup(`Bluetooth link to ${deviceName} lost, and MQTT could not be reached.`);
+            return;
+        }
+        showStatusPopup(`Bluetooth link to ${deviceName} lost, and MQTT could not be reached. Reconnecting over Bluetooth...`);
+        startBleReconnect(lastBleDevice);
+    }
+
+    // Background reconnect succeeded: the BLE session takes over from MQTT.
+    async function returnFromMqttToBle() {
+        console.log("Main: BLE board is back. Leaving MQTT.");
+        connectionTransition = "BLE Back. Switching from MQTT...";
+        currentCommunicationMode = 'ble_mqtt_switch'; // Keeps the MQTT disconnect from resetting the device state
+        updateConnectionStatusUI();
+        if (typeof MQTT_Ctrl !== 'undefined') MQTT_Ctrl.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        connectionTransition = null;
+        completeBleSession();
+        showStatusPopup(`${getActiveDevice().name} is back in Bluetooth range. Switched back to BLE.`);
+    }
+
+
+    // --- BLE Auto-Reconnect ---
+    // Reconnects to a known board without the chooser: on page load, after an unexpected drop, and (under
+    // auto_return) in the background while MQTT carries the session. Attempts back off exponentially up to
+    // a cap; where watchAdvertisements() is supported, an advertisement from the board triggers the next attempt early.
+    const BLE_RECONNECT_BASE_MS = 1000;
+    const BLE_RECONNECT_MAX_DELAY_MS = 60000;
+    const BLE_RECONNECT_MAX_ATTEMPTS = 8; // Foreground only; a background return keeps trying while MQTT is up
+    const BLE_RECONNECT_TIMEOUT_MS = 10000; // gatt.connect() can hang while the board is out of range
+
+    // background: MQTT has the session, so the attempts stay out of the status button.
+    function startBleReconnect(device, { background = false } = {}) {
+        stopBleReconnect();
+        bleReconnect = { device, background, attempt: 0, timerId: null, inFlight: false };
+        if (typeof device.watchAdvertisements === 'function') {
+            device.addEventListener('advertisementreceived', onBleReconnectAdvertisement);
+            device.watchAdvertisements().catch(error => console.log("Main: Cannot watch BLE advertisements; relying on the backoff timer.", error.message));
+        }
+        if (background) {
+            scheduleBleReconnect();
+        } else {
+            currentCommunicationMode = 'ble_reconnecting';
+            attemptBleReconnect();
+        }
+    }
+    function stopBleReconnect() {
+        if (!bleReconnect) return;
+        const { device, timerId } = bleReconnect;
+        bleReconnect = null;
+        clearTimeout(timerId);
+        if (typeof device.watchAdvertisements === 'function') {
+            device.removeEventListener('advertisementreceived', onBleReconnectAdvertisement);
+            if (device.watchingAdvertisements && typeof device.unwatchAdvertisements === 'function') device.unwatchAdvertisements();
+        }
+    }
+    // Stops the attempts and drops a GATT connect that is still in flight.
+    function cancelBleReconnect() {
+        if (!bleReconnect) return;
+        const { device, inFlight } = bleReconnect;
+        stopBleReconnect();
+        if (inFlight) abandonBleAttempt(device);
+    }
+    function abandonBleAttempt(device) {
+        device.removeEventListener('gattserverdisconnected', onBleDisconnected);
+        if (bluetoothDevice === device) cleanupBleResources();
+        if (device.gatt.connected) device.gatt.disconnect();
+    }
+    function onBleReconnectAdvertisement() {
+        if (!bleReconnect || bleReconnect.inFlight) return;
+        console.log("Main: Saw an advertisement from the BLE board. Reconnecting now.");
+        clearTimeout(bleReconnect.timerId);
+        attemptBleReconnect();
+    }
+    function scheduleBleReconnect() {
+        const delay = Math.min(BLE_RECONNECT_MAX_DELAY_MS, BLE_RECONNECT_BASE_MS * 2 ** Math.max(0, bleReconnect.attempt - 1));
+        console.log(`Main: Next BLE reconnect attempt in ${delay / 1000}s.`);
+        bleReconnect.timerId = setTimeout(attemptBleReconnect, delay);
+    }
+    async function attemptBleReconnect() {
+        const session = bleReconnect;
+        if (!session || session.inFlight) return;
+        if (session.background && (currentCommunicationMode !== 'mqtt' || loadConnectionSettings().failoverPolicy !== 'auto_return')) { stopBleReconnect(); return; }
+        session.attempt++;
+        session.inFlight = true;
+        if (!session.background) updateConnectionStatusUI();
+        const timeoutId = setTimeout(() => session.device.gatt.disconnect(), BLE_RECONNECT_TIMEOUT_MS); // Aborts a hanging connect
+        try {
+            await openBleSession(session.device);
+        } catch (error) {
+            console.log(`Main: BLE reconnect attempt ${session.attempt} failed:`, error.message);
+            session.inFlight = false;
+            if (bleReconnect !== session) return; // Cancelled; cancelBleReconnect() cleaned up
+            abandonBleAttempt(session.device);
+            if (!session.background && session.attempt >= BLE_RECONNECT_MAX_ATTEMPTS) {
+                stopBleReconnect();
+                currentCommunicationMode = 'none';
+                resetDeviceStateAndUI();
+                updateConnectionStatusUI('Connect to Device');
+                showStatusPopup(`Could not reconnect to ${getActiveDevice().name} over Bluetooth after ${session.attempt} attempts.`);
+                return;
+            }
+            scheduleBleReconnect();
+            return;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+        session.inFlight = false;
+        if (bleReconnect !== session || (session.background && currentCommunicationMode !== 'mqtt')) { // The session moved on while GATT was connecting
+            if (bleReconnect === session) stopBleReconnect();
+            abandonBleAttempt(session.device);
+            return;
+        }
+        stopBleReconnect();
+        if (session.background) { returnFromMqttToBle(); return; }
+        completeBleSession();
+        showStatusPopup(`Reconnected to ${bluetoothDevice.name || getActiveDevice().name} over Bluetooth.`);
+    }
+
+    // Page load: pick the active device's board back up if the browser still holds permission for it.
+    async function restoreBleSession() {
+        const bleDeviceId = getActiveDevice().bleDeviceId;
+        if (!bleDeviceId || typeof navigator.bluetooth?.getDevices !== 'function' || !loadConnectionSettings().transportOrder.includes('ble')) return;
+        try {
+            const device = (await navigator.bluetooth.getDevices()).find(d => d.id === bleDeviceId);
+            if (!device || currentCommunicationMode !== 'none') return;
+            console.log("Main: Reconnecting to remembered BLE board", device.name || device.id);
+            lastBleDevice = device;
+            startBleReconnect(device);
+        } catch (error) {
+            console.warn("Main: Could not list remembered BLE devices:", error.message);
+        }
+    }
+
+    // --- LAN (direct WebSocket) ---
+    async function connectLan() {
+        const device = getActiveDevice();
+        if (typeof LAN_Ctrl === 'undefined' || !device.lanHost) {
+            console.log("Main: No LAN address set for this device. Skipping LAN.");
+            return false;
+        }
+        currentCommunicationMode = 'lan_connecting';
+        updateConnectionStatusUI(`Connecting via LAN (${device.lanHost})...`);
+        const connected = await LAN_Ctrl.connect(lanUrlFor(device));
+        if (!connected && currentCommunicationMode === 'lan_connecting') {
+            currentCommunicationMode = 'none';
+            updateConnectionStatusUI('LAN Connection Failed');
+        }
+        return connected;
+    }
+    function handleLanConnectionStatusChange(isConnected, message) {
+        console.log("Main: LAN_Ctrl reported - Connected:", isConnected, "Message:", message);
+        if (isConnected) {
+            currentCommunicationMode = 'lan';
+            updateConnectionStatusUI(message);
+            showStatusPopup(`LAN Connection to ${getActiveDevice().name} is Active!`);
+            requestDeviceSnapshot();
+            return;
+        }
+        if (currentCommunicationMode === 'lan' || currentCommunicationMode === 'lan_connecting') {
+            currentCommunicationMode = 'none';
+            resetDeviceStateAndUI();
+        }
+        updateConnectionStatusUI('Connect to Device');
+        if (message.toLowerCase().includes("lost")) showStatusPopup(message);
     }
 
     async function disconnectFromCurrentDevice() {
         console.log("Main: Disconnecting from current device mode:", currentCommunicationMode);
+        cancelBleReconnect(); // A user disconnect ends the whole session, including a pending return to BLE
+        mqttFailoverPending = false;
         if (currentCommunicationMode === 'ble') {
             await disconnectBluetoothDevice(); // This will handle its own UI and state updates
         } else if (currentCommunicationMode === 'mqtt' && typeof MQTT_Ctrl !== 'undefined') {
             MQTT_Ctrl.disconnect(); // This will trigger handleMqttConnectionStatusChange for UI
+        } else if (currentCommunicationMode === 'lan' && typeof LAN_Ctrl !== 'undefined') {
+            LAN_Ctrl.disconnect(); // Triggers handleLanConnectionStatusChange
+        } else if ((currentCommunicationMode === 'sim' || currentCommunicationMode === 'sim_connecting') && typeof SIM_Ctrl !== 'undefined') {
+            SIM_Ctrl.disconnect(); // Triggers handleSimConnectionStatusChange
+        } else if (currentCommunicationMode === 'ble_reconnecting') { // Cancel pressed; the attempts were stopped above
+            currentCommunicationMode = 'none';
+            resetDeviceStateAndUI();
+            updateConnectionStatusUI('Connect to Device');
         } else { // If mode is 'none' or unknown, ensure UI reflects a disconnected state.
             currentCommunicationMode = 'none';
             updateConnectionStatusUI('Connect to Device');
@@ -167,24 +1517,49 @@ document.addEventListener('DOMContentLoaded', () => {
     function handleMqttConnectionStatusChange(_commMode, isBrokerConnectedFlag, message) {
         console.log("Main: MQTT_Ctrl reported - BrokerConnected:", isBrokerConnectedFlag, "Message:", message);
 
+        // Results of MQTT_Ctrl.testConnection() from the settings screen don't change the live connection.
+        if (message.startsWith("MQTT Test")) {
+            if (dom.settings.mqttTestButton) {
+                dom.settings.mqttTestButton.disabled = false;
+                dom.settings.mqttTestButton.textContent = "Test Connection";
+            }
+            showStatusPopup(message);
+            return;
+        }
+
+        // Offline only counts while the broker is reachable and reports it; a lost broker says nothing about the device
+        if (MQTT_Ctrl.isFullyConnected() || (!MQTT_Ctrl.isBrokerConnected() && !MQTT_Ctrl.isReconnecting())) deviceOfflineSince = null;
+        else if (MQTT_Ctrl.isBrokerConnected() && message === "Device Offline") deviceOfflineSince = deviceOfflineSince || Date.now();
+        runAlertRules();
+
         if (MQTT_Ctrl.isFullyConnected()) { // Broker AND Device Confirmed
+            settleMqttConnectAttempt(true);
             currentCommunicationMode = 'mqtt';
+            if (mqttFailoverPending) { mqttFailoverPending = false; startBleReturn(); }
             updateConnectionStatusUI("MQTT Device Online");
-            showStatusPopup("MQTT Connection to SANKAR_AC_BLE_MQTT is Active!");
-            sendInitialAcStateIfConnected(); // Send initial AC state as device is responsive
+            showStatusPopup(`MQTT Connection to ${getActiveDevice().name} is Active!`);
+            requestDeviceSnapshot(); // Read the device's state instead of overwriting it
         } else if (MQTT_Ctrl.isBrokerConnected()) { // Only Broker, Device pending/unresponsive
             currentCommunicationMode = 'mqtt'; // Still 'mqtt' but device not fully confirmed
-            updateConnectionStatusUI(message); // e.g., "Verifying Device..." or "Device Not Responding"
-            if (message.toLowerCase().includes("device not responding")) {
-                showStatusPopup("Connected to MQTT Broker, but SANKAR_AC_BLE_MQTT device not responding.");
+            if (mqttFailoverPending) { mqttFailoverPending = false; startBleReturn(); }
+            updateConnectionStatusUI(message); // "Awaiting Device..." or "Device Offline"
+            if (message === "Device Offline") { // MQTT_Ctrl's ready timeout, or the device's retained "offline"
+                if (settleMqttConnectAttempt(false)) return; // The connection process decides whether to keep this
+                showStatusPopup(`Connected to MQTT Broker, but ${getActiveDevice().name} is not responding.`);
             }
+        } else if (MQTT_Ctrl.isReconnecting()) { // Brief drop: Paho reconnects by itself; keep the device state
+            if (currentCommunicationMode === 'mqtt' || currentCommunicationMode === 'mqtt_connecting') currentCommunicationMode = 'mqtt';
+            updateConnectionStatusUI(message);
         } else { // Not connected to Broker (or explicit disconnect)
+            settleMqttConnectAttempt(false);
             // Only reset mode to 'none' if we were actually in 'mqtt' or 'mqtt_connecting'
             if (currentCommunicationMode === 'mqtt' || currentCommunicationMode === 'mqtt_connecting') {
+                if (bleReconnect?.background) cancelBleReconnect();
                 currentCommunicationMode = 'none';
                 resetDeviceStateAndUI(); // Clear device state
             }
             updateConnectionStatusUI(message); // Show "MQTT Disconnected", "Connection Failed", or "Connect to Device"
+            if (mqttFailoverPending) { mqttFailoverPending = false; fallBackToBleReconnect(); return; } // A failover that never reached the broker
             // Only show error popups for failures, not deliberate disconnects.
             if (message.toLowerCase().includes("failed") || message.toLowerCase().includes("lost")) {
                 showStatusPopup(message);
@@ -193,18 +1568,54 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // --- Simulated Device ---
+    // SIM_Ctrl answers commands like the firmware, so every screen can be used without a board.
+    async function connectSimulator() {
+        if (typeof SIM_Ctrl === 'undefined') { showStatusPopup("Simulator module is not loaded."); return; }
+        if (currentCommunicationMode === 'sim' || currentCommunicationMode === 'sim_connecting') { showStatusPopup("Already using the simulated device."); return; }
+        closeSettingsModal();
+        if (currentCommunicationMode !== 'none') await disconnectFromCurrentDevice();
+        currentCommunicationMode = 'sim_connecting';
+        updateConnectionStatusUI('Starting Simulator...');
+        SIM_Ctrl.connect();
+    }
+    function handleSimConnectionStatusChange(isConnected, message) {
+        console.log("Main: SIM_Ctrl reported - Connected:", isConnected, "Message:", message);
+        if (isConnected) {
+            currentCommunicationMode = 'sim';
+            updateConnectionStatusUI(message);
+            requestDeviceSnapshot();
+            return;
+        }
+        if (currentCommunicationMode === 'sim' || currentCommunicationMode === 'sim_connecting') {
+            currentCommunicationMode = 'none';
+            resetDeviceStateAndUI();
+        }
+        updateConnectionStatusUI('Connect to Device');
+        if (message.toLowerCase().includes("lost") || message.toLowerCase().includes("shut down")) showStatusPopup(message);
+    }
+    function handleSimulatorFaultsChange() {
+        const form = dom.settings.simForm;
+        const percent = (input) => Math.min(100, Math.max(0, parseFloat(input.value) || 0)) / 100;
+        const version = parseInt(form.elements.protocolVersion.value, 10);
+        SIM_Ctrl.setFaults({ dropAckRate: percent(form.elements.dropAckPercent), malformedRate: percent(form.elements.malformedPercent), protocolVersion: Number.isInteger(version) && version > 0 ? version : null });
+    }
+    dom.settings.simForm?.addEventListener('change', handleSimulatorFaultsChange);
+    dom.settings.simForm?.addEventListener('submit', (e) => { e.preventDefault(); connectSimulator(); });
+    dom.settings.simDisconnectButton?.addEventListener('click', () => { if (typeof SIM_Ctrl !== 'undefined') SIM_Ctrl.simulateDisconnect(); });
+
+
     // --- Web Bluetooth Logic ---
     async function connectBluetoothDevice() {
         if (!navigator.bluetooth) {
             console.warn("Main: Web Bluetooth API not available.");
             updateConnectionStatusUI('Web Bluetooth Unavailable'); // More specific message
-            promptForMqttConnection("Web Bluetooth is not available on this browser.");
-            return;
+            return false;
         }
         if (bluetoothDevice?.gatt?.connected && currentCommunicationMode === 'ble') {
             console.log('Main: Already connected via BLE.');
             updateConnectionStatusUI(`Disconnect from ${bluetoothDevice.name || 'BLE Device'}`); // Ensure button text is correct
-            return;
+            return true;
         }
 
         currentCommunicationMode = 'ble_connecting'; // Intermediate state
@@ -212,12 +1623,15 @@ document.addEventListener('DOMContentLoaded', () => {
         dom.bleConnectButton.disabled = true;
 
         try {
+            // Every board advertises the same service UUID; narrow the chooser to the active device's board once known.
+            const bleFilter = { services: [BLE_SERVICE_UUID] };
+            if (getActiveDevice().bleName) bleFilter.name = getActiveDevice().bleName;
             bluetoothDevice = await navigator.bluetooth.requestDevice({
-                filters: [{ services: [BLE_SERVICE_UUID] }]
+                filters: [bleFilter]
             });
 
             // If MQTT was active, disconnect it. BLE takes precedence.
-            if ((currentCommunicationMode === 'mqtt' || currentCommunicationMode === 'mqtt_connecting') && typeof MQTT_Ctrl !== 'undefined' && MQTT_Ctrl.isBrokerConnected()) {
+            if ((currentCommunicationMode === 'mqtt' || currentCommunicationMode === 'mqtt_connecting') && typeof MQTT_Ctrl !== 'undefined' && (MQTT_Ctrl.isBrokerConnected() || MQTT_Ctrl.isReconnecting())) {
                 console.log("Main: BLE connection succeeding, disconnecting active/pending MQTT connection.");
                 currentCommunicationMode = 'ble_mqtt_switch'; // Special state to manage UI during switch
                 MQTT_Ctrl.disconnect(); // Triggers its callbacks which update UI eventually
@@ -228,26 +1642,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
             console.log('Main: BLE Device Selected:', bluetoothDevice.name || bluetoothDevice.id);
             updateConnectionStatusUI(`Connecting to ${bluetoothDevice.name || 'BLE Device'}...`);
-            
-            // It's crucial to remove old listener before adding a new one if retrying connection
-            if (bluetoothDevice.removeEventListener) { // Check if method exists (might be null on first try)
-                bluetoothDevice.removeEventListener('gattserverdisconnected', onBleDisconnected);
-            }
-            bluetoothDevice.addEventListener('gattserverdisconnected', onBleDisconnected);
-
-            bleServer = await bluetoothDevice.gatt.connect();
-            console.log('Main: Connected to GATT Server.');
-            bleService = await bleServer.getPrimaryService(BLE_SERVICE_UUID);
-            commandCharacteristic = await bleService.getCharacteristic(COMMAND_CHAR_UUID);
-            statusCharacteristic = await bleService.getCharacteristic(STATUS_CHAR_UUID);
-
-            await statusCharacteristic.startNotifications();
-            statusCharacteristic.addEventListener('characteristicvaluechanged', handleBleCharacteristicValueChanged);
-
-            currentCommunicationMode = 'ble'; // FINAL BLE connected state
-            console.log('Main: Successfully connected via BLE.');
-            updateConnectionStatusUI(`Disconnect from ${bluetoothDevice.name || 'BLE Device'}`);
-            sendInitialAcStateIfConnected(); // Send current AC state
+            await openBleSession(bluetoothDevice);
+            completeBleSession();
+            return true;
 
         } catch (error) {
             console.error('Main: Bluetooth Connection Error -', error.name, error.message);
@@ -267,35 +1664,63 @@ document.addEventListener('DOMContentLoaded', () => {
             
             updateConnectionStatusUI(userFacingErrorMsg); // Show this on the button
             dom.bleConnectButton.disabled = false; // Re-enable button
-            
-            // Prompt for MQTT if:
-            // 1. The error was 'NotFoundError' or 'AbortError' (user cancelled chooser)
-            // 2. We weren't in the middle of deliberately switching from MQTT to BLE.
-            if (previousMode !== 'ble_mqtt_switch') {
-                 if (error.name === 'NotFoundError' || error.name === 'AbortError') {
-                    promptForMqttConnection(userFacingErrorMsg);
-                 } else {
-                     showStatusPopup(userFacingErrorMsg); // Show a popup for other types of BLE errors
-                 }
-            } else {
-                 // If it was 'ble_mqtt_switch', and BLE failed, revert to trying MQTT.
-                 console.log("Main: BLE connection failed during MQTT->BLE switch. Re-attempting MQTT if user agrees.");
-                 promptForMqttConnection("BLE attempt failed after choosing BLE over MQTT.");
+            // Not found / cancelled is the normal way to move on to the next transport; anything else is worth a popup.
+            if (previousMode !== 'ble_mqtt_switch' && error.name !== 'NotFoundError' && error.name !== 'AbortError') {
+                showStatusPopup(userFacingErrorMsg);
             }
+            return false;
         }
     }
 
+    // GATT connect, service discovery and notifications. Leaves currentCommunicationMode alone so a
+    // failover return can probe the board while MQTT stays in charge. Throws if the board is unreachable.
+    async function openBleSession(device) {
+        bluetoothDevice = device;
+        // It's crucial to remove old listener before adding a new one if retrying connection
+        device.removeEventListener('gattserverdisconnected', onBleDisconnected);
+        device.addEventListener('gattserverdisconnected', onBleDisconnected);
+
+        bleServer = await device.gatt.connect();
+        console.log('Main: Connected to GATT Server.');
+        bleService = await bleServer.getPrimaryService(BLE_SERVICE_UUID);
+        commandCharacteristic = await bleService.getCharacteristic(COMMAND_CHAR_UUID);
+        statusCharacteristic = await bleService.getCharacteristic(STATUS_CHAR_UUID);
+
+        await statusCharacteristic.startNotifications();
+        statusCharacteristic.addEventListener('characteristicvaluechanged', handleBleCharacteristicValueChanged);
+    }
+    function completeBleSession() {
+        rememberBleDevice(bluetoothDevice);
+        lastBleDevice = bluetoothDevice;
+        currentCommunicationMode = 'ble'; // FINAL BLE connected state
+        console.log('Main: Successfully connected via BLE.');
+        updateConnectionStatusUI(`Disconnect from ${bluetoothDevice.name || 'BLE Device'}`);
+        requestDeviceSnapshot(); // Read the device's state instead of overwriting it
+        armMqttFailover();
+    }
+
     function onBleDisconnected(event) {
         console.log('Main: BLE Device Disconnected.', event ? `(Name: ${event.target.name || event.target.id})` : '(Unknown device)');
         const wasBleMode = currentCommunicationMode === 'ble'; // Check if BLE was the active mode
+        const wasUserDisconnect = currentCommunicationMode === 'ble_disconnecting';
         
         cleanupBleResources(); // Always perform cleanup
 
-        if (wasBleMode) { // Only change state and show popup if we were truly in BLE mode
+        const { failoverPolicy, transportOrder } = loadConnectionSettings();
+        if (wasBleMode && failoverPolicy !== 'manual' && transportOrder.includes('mqtt') && typeof MQTT_Ctrl !== 'undefined') {
+            failoverToMqtt(); // Keeps the device state; the session continues over MQTT, or falls back to a BLE reconnect
+        } else if (wasBleMode && lastBleDevice) {
+            console.log("Main: Unexpected BLE drop. Reconnecting to the same board.");
+            startBleReconnect(lastBleDevice); // Keeps the device state while it retries
+        } else if (wasBleMode) { // Only change state and show popup if we were truly in BLE mode
             currentCommunicationMode = 'none';
             resetDeviceStateAndUI();
-            updateConnectionStatusUI('Connect to Device'); // Reset button to generic "Connect"
+            updateConnectionStatusUI('Connect to Device', "BLE link dropped"); // Reset button to generic "Connect"
             showStatusPopup("BLE Device Disconnected.");
+        } else if (wasUserDisconnect) {
+            currentCommunicationMode = 'none';
+            resetDeviceStateAndUI();
+            updateConnectionStatusUI('Connect to Device', "Disconnected by user");
         }
         // If it was 'ble_connecting' or 'ble_mqtt_switch' and disconnected, the catch block in connectBluetoothDevice handles it.
     }
@@ -303,6 +1728,7 @@ document.addEventListener('DOMContentLoaded', () => {
     async function disconnectBluetoothDevice() {
         if (!bluetoothDevice) {
             console.log("Main: disconnectBluetoothDevice called, but no bluetoothDevice object.");
+            if (currentCommunicationMode === 'ble') currentCommunicationMode = 'ble_disconnecting'; // Deliberate, so no failover
             onBleDisconnected(null); // Ensure UI is reset
             return;
         }
@@ -325,6 +1751,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } else {
             console.log('Main: BLE Not connected or already disconnected.');
+            if (currentCommunicationMode === 'ble') currentCommunicationMode = 'ble_disconnecting';
             onBleDisconnected(null); // Call to ensure state is consistent and UI updated
         }
     }
@@ -339,6 +1766,9 @@ document.addEventListener('DOMContentLoaded', () => {
              try { bluetoothDevice.removeEventListener('gattserverdisconnected', onBleDisconnected); }
              catch(e) { console.warn("Main: Error removing gattserverdisconnected listener:", e.message); }
         }
+        bleReassembler.reset();
+        bleMtu = null;
+        bleWriteChain = Promise.resolve();
         bluetoothDevice = null;
         bleServer = null;
         bleService = null;
@@ -347,57 +1777,73 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Main: BLE resources cleaned up.");
     }
 
+    // Notifications are chunks of a framed message (or a whole plain JSON message from older firmware).
+    const bleReassembler = Framing_Ctrl.createReassembler({
+        onMessage: processIncomingDeviceData,
+        onError: (problem, detail) => Protocol_Ctrl.reportIncoming('framing', [`${problem}: ${detail}`])
+    });
     function handleBleCharacteristicValueChanged(event) {
-        const value = event.target.value; // This is a DataView
-        const decoder = new TextDecoder('utf-8');
-        const incomingDataString = decoder.decode(value);
-        // console.log("Main: BLE RX Raw:", incomingDataString);
-        processIncomingDeviceData(incomingDataString);
+        bleReassembler.push(event.target.value); // This is a DataView
     }
 
-    // --- MQTT Interaction & Activation ---
-    async function promptForMqttConnection(reasonForPrompt) {
-        // Short delay to allow browser to process any previous dialogs/errors
-        await new Promise(resolve => setTimeout(resolve, 100));
+    // GATT runs one operation at a time, so every write goes through one chain; concurrent commands
+    // would otherwise fail with "GATT operation already in progress". Resolves once all chunks are written.
+    function writeBleMessage(jsonString) {
+        const chunks = Framing_Ctrl.encode(jsonString, bleMtu); // Throws if the message is too long even for framing
+        const characteristic = commandCharacteristic;
+        const write = bleWriteChain.then(async () => {
+            for (const chunk of chunks) await characteristic.writeValueWithoutResponse(chunk);
+        });
+        bleWriteChain = write.catch(() => {}); // A failed write must not block the ones queued behind it
+        return write;
+    }
 
-        if (confirm(`${reasonForPrompt} Would you like to try connecting via the Internet (MQTT)?`)) {
-            console.log("Main: User opted for MQTT connection.");
-            
-            if (typeof MQTT_Ctrl === 'undefined') {
-                console.error("Main: MQTT_Ctrl is not defined! Ensure js6_mqtt.js is loaded.");
-                showStatusPopup("MQTT System Error (MQTT_Ctrl missing).");
-                updateConnectionStatusUI("MQTT Error");
-                return;
-            }
+    // --- MQTT Interaction & Activation ---
+    // Resolves true once broker and device are confirmed, false if the broker fails or the device stays silent.
+    // keepIfDeviceSilent: stay on the broker anyway (commands queue in the outbox); otherwise disconnect so
+    // the connection process can try something else.
+    let mqttConnectAttempt = null; // { resolve, keepIfDeviceSilent } while connectMqtt() is waiting
+    async function connectMqtt({ keepIfDeviceSilent = true } = {}) {
+        if (typeof MQTT_Ctrl === 'undefined') {
+            console.error("Main: MQTT_Ctrl is not defined! Ensure js6_mqtt.js is loaded.");
+            showStatusPopup("MQTT System Error (MQTT_Ctrl missing).");
+            updateConnectionStatusUI("MQTT Error");
+            return false;
+        }
+        currentCommunicationMode = 'mqtt_connecting'; // Set mode
+        updateConnectionStatusUI("Attempting MQTT Connection..."); // Initial UI update
 
-            currentCommunicationMode = 'mqtt_connecting'; // Set mode
-            updateConnectionStatusUI("Attempting MQTT Connection..."); // Initial UI update
-
-            // If BLE is somehow still connected, tell ESP32 to activate its MQTT feature (if needed)
-            // This assumes ESP32 might have MQTT feature off by default and needs a BLE command to enable.
-            if (bluetoothDevice?.gatt?.connected) {
-                console.log("Main: BLE is connected. Sending 'mqtt_activate' command to ESP32 via BLE first.");
-                const activationSent = await requestEspMqttActivationViaBle();
-                if (activationSent) {
-                    // showStatusPopup("MQTT activation command sent to ESP32 via BLE.");
-                    console.log("Main: MQTT activation command sent via BLE. Now disconnecting BLE to proceed with MQTT.");
-                    await disconnectBluetoothDevice(); // Gracefully disconnect BLE
-                     // Give a moment for BLE disconnect to settle before MQTT connect
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                } else {
-                    // showStatusPopup("Failed to send MQTT activation via BLE. Proceeding with MQTT connect attempt anyway.");
-                    console.warn("Main: Failed to send MQTT activation command via BLE. Will still try MQTT.");
-                }
+        // If BLE is somehow still connected, tell ESP32 to activate its MQTT feature (if needed)
+        // This assumes ESP32 might have MQTT feature off by default and needs a BLE command to enable.
+        if (bluetoothDevice?.gatt?.connected) {
+            console.log("Main: BLE is connected. Sending 'mqtt_activate' command to ESP32 via BLE first.");
+            const activationSent = await requestEspMqttActivationViaBle();
+            if (activationSent) {
+                console.log("Main: MQTT activation command sent via BLE. Now disconnecting BLE to proceed with MQTT.");
+                await disconnectBluetoothDevice(); // Gracefully disconnect BLE
+                 // Give a moment for BLE disconnect to settle before MQTT connect
+                await new Promise(resolve => setTimeout(resolve, 500));
+            } else {
+                console.warn("Main: Failed to send MQTT activation command via BLE. Will still try MQTT.");
             }
-            // Now, attempt MQTT connection via MQTT_Ctrl
+            currentCommunicationMode = 'mqtt_connecting'; // Re-assert after the BLE disconnect
+        }
+        const connected = await new Promise(resolve => {
+            mqttConnectAttempt = { resolve, keepIfDeviceSilent };
             MQTT_Ctrl.connect(); // MQTT_Ctrl will use its callback to update status via handleMqttConnectionStatusChange
-        } else {
-            console.log("Main: User declined MQTT connection.");
-            // If no other connection mode is active, reset button to default
-            if (currentCommunicationMode !== 'ble') { 
-                updateConnectionStatusUI('Connect to Device');
-            }
+        });
+        if (!connected && !keepIfDeviceSilent && (MQTT_Ctrl.isBrokerConnected() || MQTT_Ctrl.isReconnecting())) {
+            MQTT_Ctrl.disconnect();
         }
+        return connected;
+    }
+    // Returns true if a connectMqtt() call took the result and will handle it.
+    function settleMqttConnectAttempt(connected) {
+        if (!mqttConnectAttempt) return false;
+        const { resolve, keepIfDeviceSilent } = mqttConnectAttempt;
+        mqttConnectAttempt = null;
+        resolve(connected);
+        return !connected && !keepIfDeviceSilent;
     }
     
     async function requestEspMqttActivationViaBle() {
@@ -406,23 +1852,271 @@ document.addEventListener('DOMContentLoaded', () => {
             return false; // BLE isn't the active mode or not connected
         }
         console.log("Main: Sending 'mqtt_activate' command to ESP32 via BLE...");
-        // Assuming sendCommand will correctly use the active BLE connection
-        return await sendCommand({ type: "system_control", command: "mqtt_activate" });
+        // The ESP32 answers mqtt_activate with an mqtt_feedback message rather than an ack.
+        try {
+            await sendCommand({ type: "system_control", command: "mqtt_activate" }, { expectAck: false });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    // --- MQTT Message Security ---
+    // Per-device shared key: deviceId -> { key (base64), encrypt, provisionedAt }. With a key, MQTT traffic is
+    // signed both ways (see secure_ctrl.js); BLE and LAN stay plain since they never leave the local link.
+    const DEVICE_KEYS_STORAGE_KEY = 'acRemote.deviceKeys';
+    const loadDeviceSecurity = (deviceId) => loadStoredJson(DEVICE_KEYS_STORAGE_KEY, {})[deviceId] || null;
+    function saveDeviceSecurity(deviceId, security) {
+        const keys = loadStoredJson(DEVICE_KEYS_STORAGE_KEY, {});
+        if (security) keys[deviceId] = security;
+        else delete keys[deviceId];
+        return saveStoredJson(DEVICE_KEYS_STORAGE_KEY, keys);
+    }
+    function fillSecuritySettingsForm() {
+        const form = dom.settings.securityForm;
+        if (!form) return;
+        const security = loadDeviceSecurity(getActiveDevice().id);
+        dom.settings.securityKeyStatus.textContent = !Secure_Ctrl.isSupported() ? "Signing needs this page to be served over https."
+            : security ? `${getActiveDevice().name}: key provisioned ${new Date(security.provisionedAt).toLocaleString()}, ${security.encrypt ? 'signed and encrypted' : 'signed'}.`
+            : `${getActiveDevice().name}: no key. MQTT traffic is not authenticated.`;
+        form.elements.encrypt.checked = security ? security.encrypt : false;
+        dom.settings.securityForgetButton.disabled = !security;
+    }
+
+    async function provisionDeviceKey(e) {
+        e.preventDefault();
+        if (!Secure_Ctrl.isSupported()) { showStatusPopup("Signing needs this page to be served over https."); return; }
+        if (currentCommunicationMode !== 'ble') { showStatusPopup("Connect over Bluetooth to provision a key. It is never sent over the broker."); return; }
+        const deviceId = getActiveDevice().id;
+        const encrypt = dom.settings.securityForm.elements.encrypt.checked;
+        const key = Secure_Ctrl.generateKey();
+        try {
+            await sendCommand({ type: "key_provision", key, encrypt }, { queueable: false });
+        } catch (error) {
+            if (error.code === 'timeout') showStatusPopup("The device did not confirm the new key. Provision again; if MQTT commands stop working meanwhile, the device may have kept it.");
+            return;
+        }
+        saveDeviceSecurity(deviceId, { key, encrypt, provisionedAt: Date.now() });
+        fillSecuritySettingsForm();
+        showStatusPopup(`Key provisioned. MQTT commands to ${getActiveDevice().name} are now signed${encrypt ? ' and encrypted' : ''}.`);
+    }
+    function forgetDeviceKey() {
+        if (!confirm(`Forget the MQTT key for "${getActiveDevice().name}"? The device keeps requiring signed commands until a new key is provisioned.`)) return;
+        saveDeviceSecurity(getActiveDevice().id, null);
+        fillSecuritySettingsForm();
+    }
+
+    // MQTT_Ctrl sealPayload hook: every publish, including replays from the outbox, is signed when it goes out.
+    function sealMqttPayload(jsonString) {
+        const security = loadDeviceSecurity(getActiveDevice().id);
+        if (!security) return Promise.resolve(jsonString);
+        return Secure_Ctrl.seal(security.key, jsonString, { encrypt: security.encrypt });
+    }
+    // Verification is async; the chain keeps status messages in arrival order.
+    let mqttInboundChain = Promise.resolve();
+    function handleMqttStatusPayload(payload) {
+        const security = loadDeviceSecurity(getActiveDevice().id);
+        mqttInboundChain = mqttInboundChain.then(async () => {
+            let opened = { ok: false, text: payload, error: "no key provisioned" };
+            if (security) opened = Secure_Ctrl.isSupported() ? await Secure_Ctrl.open(security.key, payload) : { ok: false, text: payload, error: "signing needs https" };
+            processIncomingDeviceData(opened.text, { viaMqtt: true, verified: opened.ok, verifyError: opened.error });
+        }).catch(error => console.error("Main: Could not process MQTT status:", error));
+    }
+
+
+    // --- Wi-Fi Provisioning Wizard (over BLE) ---
+    // Scan -> details -> join. The device answers wifi_scan with a wifi_scan_result and reports each
+    // step of joining Wi-Fi and the broker as wifi_status; once it is on the broker the app moves to MQTT.
+    const WIFI_SCAN_TIMEOUT_MS = 15000;
+    const WIFI_JOIN_TIMEOUT_MS = 45000; // DHCP plus broker connect on a slow network
+    const WIFI_STATUS_TEXT = {
+        connecting_wifi: "Joining Wi-Fi...",
+        wifi_connected: "Joined Wi-Fi.",
+        connecting_mqtt: "Connecting to the broker...",
+        mqtt_connected: "Connected to the broker.",
+        failed: "Setup failed."
+    };
+    let wifiSetup = null; // { timerId, joining, brokerHost } while the wizard is open
+
+    function showWifiWizardStep(step) {
+        dom.wifiWizard.steps.forEach(el => el.classList.toggle('hidden', el.dataset.wizardStep !== step));
+        const order = ['scan', 'credentials', 'join'];
+        dom.wifiWizard.stepLabels.forEach(el => {
+            el.classList.toggle('active', el.dataset.wizardStepLabel === step);
+            el.classList.toggle('done', order.indexOf(el.dataset.wizardStepLabel) < order.indexOf(step));
+        });
+    }
+    function openWifiWizard() {
+        if (currentCommunicationMode !== 'ble') { showStatusPopup("Connect to the device over Bluetooth to set up its Wi-Fi."); return; }
+        closeSettingsModal();
+        const mqttSettings = loadMqttSettings();
+        const form = dom.wifiWizard.form;
+        form.reset();
+        form.elements.brokerHost.value = mqttSettings.host;
+        form.elements.brokerPort.value = 1883;
+        form.elements.brokerUsername.value = mqttSettings.username;
+        form.elements.brokerPassword.value = mqttSettings.password;
+        wifiSetup = { timerId: null, joining: false, brokerHost: '' };
+        dom.wifiWizard.modal.classList.add('visible');
+        startWifiScan();
+    }
+    function closeWifiWizard() {
+        if (wifiSetup) clearTimeout(wifiSetup.timerId);
+        wifiSetup = null;
+        dom.wifiWizard.modal.classList.remove('visible');
+    }
+
+    async function startWifiScan() {
+        showWifiWizardStep('scan');
+        dom.wifiWizard.networkList.innerHTML = '<p class="diagnostics-empty"><i class="fas fa-spinner fa-spin mr-1"></i>Scanning for networks...</p>';
+        dom.wifiWizard.scanButton.disabled = true;
+        try {
+            await sendCommand({ type: "wifi_scan" }, { queueable: false });
+        } catch (error) {
+            dom.wifiWizard.scanButton.disabled = false;
+            dom.wifiWizard.networkList.innerHTML = '<p class="diagnostics-empty">The device did not start a scan. Scan again or enter the network manually.</p>';
+            return;
+        }
+        clearTimeout(wifiSetup?.timerId);
+        if (wifiSetup) wifiSetup.timerId = setTimeout(() => handleWifiScanResult(null), WIFI_SCAN_TIMEOUT_MS);
+    }
+    // networks: null when the scan timed out.
+    function handleWifiScanResult(networks) {
+        if (!wifiSetup) return;
+        clearTimeout(wifiSetup.timerId);
+        dom.wifiWizard.scanButton.disabled = false;
+        if (!networks) { dom.wifiWizard.networkList.innerHTML = '<p class="diagnostics-empty">No scan results from the device. Scan again or enter the network manually.</p>'; return; }
+        const strongest = new Map(); // Mesh systems repeat an SSID; keep its best signal
+        networks.filter(n => n.ssid).forEach(n => { if (!strongest.has(n.ssid) || (n.rssi ?? -100) > (strongest.get(n.ssid).rssi ?? -100)) strongest.set(n.ssid, n); });
+        const list = [...strongest.values()].sort((a, b) => (b.rssi ?? -100) - (a.rssi ?? -100));
+        dom.wifiWizard.networkList.innerHTML = list.length === 0 ? '<p class="diagnostics-empty">No networks found. Move the device closer to the router, or enter the network manually.</p>' : list.map(n => `
+            <button type="button" class="wifi-network interactive-button" data-ssid="${escapeHtml(n.ssid)}">
+                <i class="fas fa-wifi ${(n.rssi ?? -100) > -60 ? 'text-green-400' : (n.rssi ?? -100) > -75 ? 'text-yellow-400' : 'text-red-400'}"></i>
+                <span>${escapeHtml(n.ssid)}</span>
+                <span class="wifi-network-meta">${n.secure === false ? 'Open' : '<i class="fas fa-lock"></i>'}${n.rssi !== undefined ? ` · ${Math.round(n.rssi)} dBm` : ''}</span>
+            </button>`).join('');
+    }
+    function chooseWifiNetwork(ssid) {
+        dom.wifiWizard.form.elements.ssid.value = ssid;
+        showWifiWizardStep('credentials');
+        (ssid ? dom.wifiWizard.form.elements.password : dom.wifiWizard.form.elements.ssid).focus();
+    }
+
+    async function handleWifiCredentialsSubmit(e) {
+        e.preventDefault();
+        const form = dom.wifiWizard.form;
+        const ssid = form.elements.ssid.value.trim();
+        const password = form.elements.password.value;
+        const port = parseInt(form.elements.brokerPort.value, 10);
+        if (!ssid || new TextEncoder().encode(ssid).length > 32) { showStatusPopup("Network name must be 1 to 32 bytes."); return; }
+        if (password && (password.length < 8 || password.length > 63)) { showStatusPopup("Wi-Fi password must be 8 to 63 characters, or empty for an open network."); return; }
+        if (!form.elements.brokerHost.value.trim() || !(port >= 1 && port <= 65535)) { showStatusPopup("Enter the broker host and a port between 1 and 65535."); return; }
+        const mqttSettings = currentMqttSettings();
+        const mqtt = {
+            host: form.elements.brokerHost.value.trim(),
+            port,
+            username: form.elements.brokerUsername.value.trim(),
+            password: form.elements.brokerPassword.value,
+            topic: `${mqttSettings.topicPrefix}/${mqttSettings.deviceTopic}` // The device's namespace, as the app subscribes to it
+        };
+        dom.wifiWizard.progress.innerHTML = '';
+        dom.wifiWizard.changeDetailsButton.classList.add('hidden');
+        showWifiWizardStep('join');
+        addWifiProgress(`Sending "${ssid}" to the device...`);
+        try {
+            await sendCommand({ type: "wifi_config", ssid, password, mqtt }, { queueable: false });
+        } catch (error) {
+            addWifiProgress(`The device did not take the settings: ${error.message}`, 'failed');
+            dom.wifiWizard.changeDetailsButton.classList.remove('hidden');
+            return;
+        }
+        if (!wifiSetup) return;
+        wifiSetup.joining = true;
+        wifiSetup.brokerHost = mqtt.host;
+        clearTimeout(wifiSetup.timerId);
+        wifiSetup.timerId = setTimeout(() => handleWifiStatus({ state: "failed", reason: "The device stopped reporting progress." }), WIFI_JOIN_TIMEOUT_MS);
+    }
+    function addWifiProgress(text, state = '') {
+        const item = document.createElement('li');
+        item.className = state;
+        item.textContent = text;
+        dom.wifiWizard.progress.appendChild(item);
+    }
+    function handleWifiStatus(status) {
+        if (!wifiSetup?.joining) return; // Not started from this wizard
+        clearTimeout(wifiSetup.timerId);
+        if (status.state === "failed") {
+            wifiSetup.joining = false;
+            addWifiProgress(`${WIFI_STATUS_TEXT.failed} ${status.reason || 'The device gave no reason.'}`, 'failed');
+            dom.wifiWizard.changeDetailsButton.classList.remove('hidden');
+            return;
+        }
+        addWifiProgress(status.state === "wifi_connected" && status.ip ? `${WIFI_STATUS_TEXT.wifi_connected} Address ${status.ip}.` : WIFI_STATUS_TEXT[status.state], status.state === "mqtt_connected" ? 'succeeded' : '');
+        if (status.state !== "mqtt_connected") {
+            wifiSetup.timerId = setTimeout(() => handleWifiStatus({ state: "failed", reason: "The device stopped reporting progress." }), WIFI_JOIN_TIMEOUT_MS);
+            return;
+        }
+        wifiSetup.joining = false;
+        const sameBroker = wifiSetup.brokerHost === loadMqttSettings().host;
+        addWifiProgress(sameBroker ? "Switching this app to MQTT..." : `Done. This app still uses ${loadMqttSettings().host}; change it under MQTT Broker to reach the device.`, 'succeeded');
+        if (!sameBroker) return;
+        setTimeout(() => {
+            closeWifiWizard();
+            connectMqtt({ keepIfDeviceSilent: true }); // Sends mqtt_activate over BLE, then leaves BLE for the broker
+        }, 1500);
     }
 
+    dom.wifiWizard.openButton?.addEventListener('click', openWifiWizard);
+    dom.wifiWizard.closeButton?.addEventListener('click', closeWifiWizard);
+    dom.wifiWizard.modal?.addEventListener('click', (e) => { if (e.target === dom.wifiWizard.modal) closeWifiWizard(); });
+    dom.wifiWizard.scanButton?.addEventListener('click', startWifiScan);
+    dom.wifiWizard.manualButton?.addEventListener('click', () => chooseWifiNetwork(''));
+    dom.wifiWizard.networkList?.addEventListener('click', (e) => {
+        const network = e.target.closest('[data-ssid]');
+        if (network) chooseWifiNetwork(network.dataset.ssid);
+    });
+    dom.wifiWizard.form?.addEventListener('submit', handleWifiCredentialsSubmit);
+    dom.wifiWizard.backButton?.addEventListener('click', () => showWifiWizardStep('scan'));
+    dom.wifiWizard.changeDetailsButton?.addEventListener('click', () => showWifiWizardStep('credentials'));
+
 
     // --- Common Data Processing ---
-    function processIncomingDeviceData(jsonDataString) {
+    // origin: { viaMqtt, verified, verifyError } for broker traffic (see handleMqttStatusPayload).
+    function processIncomingDeviceData(jsonDataString, origin = {}) {
         // console.log("Main: Processing Data:", jsonDataString); // Can be very verbose
+        if (origin.viaMqtt && loadDeviceSecurity(getActiveDevice().id) && !origin.verified) {
+            Protocol_Ctrl.reportIncoming('unsigned', [`Rejected status from the broker: ${origin.verifyError}`], jsonDataString);
+            return; // Anyone on the public broker could have sent it
+        }
         try {
-            const data = JSON.parse(jsonDataString);
-
-            if (data.roomTemp !== undefined) { roomTemperature = parseFloat(data.roomTemp).toFixed(1); }
-            if (data.humidity !== undefined) { roomHumidity = parseFloat(data.humidity).toFixed(1); }
-            if (data.type === "ac_fan" && data.power !== undefined) { isPowerOn = (data.power === "ON"); if (data.temp !== undefined) currentTemp = data.temp; if (data.mode !== undefined) { const modeIdx = acModes.findIndex(m => m.name === data.mode); if (modeIdx !== -1) currentModeIndex = modeIdx; } if (data.fan_speed !== undefined) currentFanSpeed = data.fan_speed; }
-            if (data.relay_states) { Object.keys(data.relay_states).forEach(key => { const dRN = key.toLowerCase(); const mIRID = Object.keys(relayMapping).find(id => relayMapping[id] === dRN); if (mIRID && relayStates.hasOwnProperty(mIRID)) { relayStates[mIRID] = (data.relay_states[key] === "ON"); } });
-            } else if (data.type === "relay" && data.relay !== undefined && data.value !== undefined) { const dRN = data.relay.toLowerCase(); const mIRID = Object.keys(relayMapping).find(id => relayMapping[id] === dRN); if (mIRID && relayStates.hasOwnProperty(mIRID)) { relayStates[mIRID] = (data.value === "ON"); } }
-            if (data.type && (data.type.endsWith("_ack") || data.type.endsWith("_nack"))) { if (data.type === "schedule_ack") showStatusPopup(`Schedule "${data.schedule}" confirmed by ESP32!`); else if (data.type === "schedule_nack") showStatusPopup(`Schedule "${data.schedule}" rejected by ESP32: ${data.reason || "Unknown"}`); }
+            const parsed = Protocol_Ctrl.parseIncoming(jsonDataString); // Unknown/invalid messages go to the diagnostics view, not into state
+            if (!parsed.ok) return;
+            const data = parsed.data;
+            settlePendingCommand(data);
+            scheduleLastKnownStateSave();
+            logIncomingMessage(data);
+
+            if (data.mtu !== undefined && bluetoothDevice?.gatt?.connected && data.mtu !== bleMtu) { bleMtu = data.mtu; console.log(`Main: BLE MTU is ${bleMtu}; chunking writes to fit.`); }
+            if (data.roomTemp !== undefined) { deviceState.roomTemperature = parseFloat(data.roomTemp).toFixed(1); deviceState.roomTempUpdatedAt = Date.now(); }
+            if (data.humidity !== undefined) { deviceState.roomHumidity = parseFloat(data.humidity).toFixed(1); }
+            if (data.type === "ac_fan" && data.power !== undefined) { deviceState.isPowerOn = (data.power === "ON"); if (data.temp !== undefined) deviceState.currentTemp = data.temp; if (data.mode !== undefined) { const modeIdx = acModes.findIndex(m => m.name === data.mode); if (modeIdx !== -1) deviceState.currentModeIndex = modeIdx; } if (data.fan_speed !== undefined) deviceState.currentFanSpeed = data.fan_speed; recordAcRuntime(); }
+            if (Array.isArray(data.relay_channels)) applyReportedRelayChannels(data.relay_channels); // Before relay_states so new channels pick up their state
+            if (data.relay_states) { Object.keys(data.relay_states).forEach(key => { const relayId = relayIdForName(key); if (relayId) deviceState.relayStates[relayId] = (data.relay_states[key] === "ON"); });
+            } else if (data.type === "relay" && data.relay !== undefined && data.value !== undefined) { const relayId = relayIdForName(data.relay); if (relayId) deviceState.relayStates[relayId] = (data.value === "ON"); }
+            if (Array.isArray(data.relay_timers)) applyRelayTimers(data.relay_timers);
+            if (data.duty_cycle) applyDutyCycleStatus(data.duty_cycle);
+            else if (data.type === "schedule_ack" && data.schedule && data.schedule !== "duty_cycle") deviceState.dutyCycle = null; // Replaced by the new schedule
+            if (data.type === "wifi_scan_result") handleWifiScanResult(data.networks);
+            if (data.type === "wifi_status") handleWifiStatus(data);
+            if (data.roomTemp !== undefined || data.humidity !== undefined) recordEnvironmentReading(data); // After the AC fields so the overlay uses this message's state
+            if (data.roomTemp !== undefined) runThermostat();
+            runAlertRules({
+                roomTemp: data.roomTemp !== undefined ? parseFloat(data.roomTemp) : null,
+                humidity: data.humidity !== undefined ? parseFloat(data.humidity) : null,
+                nack: SCHEDULE_NACK_TYPES.includes(data.type) ? { type: data.type, reason: data.reason } : null
+            });
+            if (data.type && (data.type.endsWith("_ack") || data.type.endsWith("_nack"))) { if (data.type === "schedule_ack") showStatusPopup(`Schedule "${data.schedule}" confirmed by ESP32!`); else if (data.type === "schedule_nack") showStatusPopup(`Schedule "${data.schedule}" rejected by ESP32: ${data.reason || "Unknown"}`); else if (data.type.endsWith("_nack")) showStatusPopup(`ESP32 rejected "${data.type.replace(/_nack$/, '')}": ${data.reason || "Unknown"}`); }
             
             // ESP32 specific message for BLE client connected notification (confirming ESP32's own state)
             if (data.type === "connection_status" && data.status === "connected_to_esp32" && currentCommunicationMode === 'ble') {
@@ -448,7 +2142,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
         } catch (error) {
-            console.warn("Main: JSON Parse Error in processIncomingDeviceData. Raw:", jsonDataString, "Error:", error.message);
+            console.warn("Main: Error in processIncomingDeviceData. Raw:", jsonDataString, "Error:", error.message);
         } finally {
             updateAllUIs(); // Always refresh UI after processing data
         }
@@ -456,79 +2150,283 @@ document.addEventListener('DOMContentLoaded', () => {
     
     function resetDeviceStateAndUI() {
         console.log("Main: Resetting device state and UI.");
-        roomTemperature = 0; roomHumidity = 0;
-        isPowerOn = false; currentTemp = 24; currentModeIndex = 0; currentFanSpeed = fanSpeedCycleOrder[0];
-        Object.keys(relayStates).forEach(k => relayStates[k] = false);
+        if (typeof Energy_Ctrl !== 'undefined') Energy_Ctrl.pause(deviceRegistry.activeDeviceId, Date.now());
+        deviceState.roomTemperature = 0; deviceState.roomHumidity = 0;
+        deviceState.isPowerOn = false; deviceState.currentTemp = 24; deviceState.currentModeIndex = 0; deviceState.currentFanSpeed = fanSpeedCycleOrder[0];
+        Object.keys(deviceState.relayStates).forEach(k => deviceState.relayStates[k] = false);
+        deviceState.relayTimers = {}; // Read back from the device on the next connect
+        deviceState.dutyCycle = null;
+        deviceState.syncStatus = 'unknown';
+        Protocol_Ctrl.resetPeer();
         updateAllUIs();
+        renderStateSyncBanner();
     }
 
-    async function sendInitialAcStateIfConnected() {
+    // --- Device State Handshake ---
+    // On connect the app asks the ESP32 for its full state instead of pushing whatever the page holds:
+    //   -> { type: "state_request", req_id }
+    //   <- { type: "state_request_ack", req_id, ac: { power, temp, mode, fan_speed }, relay_states: { LIGHT: "ON", ... },
+    //        relay_channels: [ { id: "relay1", name: "LIGHT" }, ... ], roomTemp, humidity, schedules: [ <schedule entry>, ... ],
+    //        relay_schedules: [ <relay schedule entry>, ... ], relay_timers: [ { relay, value, remaining_s }, ... ] }
+    // relay_channels, relay_states, relay_timers, roomTemp and humidity are picked up by processIncomingDeviceData like in any other message.
+    // The page's own state is only sent when the user asks for it (pushAppStateToDevice).
+    async function requestDeviceSnapshot() {
         await new Promise(resolve => setTimeout(resolve, 700)); // Allow connection to fully settle
-        if (isConnectedAndReadyForUserAction()) {
-            console.log(`Main: Sending initial AC state via ${currentCommunicationMode}.`);
-            const success = await sendAcState();
-            if (success) {
-                 console.log(`Main: Initial AC state sent successfully via ${currentCommunicationMode}.`);
-            } // else, sendCommand would have shown error
-        } else {
-            console.log("Main: sendInitialAcStateIfConnected - Not connected/ready, skipping initial state send.");
+        if (!isConnectedAndReadyForUserAction({ queueable: false })) {
+            console.log("Main: requestDeviceSnapshot - Not connected/ready, skipping state request.");
+            return;
         }
+        const targetState = deviceState;
+        targetState.syncStatus = 'syncing';
+        renderStateSyncBanner();
+        try {
+            const snapshot = await sendCommand({ type: "state_request" }, { queueable: false });
+            applyDeviceSnapshot(targetState, snapshot);
+            if (targetState === deviceState && snapshot?.ac) recordAcRuntime(); // An AC already running at connect counts from now
+            targetState.syncStatus = 'synced';
+            console.log(`Main: Device state snapshot applied via ${currentCommunicationMode}.`);
+        } catch (error) {
+            console.warn("Main: Device state snapshot not received:", error.message); // sendCommand already showed the error
+            targetState.syncStatus = 'failed';
+        }
+        updateAllUIs();
+        renderStateSyncBanner();
+    }
+    function applyDeviceSnapshot(targetState, snapshot) {
+        const ac = snapshot?.ac;
+        if (ac && ac.power !== undefined) {
+            targetState.isPowerOn = ac.power === "ON";
+            if (Number.isFinite(Number(ac.temp))) targetState.currentTemp = Number(ac.temp);
+            const modeIdx = acModes.findIndex(m => m.name === ac.mode);
+            if (modeIdx !== -1) targetState.currentModeIndex = modeIdx;
+            if (fanSpeedCycleOrder.includes(ac.fan_speed)) targetState.currentFanSpeed = ac.fan_speed;
+        }
+        if (Array.isArray(snapshot?.schedules)) targetState.scheduleEntries = snapshot.schedules.map(normalizeScheduleEntry).filter(Boolean);
+        if (Array.isArray(snapshot?.relay_schedules)) targetState.relaySchedules = snapshot.relay_schedules.map(normalizeRelaySchedule).filter(Boolean);
+    }
+    // Explicit user action: overwrite the device with what the page shows (AC and every relay).
+    async function pushAppStateToDevice() {
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; }
+        if (!confirm(`Overwrite the state of ${getActiveDevice().name} with the values shown in the app?`)) return;
+        try {
+            await sendAcState();
+            for (const relayId of Object.keys(deviceState.relayStates)) await sendRelayState(relayId, deviceState.relayStates[relayId]);
+            deviceState.syncStatus = 'synced';
+            showStatusPopup(`App state sent to ${getActiveDevice().name}.`);
+        } catch (error) { /* sendCommand or the nack handler already told the user */ }
+        renderStateSyncBanner();
+    }
+    function renderStateSyncBanner() {
+        const { banner, message, retryButton, pushButton } = dom.stateSync;
+        if (!banner) return;
+        const status = deviceState.syncStatus;
+        banner.classList.toggle('hidden', status === 'unknown' || status === 'synced');
+        banner.classList.toggle('failed', status === 'failed');
+        banner.classList.toggle('stale', status === 'stale');
+        message.textContent = status === 'syncing' ? `Reading current state from ${getActiveDevice().name}...`
+            : status === 'stale' ? `Showing the last known state of ${getActiveDevice().name} from ${new Date(deviceState.staleSince).toLocaleString()}. Connect to refresh it.`
+            : `Could not read the state of ${getActiveDevice().name}. The controls may not match the device.`;
+        retryButton.classList.toggle('hidden', status !== 'failed');
+        pushButton.classList.toggle('hidden', status !== 'failed');
     }
+    dom.stateSync.retryButton?.addEventListener('click', requestDeviceSnapshot);
+    dom.stateSync.pushButton?.addEventListener('click', pushAppStateToDevice);
+
+    // --- Command Acknowledgement Tracking ---
+    // Every command carries a req_id; the ESP32 echoes it in its "<type>_ack" / "<type>_nack" reply.
+    const COMMAND_SETTINGS_STORAGE_KEY = 'acRemote.commandSettings';
+    const DEFAULT_COMMAND_SETTINGS = { ackTimeoutMs: 3000, maxRetries: 2 };
+    const pendingCommands = new Map(); // req_id -> { command, resolve, reject, timeoutId, attempt }
+    let requestCounter = 0;
+    function loadCommandSettings() { return { ...DEFAULT_COMMAND_SETTINGS, ...loadStoredJson(COMMAND_SETTINGS_STORAGE_KEY, {}) }; }
+    function nextRequestId() { requestCounter = (requestCounter + 1) % 100000; return `${Date.now().toString(36)}-${requestCounter}`; }
+    function commandError(message, code) { const error = new Error(message); error.code = code; return error; } // code: 'not_connected' | 'invalid' | 'transport' | 'nack' | 'timeout'
+
+    function settlePendingCommand(data) {
+        if (!data.type || !/_n?ack$/.test(data.type)) return;
+        const baseType = data.type.replace(/_n?ack$/, '');
+        let reqId = data.req_id;
+        if (reqId === undefined) {
+            // Firmware that doesn't echo req_id yet: settle the oldest pending command of the same type.
+            reqId = [...pendingCommands.keys()].find(id => pendingCommands.get(id).command.type === baseType);
+        }
+        const pending = pendingCommands.get(reqId);
+        if (!pending) return; // Late or duplicate reply for a command that is already settled
+        clearTimeout(pending.timeoutId);
+        pendingCommands.delete(reqId);
+        if (data.type.endsWith('_nack')) pending.reject(commandError(`Device rejected "${baseType}": ${data.reason || "Unknown"}`, 'nack'));
+        else pending.resolve(data);
+    }
+
+    // Applies a change to the active device's state right away, and undoes it if the command fails.
+    // Only keys still holding the optimistic value are restored, so newer status from the device wins.
+    async function runOptimisticCommand(keys, applyChange, send) {
+        const clone = (value) => JSON.parse(JSON.stringify(value));
+        const previous = {}; keys.forEach(k => previous[k] = clone(deviceState[k]));
+        applyChange();
+        const optimistic = {}; keys.forEach(k => optimistic[k] = JSON.stringify(deviceState[k]));
+        const targetState = deviceState;
+        updateAllUIs();
+        try {
+            await send();
+            return true;
+        } catch (error) {
+            console.warn("Main: Command failed, rolling back UI:", error.message);
+            keys.forEach(k => { if (JSON.stringify(targetState[k]) === optimistic[k]) targetState[k] = previous[k]; });
+            updateAllUIs();
+            return false;
+        }
+    }
+
+    // --- MQTT Outbox Indicator ---
+    function updateOutboxIndicator(count) {
+        if (!dom.outboxIndicator) return;
+        dom.outboxIndicator.classList.toggle('hidden', count === 0);
+        dom.outboxCount.textContent = count;
+        const pendingTypes = typeof MQTT_Ctrl !== 'undefined' ? MQTT_Ctrl.getOutbox().map(entry => entry.command.type === 'relay' ? `relay ${entry.command.relay} ${entry.command.value}` : entry.command.type) : [];
+        dom.outboxIndicator.title = `${count} command(s) waiting for the device:\n${pendingTypes.join('\n')}\nClick to discard.`;
+    }
+    function handleOutboxIndicatorClick() {
+        const count = MQTT_Ctrl.getOutbox().length;
+        if (count && confirm(`Discard ${count} pending command(s)? They will not be sent to the device.`)) MQTT_Ctrl.clearOutbox();
+    }
+    dom.outboxIndicator?.addEventListener('click', handleOutboxIndicatorClick);
 
     // --- Unified Command Sender ---
-    async function sendCommand(commandObject) {
+    // Resolves with the device's ack (or right after transmission when expectAck is false).
+    // Rejects on nack, on timeout after the configured retries, or when the transport fails.
+    // queueable: whether the command may wait in the MQTT outbox while the device is offline. Reads and
+    // system commands only make sense right now, never as a delayed replay.
+    async function sendCommand(commandObject, options) {
+        const transport = currentCommunicationMode;
+        const detail = { via: transport, command: redactForLog(commandObject) };
+        try {
+            const outcome = await dispatchCommand(commandObject, options);
+            logActivity('command', commandObject.type, detail, outcome?.queued ? 'queued' : outcome === null ? 'sent' : 'ack');
+            return outcome;
+        } catch (error) {
+            logActivity('command', commandObject.type, { ...detail, error: error.message }, error.code || 'failed');
+            throw error;
+        }
+    }
+    async function dispatchCommand(commandObject, { expectAck = true, queueable = commandObject.type !== 'system_control' } = {}) {
         if (!isConnectedAndReadyForUserAction()) {
             // Only show popup IF the call was likely due to direct user action on a control
             // For scheduled/automatic things, console log is enough. This function is generic, so needs care.
             // For now, the user action handlers check first, so this popup acts as a safeguard.
             showStatusPopup("Command not sent: Not connected. Please connect first.");
-            return false;
+            throw commandError("Not connected", 'not_connected');
+        }
+        const { ok, message: command, errors } = Protocol_Ctrl.prepareOutgoing({ ...commandObject, req_id: nextRequestId() });
+        if (!ok) {
+            showStatusPopup(`Command "${commandObject.type}" not sent: ${errors[0]}.`);
+            throw commandError(errors.join('; '), 'invalid');
+        }
+        if (currentCommunicationMode === 'mqtt' && !MQTT_Ctrl.isFullyConnected()) {
+            if (!queueable) {
+                showStatusPopup(`Device is offline. "${command.type}" cannot be queued.`);
+                throw commandError("Device offline", 'not_connected');
+            }
+            MQTT_Ctrl.enqueue(command);
+            return { queued: true }; // The UI keeps the optimistic state; the pending indicator shows the queue
+        }
+        if (!expectAck) {
+            await transmitCommand(command);
+            return null;
         }
 
-        let success = false;
-        console.log(`Main: Attempting to send command via ${currentCommunicationMode}:`, commandObject);
+        const { ackTimeoutMs, maxRetries } = loadCommandSettings();
+        return new Promise((resolve, reject) => {
+            const pending = { command, resolve, reject, timeoutId: null, attempt: 0 };
+            pendingCommands.set(command.req_id, pending);
+            const attemptSend = async () => {
+                pending.attempt++;
+                try {
+                    await transmitCommand(command);
+                } catch (error) {
+                    pendingCommands.delete(command.req_id);
+                    reject(error);
+                    return;
+                }
+                if (!pendingCommands.has(command.req_id)) return; // Ack arrived while the write was completing
+                pending.timeoutId = setTimeout(() => {
+                    if (!pendingCommands.has(command.req_id)) return;
+                    if (pending.attempt <= maxRetries && isConnectedAndReadyForUserAction({ queueable: false })) {
+                        console.warn(`Main: No ack for ${command.type} (${command.req_id}), retry ${pending.attempt}/${maxRetries}.`);
+                        attemptSend();
+                        return;
+                    }
+                    pendingCommands.delete(command.req_id);
+                    showStatusPopup(`No response from device for "${command.type}". Change reverted.`);
+                    reject(commandError(`No ack for "${command.type}" after ${pending.attempt} attempt(s)`, 'timeout'));
+                }, ackTimeoutMs);
+            };
+            attemptSend();
+        });
+    }
+
+    const BLE_ONLY_COMMANDS = ['key_provision', 'wifi_scan', 'wifi_config'];
+    function redactForLog(command) {
+        if (command.type === 'key_provision') return { ...command, key: '(hidden)' };
+        if (command.type === 'wifi_config') return { ...command, password: '(hidden)', mqtt: { ...command.mqtt, password: '(hidden)' } };
+        return command;
+    }
+    async function transmitCommand(command) {
+        console.log(`Main: Attempting to send command via ${currentCommunicationMode}:`, redactForLog(command));
+        if (BLE_ONLY_COMMANDS.includes(command.type) && currentCommunicationMode !== 'ble') { // Keys and passwords must never cross the broker
+            throw commandError(`"${command.type}" is only sent over Bluetooth`, 'invalid');
+        }
 
         if (currentCommunicationMode === 'ble') {
             if (!commandCharacteristic) {
                 console.error("Main: BLE commandCharacteristic is null. Cannot send.");
                 showStatusPopup("BLE Error: Characteristic missing.");
-                return false;
+                throw commandError("BLE characteristic missing", 'transport');
             }
-            const jsonString = JSON.stringify(commandObject);
-            const encoder = new TextEncoder();
-            const dataToSend = encoder.encode(jsonString);
             try {
-                await commandCharacteristic.writeValueWithoutResponse(dataToSend);
-                success = true;
+                await writeBleMessage(JSON.stringify(command));
             } catch (error) {
                 console.error("Main: BLE TX Error:", error.name, error.message);
                 showStatusPopup(`BLE Send Failed: ${error.message.split('.')[0]}.`); // Short error
                 // More critical errors might warrant a disconnect attempt or specific handling.
                 if (error.name === 'NetworkError' || error.name === 'NotFoundError') { // e.g. device went out of range during operation
-                    disconnectBluetoothDevice(); // Attempt to reset connection state
+                    // Treated as a drop, not a user disconnect, so the failover policy applies
+                    if (bluetoothDevice?.gatt?.connected) bluetoothDevice.gatt.disconnect(); // Fires gattserverdisconnected
+                    else onBleDisconnected(null);
                 }
+                throw commandError(error.message, 'transport');
             }
         } else if (currentCommunicationMode === 'mqtt' && typeof MQTT_Ctrl !== 'undefined') {
-            success = MQTT_Ctrl.publish(commandObject);
-            if (!success) {
-                showStatusPopup(`MQTT Send Failed for type "${commandObject.type}".`);
+            if (!await MQTT_Ctrl.publish(JSON.stringify(command))) {
+                showStatusPopup(`MQTT Send Failed for type "${command.type}".`);
+                throw commandError("MQTT publish failed", 'transport');
+            }
+        } else if (currentCommunicationMode === 'lan' && typeof LAN_Ctrl !== 'undefined') {
+            if (!LAN_Ctrl.send(JSON.stringify(command))) {
+                showStatusPopup(`LAN Send Failed for type "${command.type}".`);
+                throw commandError("LAN socket not open", 'transport');
+            }
+        } else if (currentCommunicationMode === 'sim' && typeof SIM_Ctrl !== 'undefined') {
+            if (!SIM_Ctrl.send(JSON.stringify(command))) {
+                showStatusPopup(`Simulator Send Failed for type "${command.type}".`);
+                throw commandError("Simulator offline", 'transport');
             }
         } else {
             console.warn("Main: No active/valid communication mode for sendCommand.");
             showStatusPopup("Command not sent: Connection mode issue.");
+            throw commandError("No active communication mode", 'not_connected');
         }
-        if(success) console.log("Main: Command sent successfully via " + currentCommunicationMode);
-        return success;
+        console.log("Main: Command sent successfully via " + currentCommunicationMode);
     }
 
     // --- Specific Command Senders ---
-    async function sendAcState() { return await sendCommand({ type: "ac_fan", power:isPowerOn?"ON":"OFF", temp:currentTemp, mode:acModes[currentModeIndex].name, fan_speed:currentFanSpeed }); }
+    async function sendAcState() { return await sendCommand({ type: "ac_fan", power:deviceState.isPowerOn?"ON":"OFF", temp:deviceState.currentTemp, mode:acModes[deviceState.currentModeIndex].name, fan_speed:deviceState.currentFanSpeed }); }
     async function sendRelayState(cleanRelayId, isOn) { return await sendCommand({ type: "relay", relay: cleanRelayId, value: isOn ? "ON" : "OFF" }); }
-    async function sendShutdownCommand() { return await sendCommand({ type: "system_control", command: "shutdown" }); }
+    async function sendShutdownCommand() { return await sendCommand({ type: "system_control", command: "shutdown" }, { expectAck: false }); } // The ESP32 powers down before it could ack
     
     async function applyAutomationSchedule(type) {
         if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to apply schedule."); return false; }
-        const config = automationConfigs[type];
+        const config = deviceState.automationConfigs[type];
         let scheduleCommand;
         // Construct the schedule object to match ESP32's expectation for BLE 'schedule' command
         // ESP32 `processBleCommand` type 'schedule' also takes power, mode, temp, fan for that schedule.
@@ -536,27 +2434,41 @@ document.addEventListener('DOMContentLoaded', () => {
             scheduleCommand = { type: "schedule", schedule_type: "fixed", time: config.time, power: "ON", temp: config.temp, mode: acModes[config.modeIndex].name, fan_speed: config.fan };
         } else if (type === 'oscillation') {
             scheduleCommand = { type: "schedule", schedule_type: "oscillation", on_time: config.on_time, off_time: config.off_time, power: "ON", temp: config.temp, mode: acModes[config.modeIndex].name, fan_speed: config.fan  };
+        } else if (type === 'sleep_curve') {
+            const error = sleepCurveError(config);
+            if (error) { showStatusPopup(`Sleep curve not applied: ${error}.`); return false; }
+            // power/temp/fan_speed carry the first point, so firmware without curve support still gets a valid schedule to nack
+            scheduleCommand = { type: "schedule", schedule_type: "sleep_curve", on_time: config.start, off_time: config.end, power: "ON", temp: config.points[0].temp, mode: acModes[config.modeIndex].name, fan_speed: config.points[0].fan,
+                points: config.points.map(p => ({ offset_min: p.offset_min, temp: p.temp, fan_speed: p.fan })) };
+        } else if (type === 'duty_cycle') {
+            const error = dutyCycleError(config);
+            if (error) { showStatusPopup(`Duty cycle not applied: ${error}.`); return false; }
+            // The run phase uses the usual power/temp/mode/fan_speed; off_time and cycles are mutually exclusive limits
+            scheduleCommand = { type: "schedule", schedule_type: "duty_cycle", on_time: config.start, ...(config.limit === 'window' ? { off_time: config.end } : { cycles: config.cycles }),
+                run_minutes: config.runMinutes, rest_minutes: config.restMinutes, power: "ON", temp: config.run.temp, mode: acModes[config.run.modeIndex].name, fan_speed: config.run.fan,
+                rest: { power: config.rest.power, temp: config.rest.temp, mode: acModes[config.rest.modeIndex].name, fan_speed: config.rest.fan } };
         } else { console.error("Main: Unknown automation type for schedule:", type); return false; }
         
-        showStatusPopup(`Applying ${type} schedule via ${currentCommunicationMode}...`);
-        const success = await sendCommand(scheduleCommand);
-        if(success) {
-             showStatusPopup(`${type.charAt(0).toUpperCase() + type.slice(1)} schedule command sent.`);
-        } // else sendCommand shows its own error.
-        return success;
+        showStatusPopup(`Applying ${type.replace('_', ' ')} schedule via ${currentCommunicationMode}...`);
+        try {
+            await sendCommand(scheduleCommand); // schedule_ack / schedule_nack popups come from processIncomingDeviceData
+            return true;
+        } catch (error) {
+            return false; // sendCommand or the nack handler already told the user
+        }
     }
 
 
     // --- Event Handlers for UI controls (they check isConnectedAndReadyForUserAction first) ---
-    async function handlePowerToggle(uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } const oS = isPowerOn; isPowerOn = !oS; updateAllUIs(); if (!await sendAcState()) { isPowerOn = oS; updateAllUIs(); /* sendAcState shows error */ } }
-    async function handleTempChange(uiContext, increase) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!isPowerOn) { showStatusPopup("AC is off. Turn it on to change temperature."); return; } const oT = currentTemp; if (increase && oT < 30) currentTemp++; else if (!increase && oT > 16) currentTemp--; const tDEl = uiContext==='desktop'?dom.ac.tempDisplay:dom.acMobile.tempDisplay; if (oT!==currentTemp && tDEl){tDEl.classList.add('temp-changing');setTimeout(()=>tDEl.classList.remove('temp-changing'),350);} updateAllUIs(); if (!await sendAcState()) { currentTemp = oT; updateAllUIs(); } }
-    async function handleModeChange(uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!isPowerOn) { showStatusPopup("AC is off. Turn it on to change mode."); return; } const oMI = currentModeIndex; currentModeIndex = (oMI + 1) % acModes.length; updateAllUIs(); if (!await sendAcState()) { currentModeIndex = oMI; updateAllUIs(); } }
-    async function handleFanCycle(increase) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!isPowerOn) { showStatusPopup("AC is off. Turn it on to change fan speed."); return; } const oFS = currentFanSpeed; let idx = fanSpeedCycleOrder.indexOf(oFS); idx = increase ? (idx + 1) % fanSpeedCycleOrder.length : (idx - 1 + fanSpeedCycleOrder.length) % fanSpeedCycleOrder.length; currentFanSpeed = fanSpeedCycleOrder[idx]; updateAllUIs(); if (!await sendAcState()) { currentFanSpeed = oFS; updateAllUIs(); } }
-    async function handleFanLevelSelect(speed, uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!isPowerOn) { showStatusPopup("AC is off. Turn it on to select fan speed."); return; } if(!fanSpeedCycleOrder.includes(speed)) return; const oFS = currentFanSpeed; currentFanSpeed = speed; updateAllUIs(); if (!await sendAcState()) { currentFanSpeed = oFS; updateAllUIs(); } }
-    async function handleRelayToggle(relayId, eventTarget) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); eventTarget.checked = !eventTarget.checked; return; } const prevRelayState = relayStates[relayId]; relayStates[relayId] = eventTarget.checked; updateAllUIs(); const baseRelayId = relayId.replace('ToggleDesktop', '').replace('ToggleMobile', ''); if (!await sendRelayState(baseRelayId, eventTarget.checked)) { relayStates[relayId] = prevRelayState; updateAllUIs(); } }
+    async function handlePowerToggle(uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } await runOptimisticCommand(['isPowerOn'], () => { deviceState.isPowerOn = !deviceState.isPowerOn; }, sendAcState); }
+    async function handleTempChange(uiContext, increase) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!deviceState.isPowerOn) { showStatusPopup("AC is off. Turn it on to change temperature."); return; } const oT = deviceState.currentTemp; await runOptimisticCommand(['currentTemp'], () => { if (increase && oT < 30) deviceState.currentTemp++; else if (!increase && oT > 16) deviceState.currentTemp--; const tDEl = uiContext==='desktop'?dom.ac.tempDisplay:dom.acMobile.tempDisplay; if (oT!==deviceState.currentTemp && tDEl){tDEl.classList.add('temp-changing');setTimeout(()=>tDEl.classList.remove('temp-changing'),350);} }, sendAcState); }
+    async function handleModeChange(uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!deviceState.isPowerOn) { showStatusPopup("AC is off. Turn it on to change mode."); return; } await runOptimisticCommand(['currentModeIndex'], () => { deviceState.currentModeIndex = (deviceState.currentModeIndex + 1) % acModes.length; }, sendAcState); }
+    async function handleFanCycle(increase) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!deviceState.isPowerOn) { showStatusPopup("AC is off. Turn it on to change fan speed."); return; } await runOptimisticCommand(['currentFanSpeed'], () => { let idx = fanSpeedCycleOrder.indexOf(deviceState.currentFanSpeed); idx = increase ? (idx + 1) % fanSpeedCycleOrder.length : (idx - 1 + fanSpeedCycleOrder.length) % fanSpeedCycleOrder.length; deviceState.currentFanSpeed = fanSpeedCycleOrder[idx]; }, sendAcState); }
+    async function handleFanLevelSelect(speed, uiContext) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (!deviceState.isPowerOn) { showStatusPopup("AC is off. Turn it on to select fan speed."); return; } if(!fanSpeedCycleOrder.includes(speed)) return; await runOptimisticCommand(['currentFanSpeed'], () => { deviceState.currentFanSpeed = speed; }, sendAcState); }
+    async function handleRelayToggle(relayId, eventTarget) { if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); eventTarget.checked = !eventTarget.checked; return; } const isOn = eventTarget.checked; await runOptimisticCommand(['relayStates'], () => { deviceState.relayStates[relayId] = isOn; }, () => sendRelayState(relayId, isOn)); }
     
     // Mobile Page Navigation (should be fine from input_file_0.js)
-    function showMobilePage(pageIdToShow, pageTitle) { Object.values(dom.mobilePages).forEach(c => { if(c) c.classList.remove('active'); }); if (dom.mobilePages[pageIdToShow]) { dom.mobilePages[pageIdToShow].classList.add('active'); dom.mobilePageTitle.textContent = pageTitle; } dom.mobileNavLinks.forEach(l => l.classList.toggle('active-nav', l.dataset.page === pageIdToShow)); closeMobileMenu(); updateAllUIs(); }
+    function showMobilePage(pageIdToShow, pageTitle) { Object.values(dom.mobilePages).forEach(c => { if(c) c.classList.remove('active'); }); if (dom.mobilePages[pageIdToShow]) { dom.mobilePages[pageIdToShow].classList.add('active'); dom.mobilePageTitle.textContent = pageTitle; } dom.mobileNavLinks.forEach(l => l.classList.toggle('active-nav', l.dataset.page === pageIdToShow)); closeMobileMenu(); updateAllUIs(); if (pageIdToShow === 'environmentMobilePage') renderEnvironmentHistory(); }
     function openMobileMenu() { dom.mobileMenuDrawer.classList.add('open'); dom.menuOverlay.classList.remove('hidden'); }
     function closeMobileMenu() { dom.mobileMenuDrawer.classList.remove('open'); dom.menuOverlay.classList.add('hidden');}
     dom.mobileMenuButton?.addEventListener('click', openMobileMenu);
@@ -565,17 +2477,21 @@ document.addEventListener('DOMContentLoaded', () => {
     dom.mobileNavLinks.forEach(link => { link.addEventListener('click', (e) => { e.preventDefault(); showMobilePage(link.dataset.page, link.dataset.title); }); });
     
     // Event Listeners for Main Controls (Desktop & Mobile)
-    dom.ac.power?.addEventListener('click', () => handlePowerToggle('desktop')); dom.ac.tempUp?.addEventListener('click', () => handleTempChange('desktop', true)); dom.ac.tempDown?.addEventListener('click', () => handleTempChange('desktop', false)); dom.ac.mode?.addEventListener('click', () => handleModeChange('desktop')); dom.fanDesktop.up?.addEventListener('click', () => handleFanCycle(true)); dom.fanDesktop.down?.addEventListener('click', () => handleFanCycle(false)); fanSpeedVisualDesktop.forEach(s => dom.fanDesktop.levels[s]?.addEventListener('click', () => handleFanLevelSelect(s, 'desktop'))); for (const id in dom.relaysDesktop) dom.relaysDesktop[id]?.addEventListener('change', (e) => handleRelayToggle(id, e.target));
-    dom.acMobile.power?.addEventListener('click', () => handlePowerToggle('mobile')); dom.acMobile.tempUp?.addEventListener('click', () => handleTempChange('mobile', true)); dom.acMobile.tempDown?.addEventListener('click', () => handleTempChange('mobile', false)); dom.acMobile.mode?.addEventListener('click', () => handleModeChange('mobile')); dom.fanMobile.up?.addEventListener('click', () => handleFanCycle(true)); dom.fanMobile.down?.addEventListener('click', () => handleFanCycle(false)); fanSpeedVisualMobile.forEach(s => dom.fanMobile.levels[s]?.addEventListener('click', () => handleFanLevelSelect(s, 'mobile'))); for (const id in dom.relaysMobile) dom.relaysMobile[id]?.addEventListener('change', (e) => handleRelayToggle(id, e.target));
+    dom.ac.power?.addEventListener('click', () => handlePowerToggle('desktop')); dom.ac.tempUp?.addEventListener('click', () => handleTempChange('desktop', true)); dom.ac.tempDown?.addEventListener('click', () => handleTempChange('desktop', false)); dom.ac.mode?.addEventListener('click', () => handleModeChange('desktop')); dom.fanDesktop.up?.addEventListener('click', () => handleFanCycle(true)); dom.fanDesktop.down?.addEventListener('click', () => handleFanCycle(false)); fanSpeedVisualDesktop.forEach(s => dom.fanDesktop.levels[s]?.addEventListener('click', () => handleFanLevelSelect(s, 'desktop')));
+    dom.acMobile.power?.addEventListener('click', () => handlePowerToggle('mobile')); dom.acMobile.tempUp?.addEventListener('click', () => handleTempChange('mobile', true)); dom.acMobile.tempDown?.addEventListener('click', () => handleTempChange('mobile', false)); dom.acMobile.mode?.addEventListener('click', () => handleModeChange('mobile')); dom.fanMobile.up?.addEventListener('click', () => handleFanCycle(true)); dom.fanMobile.down?.addEventListener('click', () => handleFanCycle(false)); fanSpeedVisualMobile.forEach(s => dom.fanMobile.levels[s]?.addEventListener('click', () => handleFanLevelSelect(s, 'mobile')));
+    Object.values(dom.relayLists).forEach(list => { // Cards are rebuilt by renderRelayCards()
+        list?.addEventListener('change', (e) => { if (e.target.dataset.relayId) handleRelayToggle(e.target.dataset.relayId, e.target); });
+        list?.addEventListener('click', (e) => { const timerButton = e.target.closest('[data-relay-action="timer"]'); if (timerButton) openRelayEditor(timerButton.dataset.relayId); });
+    });
 
     // Automation UI Controls (value changes, no network here)
-    function handleAutomationTypeSelect(type) { currentAutomationType = type; updateAutomationUI(); }
-    function handleAutomationTempChange(configType, increase) { let cfg=automationConfigs[configType]; if(increase && cfg.temp<30)cfg.temp++; else if(!increase && cfg.temp>16)cfg.temp--; updateAutomationUI();}
-    function handleAutomationModeChange(configType) { let cfg=automationConfigs[configType]; cfg.modeIndex=(cfg.modeIndex+1)%acModes.length; updateAutomationUI(); }
-    function handleAutomationFanCycle(configType, increase) { let cfg=automationConfigs[configType]; let idx=fanSpeedCycleOrder.indexOf(cfg.fan); idx = increase?(idx+1)%fanSpeedCycleOrder.length : (idx-1+fanSpeedCycleOrder.length)%fanSpeedCycleOrder.length; cfg.fan=fanSpeedCycleOrder[idx]; updateAutomationUI(); }
-    function handleAutomationFanLevelSelect(configType, speed) { if(!fanSpeedCycleOrder.includes(speed))return; automationConfigs[configType].fan=speed; updateAutomationUI(); }
+    function handleAutomationTypeSelect(type) { deviceState.currentAutomationType = type; updateAutomationUI(); }
+    function handleAutomationTempChange(configType, increase) { let cfg=deviceState.automationConfigs[configType]; if(increase && cfg.temp<30)cfg.temp++; else if(!increase && cfg.temp>16)cfg.temp--; updateAutomationUI();}
+    function handleAutomationModeChange(configType) { let cfg=deviceState.automationConfigs[configType]; cfg.modeIndex=(cfg.modeIndex+1)%acModes.length; updateAutomationUI(); }
+    function handleAutomationFanCycle(configType, increase) { let cfg=deviceState.automationConfigs[configType]; let idx=fanSpeedCycleOrder.indexOf(cfg.fan); idx = increase?(idx+1)%fanSpeedCycleOrder.length : (idx-1+fanSpeedCycleOrder.length)%fanSpeedCycleOrder.length; cfg.fan=fanSpeedCycleOrder[idx]; updateAutomationUI(); }
+    function handleAutomationFanLevelSelect(configType, speed) { if(!fanSpeedCycleOrder.includes(speed))return; deviceState.automationConfigs[configType].fan=speed; updateAutomationUI(); }
     // Event Listeners for Automation UI Controls (as in your input_file_0.js)
-    dom.automation.fixedTimeMobile?.addEventListener('change', (e) => { automationConfigs.fixed.time = e.target.value; }); dom.automation.oscillationOnTimeMobile?.addEventListener('change', (e) => { automationConfigs.oscillation.on_time = e.target.value; }); dom.automation.oscillationOffTimeMobile?.addEventListener('change', (e) => { automationConfigs.oscillation.off_time = e.target.value; }); dom.automation.fixedTimeDesktop?.addEventListener('change', (e) => { automationConfigs.fixed.time = e.target.value; }); dom.automation.oscillationOnTimeDesktop?.addEventListener('change', (e) => { automationConfigs.oscillation.on_time = e.target.value; }); dom.automation.oscillationOffTimeDesktop?.addEventListener('change', (e) => { automationConfigs.oscillation.off_time = e.target.value; });
+    dom.automation.fixedTimeMobile?.addEventListener('change', (e) => { deviceState.automationConfigs.fixed.time = e.target.value; }); dom.automation.oscillationOnTimeMobile?.addEventListener('change', (e) => { deviceState.automationConfigs.oscillation.on_time = e.target.value; }); dom.automation.oscillationOffTimeMobile?.addEventListener('change', (e) => { deviceState.automationConfigs.oscillation.off_time = e.target.value; }); dom.automation.fixedTimeDesktop?.addEventListener('change', (e) => { deviceState.automationConfigs.fixed.time = e.target.value; }); dom.automation.oscillationOnTimeDesktop?.addEventListener('change', (e) => { deviceState.automationConfigs.oscillation.on_time = e.target.value; }); dom.automation.oscillationOffTimeDesktop?.addEventListener('change', (e) => { deviceState.automationConfigs.oscillation.off_time = e.target.value; });
     dom.automation.fixedBtnMobile?.addEventListener('click', () => handleAutomationTypeSelect('fixed')); dom.automation.oscillationBtnMobile?.addEventListener('click', () => handleAutomationTypeSelect('oscillation')); dom.automation.fixedBtnDesktop?.addEventListener('click', () => handleAutomationTypeSelect('fixed')); dom.automation.oscillationBtnDesktop?.addEventListener('click', () => handleAutomationTypeSelect('oscillation'));
     document.getElementById('fixedTempDownMobile')?.addEventListener('click', () => handleAutomationTempChange('fixed', false)); document.getElementById('fixedTempUpMobile')?.addEventListener('click', () => handleAutomationTempChange('fixed', true)); document.getElementById('fixedModeChangeMobile')?.addEventListener('click', () => handleAutomationModeChange('fixed')); document.getElementById('fixedFanSpeedDownMobile')?.addEventListener('click', () => handleAutomationFanCycle('fixed', false)); document.getElementById('fixedFanSpeedUpMobile')?.addEventListener('click', () => handleAutomationFanCycle('fixed', true)); dom.automation.fanSpeedLevelsFixedMobile.forEach(el => el.addEventListener('click', () => handleAutomationFanLevelSelect('fixed', el.dataset.speedAutomation)));
     document.getElementById('oscillationTempDownMobile')?.addEventListener('click', () => handleAutomationTempChange('oscillation', false)); document.getElementById('oscillationTempUpMobile')?.addEventListener('click', () => handleAutomationTempChange('oscillation', true)); document.getElementById('oscillationModeChangeMobile')?.addEventListener('click', () => handleAutomationModeChange('oscillation')); document.getElementById('oscillationFanSpeedDownMobile')?.addEventListener('click', () => handleAutomationFanCycle('oscillation', false)); document.getElementById('oscillationFanSpeedUpMobile')?.addEventListener('click', () => handleAutomationFanCycle('oscillation', true)); dom.automation.fanSpeedLevelsOscillationMobile.forEach(el => el.addEventListener('click', () => handleAutomationFanLevelSelect('oscillation', el.dataset.speedAutomation)));
@@ -588,14 +2504,639 @@ document.addEventListener('DOMContentLoaded', () => {
     dom.automation.applyFixedSettingsDesktop?.addEventListener('click', async () => { if (!isConnectedAndReadyForUserAction()){showStatusPopup("Connect device first.");return;} await applyAutomationSchedule('fixed'); });
     dom.automation.applyOscillationSettingsDesktop?.addEventListener('click', async () => {  if (!isConnectedAndReadyForUserAction()){showStatusPopup("Connect device first.");return;} await applyAutomationSchedule('oscillation'); });
 
+
+    // --- Sleep Curve Automation ---
+    // Points after the start time step the set point and fan speed; the AC is switched off at wake time.
+    // Sent as one "sleep_curve" schedule, so the ESP32 runs the whole night without the page open.
+    const MAX_SLEEP_CURVE_POINTS = 12;
+    let lastRenderedSleepCurve = null; // Editors are rebuilt on edits and device switches, not on every status message
+    const clockMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+    function clockAfter(start, offsetMinutes) {
+        const minutes = (clockMinutes(start) + offsetMinutes) % 1440;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    function sleepCurveDuration(config) { return ((clockMinutes(config.end) - clockMinutes(config.start) + 1440) % 1440) || 1440; }
+    function sleepCurveError(config) {
+        if (config.points.some((p, i) => i > 0 && p.offset_min <= config.points[i - 1].offset_min)) return "two points are at the same time";
+        if (config.points[config.points.length - 1].offset_min >= sleepCurveDuration(config)) return `every point must be before wake time (${config.end})`;
+        return null;
+    }
+    function buildSleepCurveSvg(config) {
+        const W = 300, H = 120, PAD_L = 30, PAD_T = 14, PAD_B = 14;
+        const duration = sleepCurveDuration(config);
+        const temps = config.points.map(p => p.temp);
+        const lo = Math.min(...temps) - 1, hi = Math.max(...temps) + 1;
+        const x = (offset) => PAD_L + Math.min(offset, duration) / duration * (W - PAD_L);
+        const y = (temp) => PAD_T + (hi - temp) / (hi - lo) * (H - PAD_T - PAD_B);
+        let path = '';
+        let fanLabels = '';
+        config.points.forEach((p, i) => {
+            const until = i + 1 < config.points.length ? config.points[i + 1].offset_min : duration;
+            path += `${i === 0 ? 'M' : 'L'}${x(p.offset_min).toFixed(1)},${y(p.temp).toFixed(1)} H${x(until).toFixed(1)} `;
+            if (i === 0 || p.fan !== config.points[i - 1].fan) fanLabels += `<text x="${(x(p.offset_min) + 2).toFixed(1)}" y="${PAD_T - 4}" class="env-chart-label">${p.fan}</text>`;
+        });
+        return `<svg viewBox="0 0 ${W} ${H}" class="env-chart-svg" preserveAspectRatio="none">
+            <line x1="${PAD_L}" y1="${H - PAD_B}" x2="${W}" y2="${H - PAD_B}" class="env-chart-axis"/>
+            <text x="${PAD_L - 3}" y="${PAD_T + 6}" class="env-chart-label" text-anchor="end">${hi}</text>
+            <text x="${PAD_L - 3}" y="${H - PAD_B}" class="env-chart-label" text-anchor="end">${lo}°C</text>
+            <text x="${PAD_L}" y="${H - 2}" class="env-chart-label">${config.start}</text>
+            <text x="${W}" y="${H - 2}" class="env-chart-label" text-anchor="end">${config.end} off</text>
+            ${fanLabels}
+            <path d="${path}" class="env-chart-step"/>
+        </svg>`;
+    }
+    function renderSleepCurveEditors() {
+        const config = deviceState.automationConfigs.sleep_curve;
+        lastRenderedSleepCurve = config;
+        const fanOptions = (selected) => fanSpeedCycleOrder.map(f => `<option value="${f}"${f === selected ? ' selected' : ''}>${f}</option>`).join('');
+        const rows = '<div class="sleep-curve-point text-secondary-color"><span>Time</span><span>After (min)</span><span>°C</span><span>Fan</span><span></span></div>' + config.points.map((p, i) => `
+            <div class="sleep-curve-point" data-index="${i}">
+                <span class="sleep-curve-clock">${clockAfter(config.start, p.offset_min)}</span>
+                <input name="offset_min" type="number" min="1" max="1439" step="15" value="${p.offset_min}" class="settings-input" title="Minutes after the start time"${i === 0 ? ' disabled' : ''}>
+                <input name="temp" type="number" min="16" max="30" step="1" value="${p.temp}" class="settings-input" title="Temperature (°C)">
+                <select name="fan" class="settings-input" title="Fan speed">${fanOptions(p.fan)}</select>
+                <button type="button" data-curve-action="remove" title="Remove point"${i === 0 ? ' disabled' : ''}><i class="fas fa-trash-alt"></i></button>
+            </div>`).join('');
+        dom.sleepCurvePanels.forEach(panel => {
+            panel.querySelector('[name="start"]').value = config.start;
+            panel.querySelector('[name="end"]').value = config.end;
+            panel.querySelector('[name="mode"]').value = config.modeIndex;
+            panel.querySelector('[data-curve-preview]').innerHTML = buildSleepCurveSvg(config);
+            panel.querySelector('[data-curve-points]').innerHTML = rows;
+            panel.querySelector('[data-curve-action="add"]').disabled = config.points.length >= MAX_SLEEP_CURVE_POINTS;
+        });
+    }
+    function updateSleepCurveUI() {
+        const active = deviceState.currentAutomationType === 'sleep_curve';
+        [dom.automation.sleepCurveBtnDesktop, dom.automation.sleepCurveBtnMobile].forEach(button => button?.classList.toggle('active-automation', active));
+        dom.sleepCurvePanels.forEach(panel => { panel.classList.toggle('visible', active); panel.style.display = active ? '' : 'none'; });
+        if (deviceState.automationConfigs.sleep_curve !== lastRenderedSleepCurve) renderSleepCurveEditors();
+    }
+    function handleSleepCurveChange(e) {
+        const config = deviceState.automationConfigs.sleep_curve;
+        const field = e.target.name;
+        const row = e.target.closest('[data-index]');
+        if (row) {
+            const point = config.points[Number(row.dataset.index)];
+            const value = parseInt(e.target.value, 10);
+            if (field === 'fan') point.fan = e.target.value;
+            else if (field === 'temp' && Number.isFinite(value)) point.temp = Math.min(30, Math.max(16, value));
+            else if (field === 'offset_min' && Number.isFinite(value)) point.offset_min = Math.min(1439, Math.max(1, value));
+            config.points.sort((a, b) => a.offset_min - b.offset_min);
+        } else if ((field === 'start' || field === 'end') && e.target.value) {
+            config[field] = e.target.value;
+        } else if (field === 'mode') {
+            config.modeIndex = Number(e.target.value);
+        }
+        renderSleepCurveEditors();
+    }
+    async function handleSleepCurveClick(e) {
+        const button = e.target.closest('[data-curve-action]');
+        if (!button) return;
+        const config = deviceState.automationConfigs.sleep_curve;
+        const action = button.dataset.curveAction;
+        if (action === 'add') {
+            const last = config.points[config.points.length - 1];
+            config.points.push({ offset_min: last.offset_min + 60, temp: last.temp, fan: last.fan });
+            renderSleepCurveEditors();
+        } else if (action === 'remove') {
+            config.points.splice(Number(button.closest('[data-index]').dataset.index), 1);
+            renderSleepCurveEditors();
+        } else if (action === 'apply') {
+            if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect device first."); return; }
+            await applyAutomationSchedule('sleep_curve');
+        }
+    }
+    dom.sleepCurvePanels.forEach(panel => {
+        panel.addEventListener('change', handleSleepCurveChange);
+        panel.addEventListener('click', handleSleepCurveClick);
+    });
+    dom.automation.sleepCurveBtnDesktop?.addEventListener('click', () => handleAutomationTypeSelect('sleep_curve'));
+    dom.automation.sleepCurveBtnMobile?.addEventListener('click', () => handleAutomationTypeSelect('sleep_curve'));
+
+
+    // --- Duty Cycle Automation ---
+    // From the start time the AC runs runMinutes with the run settings, then rests restMinutes (off, or with the rest
+    // settings), repeated until the end time or for N cycles. The ESP32 runs it and reports duty_cycle
+    // { phase, remaining_s, cycle, cycles } with its status; the countdown in between is kept here.
+    let lastRenderedDutyCycle = null;
+    function dutyCycleError(config) {
+        if (config.limit === 'cycles' && config.cycles * (config.runMinutes + config.restMinutes) > 1440) return `${config.cycles} cycles of ${config.runMinutes + config.restMinutes} minutes do not fit in a day`;
+        if (config.limit === 'window' && config.start === config.end) return "the start and end times are the same";
+        if (config.limit === 'window') {
+            const window = (clockMinutes(config.end) - clockMinutes(config.start) + 1440) % 1440;
+            if (window < config.runMinutes) return `the ${window}-minute window is shorter than the ${config.runMinutes}-minute run`;
+        }
+        return null;
+    }
+    function applyDutyCycleStatus(reported) {
+        deviceState.dutyCycle = { phase: reported.phase, endsAt: Date.now() + reported.remaining_s * 1000, cycle: reported.cycle || 0, cycles: reported.cycles || 0 };
+        updateDutyCycleStatus();
+    }
+    function renderDutyCycleEditors() {
+        const config = deviceState.automationConfigs.duty_cycle;
+        lastRenderedDutyCycle = config;
+        const values = {
+            start: config.start, limit: config.limit, end: config.end, cycles: config.cycles, run_minutes: config.runMinutes, rest_minutes: config.restMinutes,
+            run_mode: config.run.modeIndex, run_temp: config.run.temp, run_fan: config.run.fan,
+            rest_power: config.rest.power, rest_mode: config.rest.modeIndex, rest_temp: config.rest.temp, rest_fan: config.rest.fan
+        };
+        dom.dutyCyclePanels.forEach(panel => {
+            Object.keys(values).forEach(name => { panel.querySelector(`[name="${name}"]`).value = values[name]; });
+            panel.querySelectorAll('[data-duty-limit]').forEach(field => field.classList.toggle('hidden', field.dataset.dutyLimit !== config.limit));
+            ['rest_mode', 'rest_temp', 'rest_fan'].forEach(name => { panel.querySelector(`[name="${name}"]`).disabled = config.rest.power === 'OFF'; });
+        });
+    }
+    // Called every second: the live phase in the panels and on the automation type buttons.
+    function updateDutyCycleStatus() {
+        const live = deviceState.dutyCycle;
+        const remaining = live ? formatRemaining(live.endsAt - Date.now()) : '';
+        let text = "Not set on the device";
+        if (live?.phase === 'idle') text = `Waiting · starts in ${remaining}`;
+        else if (live?.phase === 'run') text = `Running · cycle ${live.cycle} of ${live.cycles} · rest in ${remaining}`;
+        else if (live?.phase === 'rest') text = `Resting · cycle ${live.cycle} of ${live.cycles} · ${live.cycle < live.cycles ? 'runs again' : 'ends'} in ${remaining}`;
+        dom.dutyCyclePanels.forEach(panel => {
+            const status = panel.querySelector('[data-duty-status]');
+            status.textContent = text;
+            status.classList.toggle('live', !!live && live.phase !== 'idle');
+        });
+        const running = live && live.phase !== 'idle';
+        dom.dutyCycleBadges.forEach(badge => {
+            badge.classList.toggle('hidden', !running);
+            badge.textContent = running ? `${live.phase === 'run' ? 'Run' : 'Rest'} ${remaining}` : '';
+        });
+    }
+    function updateDutyCycleUI() {
+        const active = deviceState.currentAutomationType === 'duty_cycle';
+        [dom.automation.dutyCycleBtnDesktop, dom.automation.dutyCycleBtnMobile].forEach(button => button?.classList.toggle('active-automation', active));
+        dom.dutyCyclePanels.forEach(panel => { panel.classList.toggle('visible', active); panel.style.display = active ? '' : 'none'; });
+        if (deviceState.automationConfigs.duty_cycle !== lastRenderedDutyCycle) renderDutyCycleEditors();
+        updateDutyCycleStatus();
+    }
+    function handleDutyCycleChange(e) {
+        const config = deviceState.automationConfigs.duty_cycle;
+        const { name, value } = e.target;
+        const number = parseInt(value, 10);
+        const clamp = (min, max) => Math.min(max, Math.max(min, number));
+        if ((name === 'start' || name === 'end') && value) config[name] = value;
+        else if (name === 'limit') config.limit = value;
+        else if (name === 'cycles' && Number.isFinite(number)) config.cycles = clamp(1, 99);
+        else if (name === 'run_minutes' && Number.isFinite(number)) config.runMinutes = clamp(1, 720);
+        else if (name === 'rest_minutes' && Number.isFinite(number)) config.restMinutes = clamp(1, 720);
+        else if (name === 'rest_power') config.rest.power = value;
+        else if (/^(run|rest)_/.test(name)) {
+            const phase = config[name.split('_')[0]];
+            const field = name.split('_')[1];
+            if (field === 'mode') phase.modeIndex = number;
+            else if (field === 'temp' && Number.isFinite(number)) phase.temp = clamp(16, 30);
+            else if (field === 'fan') phase.fan = value;
+        }
+        renderDutyCycleEditors();
+    }
+    dom.dutyCyclePanels.forEach(panel => {
+        panel.addEventListener('change', handleDutyCycleChange);
+        panel.querySelector('[data-duty-action="apply"]').addEventListener('click', async () => {
+            if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect device first."); return; }
+            await applyAutomationSchedule('duty_cycle');
+        });
+    });
+    dom.automation.dutyCycleBtnDesktop?.addEventListener('click', () => handleAutomationTypeSelect('duty_cycle'));
+    dom.automation.dutyCycleBtnMobile?.addEventListener('click', () => handleAutomationTypeSelect('duty_cycle'));
+
+    // --- Weekly Schedule Manager ---
+    // Entries live on the ESP32 (it runs them without the browser). Every change is sent as a
+    // `schedule_entry` command with op add/update/delete and only sticks once the device acks it;
+    // op "list" returns the device's whole table in the ack's `entries`.
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    let lastRenderedSchedules = null; // JSON of the rendered entries; skips re-rendering on every status message
+
+    const normalizeScheduleDays = (days) => [...new Set((Array.isArray(days) ? days : []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+    // Returns a clean entry, or null if the device sent something unusable.
+    function normalizeScheduleEntry(raw) {
+        if (!raw || raw.id === undefined || raw.id === null || !TIME_PATTERN.test(raw.start)) return null;
+        const temp = Math.round(Number(raw.temp));
+        return {
+            id: String(raw.id),
+            name: String(raw.name || `Schedule ${raw.id}`).slice(0, 32),
+            days: normalizeScheduleDays(raw.days),
+            start: raw.start,
+            end: TIME_PATTERN.test(raw.end) ? raw.end : '',
+            power: raw.power === "OFF" ? "OFF" : "ON",
+            temp: Number.isFinite(temp) ? Math.min(30, Math.max(16, temp)) : 24,
+            mode: acModes.some(m => m.name === raw.mode) ? raw.mode : acModes[0].name,
+            fan_speed: fanSpeedCycleOrder.includes(raw.fan_speed) ? raw.fan_speed : fanSpeedCycleOrder[0],
+            ...(raw.scene ? { scene: String(raw.scene).slice(0, 32), relays: raw.relays && typeof raw.relays === 'object' ? raw.relays : {} } : {}),
+            enabled: raw.enabled !== false
+        };
+    }
+    function describeScheduleDays(days) {
+        const key = days.join(',');
+        if (days.length === 7) return "Every day";
+        if (key === '1,2,3,4,5') return "Weekdays";
+        if (key === '0,6') return "Weekends";
+        return [...days.filter(d => d !== 0), ...days.filter(d => d === 0)].map(d => WEEKDAY_NAMES[d]).join(', '); // Week starts on Monday
+    }
+    function renderScheduleManager() {
+        const entries = deviceState.scheduleEntries;
+        const snapshot = JSON.stringify(entries);
+        if (snapshot === lastRenderedSchedules) return;
+        lastRenderedSchedules = snapshot;
+        const html = entries.length === 0
+            ? '<p class="schedule-empty">No schedule entries. Add one, or sync to read what the device already holds.</p>'
+            : [...entries].sort((a, b) => a.start.localeCompare(b.start)).map(e => `
+                <div class="schedule-row${e.enabled ? '' : ' disabled'}" data-entry-id="${escapeHtml(e.id)}">
+                    <div class="schedule-row-main">
+                        <div class="schedule-row-name">${escapeHtml(e.name)}</div>
+                        <div class="schedule-row-meta">${describeScheduleDays(e.days)} · ${e.start}${e.end ? `–${e.end}` : ''} · ${e.scene ? `Scene "${escapeHtml(e.scene)}"` : e.power === "ON" ? `${escapeHtml(e.mode)} ${e.temp}°C, fan ${escapeHtml(e.fan_speed)}` : 'AC off'}</div>
+                    </div>
+                    <div class="schedule-row-actions">
+                        <button type="button" data-schedule-action="toggle" title="${e.enabled ? 'Disable' : 'Enable'}"><i class="fas ${e.enabled ? 'fa-toggle-on' : 'fa-toggle-off'} text-lg"></i></button>
+                        <button type="button" data-schedule-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-schedule-action="delete" title="Delete"><i class="fas fa-trash-alt"></i></button>
+                    </div>
+                </div>`).join('');
+        dom.scheduleManagers.forEach(panel => { const list = panel.querySelector('[data-schedule-list]'); if (list) list.innerHTML = html; });
+    }
+
+    let scheduleEditorDraft = null; // Entry being edited; keeps its scene copy if that scene is no longer stored here
+    function openScheduleEditor(entry) {
+        const form = dom.scheduleEditor.form;
+        const draft = entry || { id: '', name: '', days: [1, 2, 3, 4, 5], start: deviceState.automationConfigs.fixed.time, end: '', power: "ON", temp: deviceState.currentTemp, mode: acModes[deviceState.currentModeIndex].name, fan_speed: deviceState.currentFanSpeed, enabled: true };
+        scheduleEditorDraft = draft;
+        const scenes = loadScenes(getActiveDevice().id);
+        const storedScene = draft.scene && scenes.find(sc => sc.name === draft.scene);
+        form.elements.scene.innerHTML = '<option value="">AC settings below</option>'
+            + (draft.scene && !storedScene ? `<option value="${SCENE_KEPT_ON_ENTRY}">Scene "${escapeHtml(draft.scene)}" (as saved on the device)</option>` : '')
+            + scenes.map(sc => `<option value="${escapeHtml(sc.id)}">Scene "${escapeHtml(sc.name)}"</option>`).join('');
+        form.elements.scene.value = !draft.scene ? '' : storedScene ? storedScene.id : SCENE_KEPT_ON_ENTRY;
+        form.elements.mode.innerHTML = acModes.map(m => `<option value="${m.name}">${m.name}</option>`).join('');
+        form.elements.fan_speed.innerHTML = fanSpeedCycleOrder.map(f => `<option value="${f}">${f}</option>`).join('');
+        ['id', 'name', 'start', 'end', 'power', 'temp', 'mode', 'fan_speed'].forEach(field => { form.elements[field].value = draft[field]; });
+        handleScheduleSceneChange();
+        form.elements.enabled.checked = draft.enabled;
+        form.querySelectorAll('input[name="days"]').forEach(box => { box.checked = draft.days.includes(Number(box.value)); });
+        dom.scheduleEditor.title.textContent = entry ? "Edit Schedule Entry" : "New Schedule Entry";
+        closeMobileMenu();
+        dom.scheduleEditor.modal.classList.add('visible');
+    }
+    function closeScheduleEditor() { dom.scheduleEditor.modal.classList.remove('visible'); }
+    // A scene action fills in (and locks) the AC fields; the entry then carries the scene's relays too.
+    function handleScheduleSceneChange() {
+        const form = dom.scheduleEditor.form;
+        const scene = selectedScheduleScene();
+        if (scene) ['power', 'temp', 'mode', 'fan_speed'].forEach(field => { form.elements[field].value = scene.ac[field]; });
+        ['power', 'temp', 'mode', 'fan_speed'].forEach(field => { form.elements[field].disabled = !!scene; });
+    }
+    function selectedScheduleScene() {
+        const value = dom.scheduleEditor.form.elements.scene.value;
+        if (!value) return null;
+        if (value === SCENE_KEPT_ON_ENTRY) return { name: scheduleEditorDraft.scene, relays: scheduleEditorDraft.relays, ac: { power: scheduleEditorDraft.power, temp: scheduleEditorDraft.temp, mode: scheduleEditorDraft.mode, fan_speed: scheduleEditorDraft.fan_speed } };
+        return loadScenes(getActiveDevice().id).find(sc => sc.id === value) || null;
+    }
+    function readScheduleEditor() {
+        const form = dom.scheduleEditor.form;
+        const scene = selectedScheduleScene();
+        return {
+            id: form.elements.id.value || `s${Date.now().toString(36)}`,
+            name: form.elements.name.value.trim(),
+            days: Array.from(form.querySelectorAll('input[name="days"]:checked')).map(box => Number(box.value)).sort(),
+            start: form.elements.start.value,
+            end: form.elements.end.value,
+            power: form.elements.power.value,
+            temp: parseInt(form.elements.temp.value, 10),
+            mode: form.elements.mode.value,
+            fan_speed: form.elements.fan_speed.value,
+            ...(scene ? { scene: scene.name, relays: { ...scene.relays } } : {}),
+            enabled: form.elements.enabled.checked
+        };
+    }
+    function validateScheduleEntry(entry) {
+        if (!entry.name) return "Schedule name is required.";
+        if (entry.days.length === 0) return "Pick at least one day.";
+        if (!TIME_PATTERN.test(entry.start)) return "Start time is required.";
+        if (entry.end && entry.end === entry.start) return "End time must differ from the start time.";
+        if (!Number.isInteger(entry.temp) || entry.temp < 16 || entry.temp > 30) return "Temperature must be between 16 and 30 °C.";
+        return null;
+    }
+
+    async function saveScheduleEntry(entry) {
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to change schedules."); return false; }
+        const isUpdate = deviceState.scheduleEntries.some(e => e.id === entry.id);
+        return await runOptimisticCommand(['scheduleEntries'], () => {
+            deviceState.scheduleEntries = isUpdate ? deviceState.scheduleEntries.map(e => e.id === entry.id ? entry : e) : [...deviceState.scheduleEntries, entry];
+        }, () => sendCommand({ type: "schedule_entry", op: isUpdate ? "update" : "add", entry }));
+    }
+    async function deleteScheduleEntry(entry) {
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to change schedules."); return; }
+        if (!confirm(`Delete schedule "${entry.name}" from the device?`)) return;
+        await runOptimisticCommand(['scheduleEntries'], () => {
+            deviceState.scheduleEntries = deviceState.scheduleEntries.filter(e => e.id !== entry.id);
+        }, () => sendCommand({ type: "schedule_entry", op: "delete", id: entry.id }));
+    }
+    async function syncSchedulesFromDevice() {
+        if (!isConnectedAndReadyForUserAction({ queueable: false })) { showStatusPopup("Connect first to sync schedules."); return; }
+        try {
+            const ack = await sendCommand({ type: "schedule_entry", op: "list" }, { queueable: false });
+            if (!ack || !Array.isArray(ack.entries)) { showStatusPopup("Device did not return a schedule table."); return; }
+            deviceState.scheduleEntries = ack.entries.map(normalizeScheduleEntry).filter(Boolean);
+            const skipped = ack.entries.length - deviceState.scheduleEntries.length;
+            updateAllUIs();
+            showStatusPopup(`Synced ${deviceState.scheduleEntries.length} schedule entr${deviceState.scheduleEntries.length === 1 ? 'y' : 'ies'} from device.${skipped ? ` ${skipped} invalid entr${skipped === 1 ? 'y was' : 'ies were'} skipped.` : ''}`);
+        } catch (error) { /* sendCommand or the nack handler already told the user */ }
+    }
+    async function handleScheduleEditorSave(e) {
+        e.preventDefault();
+        const entry = readScheduleEditor();
+        const validationError = validateScheduleEntry(entry);
+        if (validationError) { showStatusPopup(validationError); return; }
+        closeScheduleEditor();
+        if (await saveScheduleEntry(entry)) showStatusPopup(`Schedule "${entry.name}" saved.`);
+    }
+    function handleScheduleManagerClick(e) {
+        const actionButton = e.target.closest('[data-schedule-action]');
+        if (!actionButton) return;
+        const action = actionButton.dataset.scheduleAction;
+        if (action === 'add') { openScheduleEditor(null); return; }
+        if (action === 'sync') { syncSchedulesFromDevice(); return; }
+        const row = actionButton.closest('.schedule-row');
+        const entry = row && deviceState.scheduleEntries.find(en => en.id === row.dataset.entryId);
+        if (!entry) return;
+        if (action === 'edit') openScheduleEditor(entry);
+        else if (action === 'delete') deleteScheduleEntry(entry);
+        else if (action === 'toggle') saveScheduleEntry({ ...entry, enabled: !entry.enabled });
+    }
+    dom.scheduleManagers.forEach(panel => panel.addEventListener('click', handleScheduleManagerClick));
+    dom.scheduleEditor.form?.addEventListener('submit', handleScheduleEditorSave);
+    dom.scheduleEditor.form?.elements.scene?.addEventListener('change', handleScheduleSceneChange);
+    dom.scheduleEditor.closeButton?.addEventListener('click', closeScheduleEditor);
+    dom.scheduleEditor.cancelButton?.addEventListener('click', closeScheduleEditor);
+    dom.scheduleEditor.modal?.addEventListener('click', (e) => { if (e.target === dom.scheduleEditor.modal) closeScheduleEditor(); });
+
     // Shutdown Handler
-    const handleShutdownClick = async (e) => { e.preventDefault(); if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Please connect to a device first."); return; } if (confirm('Are you sure you want to SHUTDOWN the ESP32 device?')) { if(!await sendShutdownCommand()) { /* Error msg handled by sendCommand */ } else { showStatusPopup("Shutdown command sent to ESP32.");}}};
+    const handleShutdownClick = async (e) => { e.preventDefault(); if (!isConnectedAndReadyForUserAction({ queueable: false })) { showStatusPopup("Please connect to a device first."); return; } if (confirm('Are you sure you want to SHUTDOWN the ESP32 device?')) { try { await sendShutdownCommand(); showStatusPopup("Shutdown command sent to ESP32."); } catch (error) { /* Error msg handled by sendCommand */ }}};
     dom.mobileShutdownButton?.addEventListener('click', handleShutdownClick);
     dom.desktopShutdownButton?.addEventListener('click', handleShutdownClick);
 
+
+    // --- Relay Timers & Schedules ---
+    // Both run on the ESP32, so they keep going with the page closed. A countdown is
+    // `relay_timer` { op: "start", relay, value, duration_s }: the relay switches to value now and back when it
+    // runs out (op "cancel" stops it early; a manual relay command does too). The device reports every running
+    // countdown as relay_timers: [{ relay, value, remaining_s }] in its acks, in state_request_ack and when one
+    // ends. Weekly on/off windows are `relay_schedule` commands with the same ops as schedule_entry.
+    const DEFAULT_RELAY_TIMER_MINUTES = 30;
+    let relayEditorRelayId = null; // Relay shown in the timer/schedule modal
+    let lastRenderedRelaySchedules = null;
+
+    function formatRemaining(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const h = Math.floor(totalSeconds / 3600), m = Math.floor(totalSeconds % 3600 / 60), sec = totalSeconds % 60;
+        return h ? `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}` : `${m}:${String(sec).padStart(2, '0')}`;
+    }
+    // relay_timers is the full set: a relay missing from it has no countdown.
+    function applyRelayTimers(reported) {
+        const now = Date.now();
+        deviceState.relayTimers = {};
+        reported.forEach(t => { const relayId = relayIdForName(t.relay); if (relayId) deviceState.relayTimers[relayId] = { value: t.value, endsAt: now + t.remaining_s * 1000 }; });
+    }
+    function normalizeRelaySchedule(raw) {
+        const relay = raw && relayIdForName(raw.relay);
+        if (!relay || raw.id === undefined || raw.id === null || !TIME_PATTERN.test(raw.start) || !TIME_PATTERN.test(raw.end)) return null;
+        return { id: String(raw.id), relay, days: normalizeScheduleDays(raw.days), start: raw.start, end: raw.end, enabled: raw.enabled !== false };
+    }
+
+    // Called every second and from updateAllUIs(): counts down the badges next to the relay toggles.
+    function updateRelayTimerBadges() {
+        const now = Date.now();
+        Object.keys(deviceState.relayTimers).forEach(id => { if (deviceState.relayTimers[id].endsAt <= now) delete deviceState.relayTimers[id]; }); // The device's status follows
+        Object.values(dom.relayLists).forEach(list => {
+            list?.querySelectorAll('[data-relay-timer]').forEach(badge => {
+                const timer = deviceState.relayTimers[badge.dataset.relayTimer];
+                badge.classList.toggle('hidden', !timer);
+                badge.textContent = timer ? `${timer.value === "ON" ? 'Off' : 'On'} in ${formatRemaining(timer.endsAt - now)}` : '';
+            });
+            list?.querySelectorAll('[data-relay-action="timer"]').forEach(button => {
+                const relayId = button.dataset.relayId;
+                button.classList.toggle('active', !!deviceState.relayTimers[relayId] || deviceState.relaySchedules.some(e => e.relay === relayId && e.enabled));
+            });
+        });
+        if (relayEditorRelayId) { renderRelayCountdownStatus(); renderRelayScheduleList(); }
+    }
+
+    function openRelayEditor(relayId) {
+        const channel = loadRelayChannels(getActiveDevice().id).find(c => c.id === relayId);
+        if (!channel) return;
+        relayEditorRelayId = relayId;
+        lastRenderedRelaySchedules = null;
+        dom.relayEditor.title.textContent = `${channel.label}: Timer & Schedule`;
+        dom.relayEditor.countdownForm.elements.value.value = "ON";
+        dom.relayEditor.countdownForm.elements.minutes.value = DEFAULT_RELAY_TIMER_MINUTES;
+        fillRelayScheduleForm(null);
+        renderRelayCountdownStatus();
+        renderRelayScheduleList();
+        closeMobileMenu();
+        dom.relayEditor.modal.classList.add('visible');
+    }
+    function closeRelayEditor() {
+        dom.relayEditor.modal.classList.remove('visible');
+        relayEditorRelayId = null;
+    }
+    function renderRelayCountdownStatus() {
+        const timer = deviceState.relayTimers[relayEditorRelayId];
+        dom.relayEditor.countdownStatus.textContent = timer
+            ? `Running: turns ${timer.value === "ON" ? 'off' : 'on'} in ${formatRemaining(timer.endsAt - Date.now())}.`
+            : "No countdown running. The relay switches now and back when the time is up.";
+        dom.relayEditor.countdownCancel.classList.toggle('hidden', !timer);
+    }
+    function renderRelayScheduleList() {
+        const entries = deviceState.relaySchedules.filter(e => e.relay === relayEditorRelayId).sort((a, b) => a.start.localeCompare(b.start));
+        const snapshot = JSON.stringify(entries);
+        if (snapshot === lastRenderedRelaySchedules) return;
+        lastRenderedRelaySchedules = snapshot;
+        dom.relayEditor.scheduleList.innerHTML = entries.length === 0
+            ? '<p class="schedule-empty">No schedule for this relay yet.</p>'
+            : entries.map(e => `
+                <div class="schedule-row${e.enabled ? '' : ' disabled'}" data-entry-id="${escapeHtml(e.id)}">
+                    <div class="schedule-row-main">
+                        <div class="schedule-row-name">On ${e.start} – off ${e.end}</div>
+                        <div class="schedule-row-meta">${describeScheduleDays(e.days)}</div>
+                    </div>
+                    <div class="schedule-row-actions">
+                        <button type="button" data-relay-schedule-action="toggle" title="${e.enabled ? 'Disable' : 'Enable'}"><i class="fas ${e.enabled ? 'fa-toggle-on' : 'fa-toggle-off'} text-lg"></i></button>
+                        <button type="button" data-relay-schedule-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-relay-schedule-action="delete" title="Delete"><i class="fas fa-trash-alt"></i></button>
+                    </div>
+                </div>`).join('');
+    }
+    function fillRelayScheduleForm(entry) {
+        const form = dom.relayEditor.scheduleForm;
+        const draft = entry || { id: '', days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00', enabled: true };
+        ['id', 'start', 'end'].forEach(field => { form.elements[field].value = draft[field]; });
+        form.elements.enabled.checked = draft.enabled;
+        form.querySelectorAll('input[name="days"]').forEach(box => { box.checked = draft.days.includes(Number(box.value)); });
+        dom.relayEditor.scheduleNew.classList.toggle('hidden', !entry);
+    }
+
+    async function handleRelayCountdownStart(e) {
+        e.preventDefault();
+        const relayId = relayEditorRelayId;
+        const form = dom.relayEditor.countdownForm;
+        const value = form.elements.value.value;
+        const minutes = parseInt(form.elements.minutes.value, 10);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) { showStatusPopup("Timer must be between 1 minute and 24 hours."); return; }
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to start a timer."); return; }
+        const started = await runOptimisticCommand(['relayStates', 'relayTimers'], () => {
+            deviceState.relayStates[relayId] = value === "ON";
+            deviceState.relayTimers[relayId] = { value, endsAt: Date.now() + minutes * 60 * 1000 };
+        }, () => sendCommand({ type: "relay_timer", op: "start", relay: relayId, value, duration_s: minutes * 60 }));
+        if (started) { closeRelayEditor(); showStatusPopup(`Timer started: ${value === "ON" ? 'on' : 'off'} for ${minutes} min.`); }
+    }
+    async function handleRelayCountdownCancel() {
+        const relayId = relayEditorRelayId;
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to cancel the timer."); return; }
+        await runOptimisticCommand(['relayTimers'], () => { delete deviceState.relayTimers[relayId]; },
+            () => sendCommand({ type: "relay_timer", op: "cancel", relay: relayId }));
+    }
+    async function saveRelaySchedule(entry) {
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to change schedules."); return false; }
+        const isUpdate = deviceState.relaySchedules.some(e => e.id === entry.id);
+        return await runOptimisticCommand(['relaySchedules'], () => {
+            deviceState.relaySchedules = isUpdate ? deviceState.relaySchedules.map(e => e.id === entry.id ? entry : e) : [...deviceState.relaySchedules, entry];
+        }, () => sendCommand({ type: "relay_schedule", op: isUpdate ? "update" : "add", entry }));
+    }
+    async function deleteRelaySchedule(entry) {
+        if (!isConnectedAndReadyForUserAction()) { showStatusPopup("Connect first to change schedules."); return; }
+        if (!confirm(`Delete the ${entry.start}–${entry.end} schedule from the device?`)) return;
+        await runOptimisticCommand(['relaySchedules'], () => {
+            deviceState.relaySchedules = deviceState.relaySchedules.filter(e => e.id !== entry.id);
+        }, () => sendCommand({ type: "relay_schedule", op: "delete", id: entry.id }));
+    }
+    async function handleRelayScheduleSave(e) {
+        e.preventDefault();
+        const form = dom.relayEditor.scheduleForm;
+        const entry = {
+            id: form.elements.id.value || `r${Date.now().toString(36)}`,
+            relay: relayEditorRelayId,
+            days: Array.from(form.querySelectorAll('input[name="days"]:checked')).map(box => Number(box.value)).sort(),
+            start: form.elements.start.value,
+            end: form.elements.end.value,
+            enabled: form.elements.enabled.checked
+        };
+        if (entry.days.length === 0) { showStatusPopup("Pick at least one day."); return; }
+        if (!TIME_PATTERN.test(entry.start) || !TIME_PATTERN.test(entry.end)) { showStatusPopup("Set both the on and the off time."); return; }
+        if (entry.start === entry.end) { showStatusPopup("Off time must differ from the on time."); return; }
+        if (await saveRelaySchedule(entry)) { fillRelayScheduleForm(null); showStatusPopup("Relay schedule saved."); }
+    }
+    function handleRelayScheduleListClick(e) {
+        const actionButton = e.target.closest('[data-relay-schedule-action]');
+        const row = actionButton?.closest('.schedule-row');
+        const entry = row && deviceState.relaySchedules.find(en => en.id === row.dataset.entryId);
+        if (!entry) return;
+        const action = actionButton.dataset.relayScheduleAction;
+        if (action === 'edit') fillRelayScheduleForm(entry);
+        else if (action === 'delete') deleteRelaySchedule(entry);
+        else if (action === 'toggle') saveRelaySchedule({ ...entry, enabled: !entry.enabled });
+    }
+    dom.relayEditor.countdownForm?.addEventListener('submit', handleRelayCountdownStart);
+    dom.relayEditor.countdownForm?.addEventListener('click', (e) => { const preset = e.target.closest('[data-minutes]'); if (preset) dom.relayEditor.countdownForm.elements.minutes.value = preset.dataset.minutes; });
+    dom.relayEditor.countdownCancel?.addEventListener('click', handleRelayCountdownCancel);
+    dom.relayEditor.scheduleForm?.addEventListener('submit', handleRelayScheduleSave);
+    dom.relayEditor.scheduleList?.addEventListener('click', handleRelayScheduleListClick);
+    dom.relayEditor.scheduleNew?.addEventListener('click', () => fillRelayScheduleForm(null));
+    dom.relayEditor.closeButton?.addEventListener('click', closeRelayEditor);
+    dom.relayEditor.modal?.addEventListener('click', (e) => { if (e.target === dom.relayEditor.modal) closeRelayEditor(); });
+
+
+    // --- Scenes ---
+    // Named presets of the AC state and every relay, stored per device in this browser as
+    // { id, name, ac: { power, temp, mode, fan_speed }, relays: { <relay id>: "ON" | "OFF" } }.
+    // Applying one sends a single `scene` command with name, ac and relays; the firmware checks all of it before
+    // changing anything, so the ack or nack covers the whole scene. A weekly schedule entry can run a scene:
+    // it then carries a copy (the AC fields plus `scene` and `relays`), since the ESP32 runs it on its own.
+    const SCENES_STORAGE_KEY = 'acRemote.scenes';
+    const SCENE_KEPT_ON_ENTRY = '__entry__'; // Schedule editor option for a scene only the device still has
+    function loadScenes(deviceId) { return loadStoredJson(SCENES_STORAGE_KEY, {})[deviceId] || []; }
+    function saveScenes(deviceId, scenes) {
+        const all = loadStoredJson(SCENES_STORAGE_KEY, {});
+        if (scenes) all[deviceId] = scenes; else delete all[deviceId];
+        return saveStoredJson(SCENES_STORAGE_KEY, all);
+    }
+    function captureScene(name, id = `scene_${Date.now().toString(36)}`) {
+        return {
+            id, name,
+            ac: { power: deviceState.isPowerOn ? "ON" : "OFF", temp: deviceState.currentTemp, mode: acModes[deviceState.currentModeIndex].name, fan_speed: deviceState.currentFanSpeed },
+            relays: Object.fromEntries(Object.keys(deviceState.relayStates).map(relayId => [relayId, deviceState.relayStates[relayId] ? "ON" : "OFF"]))
+        };
+    }
+    function describeScene(scene) {
+        const relaysOn = loadRelayChannels(getActiveDevice().id).filter(c => scene.relays[c.id] === "ON").map(c => c.label);
+        return `${scene.ac.power === "ON" ? `${scene.ac.mode} ${scene.ac.temp}°C, fan ${scene.ac.fan_speed}` : 'AC off'} · ${relaysOn.length ? `${relaysOn.join(', ')} on` : 'All relays off'}`;
+    }
+    function renderScenePanels() {
+        const scenes = loadScenes(getActiveDevice().id);
+        const html = scenes.length === 0
+            ? '<p class="schedule-empty">No scenes yet. Set the AC and relays the way you want them, then save them as a scene.</p>'
+            : scenes.map(scene => `
+                <div class="scene-chip" data-scene-id="${escapeHtml(scene.id)}" title="${escapeHtml(describeScene(scene))}">
+                    <button type="button" class="scene-chip-apply" data-scene-action="apply"><i class="fas fa-play mr-1"></i>${escapeHtml(scene.name)}</button>
+                    <button type="button" data-scene-action="update" title="Replace with the current state"><i class="fas fa-camera"></i></button>
+                    <button type="button" data-scene-action="delete" title="Delete"><i class="fas fa-trash-alt"></i></button>
+                </div>`).join('');
+        dom.scenePanels.forEach(panel => { const list = panel.querySelector('[data-scene-list]'); if (list) list.innerHTML = html; });
+    }
+
+    function storeScene(scene) {
+        const deviceId = getActiveDevice().id;
+        const scenes = loadScenes(deviceId);
+        const updated = scenes.some(sc => sc.id === scene.id) ? scenes.map(sc => sc.id === scene.id ? scene : sc) : [...scenes, scene];
+        if (!saveScenes(deviceId, updated)) { showStatusPopup("Could not save the scene in this browser."); return; }
+        renderScenePanels();
+        showStatusPopup(`Scene "${scene.name}" saved: ${describeScene(scene)}.`);
+    }
+    function handleSceneCapture() {
+        const name = (prompt("Name for this scene (for example Sleep, Away or Movie):") || '').trim().slice(0, 32);
+        if (!name) return;
+        const existing = loadScenes(getActiveDevice().id).find(sc => sc.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Replace the scene "${existing.name}" with the current state?`)) return;
+        storeScene(captureScene(name, existing?.id));
+    }
+    async function applyScene(scene) {
+        if (!isConnectedAndReadyForUserAction({ queueable: false })) { showStatusPopup(`${getActiveDevice().name} must be online to apply a scene.`); return; }
+        let failure = null;
+        const applied = await runOptimisticCommand(['isPowerOn', 'currentTemp', 'currentModeIndex', 'currentFanSpeed', 'relayStates'], () => {
+            deviceState.isPowerOn = scene.ac.power === "ON";
+            deviceState.currentTemp = scene.ac.temp;
+            const modeIdx = acModes.findIndex(m => m.name === scene.ac.mode);
+            if (modeIdx !== -1) deviceState.currentModeIndex = modeIdx;
+            deviceState.currentFanSpeed = scene.ac.fan_speed;
+            Object.keys(scene.relays).forEach(relayId => { if (relayId in deviceState.relayStates) deviceState.relayStates[relayId] = scene.relays[relayId] === "ON"; });
+        }, async () => {
+            try { await sendCommand({ type: "scene", name: scene.name, ac: scene.ac, relays: scene.relays }, { queueable: false }); }
+            catch (error) { failure = error; throw error; }
+        });
+        showStatusPopup(applied ? `Scene "${scene.name}" applied.` : `Scene "${scene.name}" was not applied (${failure?.message || 'unknown error'}). Nothing was changed.`);
+    }
+    function handleScenePanelClick(e) {
+        const actionButton = e.target.closest('[data-scene-action]');
+        if (!actionButton) return;
+        const action = actionButton.dataset.sceneAction;
+        if (action === 'capture') { handleSceneCapture(); return; }
+        const chip = actionButton.closest('.scene-chip');
+        const scene = chip && loadScenes(getActiveDevice().id).find(sc => sc.id === chip.dataset.sceneId);
+        if (!scene) return;
+        if (action === 'apply') applyScene(scene);
+        else if (action === 'update' && confirm(`Replace the scene "${scene.name}" with the current state?`)) storeScene(captureScene(scene.name, scene.id));
+        else if (action === 'delete' && confirm(`Delete the scene "${scene.name}"? Schedules that run it keep their copy.`)) {
+            saveScenes(getActiveDevice().id, loadScenes(getActiveDevice().id).filter(sc => sc.id !== scene.id));
+            renderScenePanels();
+        }
+    }
+    dom.scenePanels.forEach(panel => panel.addEventListener('click', handleScenePanelClick));
+
     // --- Initial Setup & Resize ---
     function handleWindowResize() { const isMobile = window.innerWidth < 768; document.getElementById('desktopGridContainer').style.display = isMobile ? 'none' : 'grid'; document.getElementById('mobilePagesContainer').style.display = isMobile ? 'block' : 'none'; if (isMobile && !document.querySelector('.mobile-page-container.active')) showMobilePage('acFanControlsMobilePage', 'AC & Fan Controls'); updateAllUIs(); }
-    function initialAutomationSetup() { const now = new Date(); const cT=now.toTimeString().slice(0,5); automationConfigs.fixed.time=cT; automationConfigs.oscillation.on_time=cT; const oT=new Date(now.getTime()+60*60*1000); automationConfigs.oscillation.off_time=oT.toTimeString().slice(0,5); if(dom.automation.fixedTimeMobile)dom.automation.fixedTimeMobile.value=automationConfigs.fixed.time; if(dom.automation.oscillationOnTimeMobile)dom.automation.oscillationOnTimeMobile.value=automationConfigs.oscillation.on_time; if(dom.automation.oscillationOffTimeMobile)dom.automation.oscillationOffTimeMobile.value=automationConfigs.oscillation.off_time; if(dom.automation.fixedTimeDesktop)dom.automation.fixedTimeDesktop.value=automationConfigs.fixed.time; if(dom.automation.oscillationOnTimeDesktop)dom.automation.oscillationOnTimeDesktop.value=automationConfigs.oscillation.on_time; if(dom.automation.oscillationOffTimeDesktop)dom.automation.oscillationOffTimeDesktop.value=automationConfigs.oscillation.off_time; handleAutomationTypeSelect(currentAutomationType); }
+    function initialAutomationSetup() { handleAutomationTypeSelect(deviceState.currentAutomationType); } // Default times are seeded per device in createDeviceState()
 
 
     /*if (typeof MQTT_Ctrl !== 'undefined' && MQTT_Ctrl.init) {
@@ -615,15 +3156,19 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error("FATAL: MQTT_Ctrl is not defined or MQTT_Ctrl.init is not a function! Ensure js6_mqtt.js is loaded BEFORE js7_main.js and defines MQTT_Ctrl correctly.");
         showStatusPopup("SYSTEM ERROR: MQTT Sub-System Missing. Please refresh. Check console.");
         // Disable MQTT UI or block MQTT connection attempts here
-        // For instance, by not allowing `promptForMqttConnection` to call `MQTT_Ctrl.connect()`
+        // For instance, by not allowing `connectMqtt` to call `MQTT_Ctrl.connect()`
     }*/
 
     // --- Initialize ---
+    if (typeof Activity_Ctrl !== 'undefined') Activity_Ctrl.init({ onEntry: renderActivityLog }); // First, so nothing is recorded before the stored log loads
+    Protocol_Ctrl.init({ onDiagnostic: handleProtocolDiagnostic, onVersionMismatch: handleProtocolVersionMismatch });
     if (typeof MQTT_Ctrl !== 'undefined') {
         const mqttInitSuccess = MQTT_Ctrl.init({ // MQTT_Ctrl.init now returns boolean
-            onDataReceived: processIncomingDeviceData,
-            onConnectionStatusChange: handleMqttConnectionStatusChange
-        });
+            onDataReceived: handleMqttStatusPayload,
+            onConnectionStatusChange: handleMqttConnectionStatusChange,
+            onOutboxChange: updateOutboxIndicator,
+            sealPayload: sealMqttPayload
+        }, currentMqttSettings());
         if (!mqttInitSuccess) {
             showStatusPopup("CRITICAL: MQTT Library failed to initialize. Refresh page. Check console for Paho errors.");
             // Disable MQTT functionality or parts of UI relying on it if this fails.
@@ -633,11 +3178,32 @@ document.addEventListener('DOMContentLoaded', () => {
         showStatusPopup("SYSTEM ERROR: MQTT module missing. Refresh page. Check console.");
     }
 
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.warn("Main: Service worker not registered; the page will not load offline:", error.message)); // Needs https or localhost
+    }
     dom.bleConnectButton.addEventListener('click', initiateConnectionProcess);
+    renderDeviceSwitcher();
+    renderRelayCards();
+    renderScenePanels();
+    if (typeof History_Ctrl !== 'undefined') History_Ctrl.init();
+    if (typeof LAN_Ctrl !== 'undefined') LAN_Ctrl.init({ onDataReceived: processIncomingDeviceData, onConnectionStatusChange: handleLanConnectionStatusChange });
+    if (typeof SIM_Ctrl !== 'undefined') SIM_Ctrl.init({ onDataReceived: processIncomingDeviceData, onConnectionStatusChange: handleSimConnectionStatusChange });
+    renderEnvironmentHistory();
+    if (typeof Energy_Ctrl !== 'undefined') Energy_Ctrl.init();
+    renderEnergyPanels();
+    setInterval(tickEnergy, ENERGY_TICK_MS);
+    renderThermostatPanels();
+    setInterval(runThermostat, THERMOSTAT_CHECK_MS); // Catches stale sensor data when no readings arrive at all
+    renderAlertPanels();
+    setInterval(runAlertRules, ALERT_CHECK_MS); // An offline device sends nothing, so its duration is checked on a timer
+    setInterval(updateRelayTimerBadges, 1000);
+    setInterval(updateDutyCycleStatus, 1000);
     handleWindowResize(); // Initial layout check
     updateConnectionStatusUI('Connect to Device'); // Set initial button state
     initialAutomationSetup();
     updateAllUIs(); // Initial UI data sync
+    renderStateSyncBanner(); // Shows when the last known state was restored
+    restoreBleSession(); // Silent; only boards this browser was already given permission for
     window.addEventListener('resize', handleWindowResize);
 
     console.log("Main application setup complete.");
@@ -0,0 +1,112 @@
+// lan_ctrl.js (LAN Transport) - direct WebSocket link to the ESP32 on the local network
+
+const LAN_Ctrl = (() => {
+    // --- Configuration ---
+    const CONNECT_TIMEOUT_MS = 4000; // A device on the same Wi-Fi answers quickly; give up early so the next transport can be tried
+
+    // --- State Variables ---
+    let socket = null;
+    let connected = false;
+    let closingOnPurpose = false;
+    let onDataReceivedCallback = null;
+    let onConnectionStatusChangeCallback = null;
+
+    // --- Private Helper Functions ---
+    const _log = (message) => console.log(`LAN_Ctrl: ${message}`);
+    const _error = (message, err = '') => console.error(`LAN_Ctrl ERROR: ${message}`, err);
+
+    function _report(isConnected, message) {
+        if (onConnectionStatusChangeCallback) onConnectionStatusChangeCallback(isConnected, message);
+    }
+
+    // --- Public Interface ---
+    function init(callbacks) {
+        onDataReceivedCallback = callbacks.onDataReceived;
+        onConnectionStatusChangeCallback = callbacks.onConnectionStatusChange;
+        if (typeof WebSocket === 'undefined') {
+            _error("WebSocket is not available in this browser.");
+            return false;
+        }
+        return true;
+    }
+
+    // Opens ws(s)://host[:port]/path. Resolves true once the socket is open, false on error or timeout.
+    function connect(url) {
+        if (connected) return Promise.resolve(true);
+        return new Promise(resolve => {
+            let settled = false;
+            const settle = (result) => { if (!settled) { settled = true; resolve(result); } };
+            _log(`Connecting to ${url}...`);
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                _error("Could not open WebSocket.", error); // Bad URL, or ws:// blocked on an https page
+                settle(false);
+                return;
+            }
+            const ws = socket;
+            const timeoutId = setTimeout(() => {
+                if (settled) return;
+                _log("Connect timed out.");
+                ws.close();
+                settle(false);
+            }, CONNECT_TIMEOUT_MS);
+
+            ws.onopen = () => {
+                clearTimeout(timeoutId);
+                if (settled) { ws.close(); return; } // Opened after the timeout; the app has moved on
+                connected = true;
+                closingOnPurpose = false;
+                _log("Connected.");
+                _report(true, "LAN Connected");
+                settle(true);
+            };
+            ws.onmessage = (event) => {
+                if (typeof event.data !== 'string') return; // The firmware only sends text frames
+                if (onDataReceivedCallback) onDataReceivedCallback(event.data);
+            };
+            ws.onerror = () => {
+                _error("WebSocket error.");
+                clearTimeout(timeoutId);
+                settle(false);
+            };
+            ws.onclose = (event) => {
+                clearTimeout(timeoutId);
+                settle(false);
+                if (ws !== socket) return;
+                socket = null;
+                if (!connected) return;
+                connected = false;
+                _log(`Closed (code ${event.code}).`);
+                _report(false, closingOnPurpose ? "LAN Disconnected" : "LAN Connection Lost");
+            };
+        });
+    }
+
+    function disconnect() {
+        if (!socket) return;
+        closingOnPurpose = true;
+        socket.close(1000, "Client disconnect");
+    }
+
+    function send(jsonString) {
+        if (!connected || !socket || socket.readyState !== WebSocket.OPEN) return false;
+        try {
+            socket.send(jsonString);
+            return true;
+        } catch (error) {
+            _error("Send failed.", error);
+            return false;
+        }
+    }
+
+    function isConnected() { return connected; }
+
+    return {
+        init,
+        connect,
+        disconnect,
+        send,
+        isConnected
+    };
+})();
@@ -0,0 +1,332 @@
+// protocol_ctrl.js (Device Message Protocol) - message schemas, versioning and diagnostics for ESP32 traffic
+
+const Protocol_Ctrl = (() => {
+    // --- Configuration ---
+    // Bump when a message changes shape. Every outgoing command carries it as `v`; firmware that
+    // speaks the protocol echoes its own version in the same field.
+    const VERSION = 1;
+    const MAX_DIAGNOSTICS = 50;
+
+    const AC_MODES = ["COOL", "DRY", "HEAT", "FAN"];
+    const FAN_SPEEDS = ["LOW", "MEDIUM", "HIGH", "AUTO"];
+    const WIFI_STATES = ["connecting_wifi", "wifi_connected", "connecting_mqtt", "mqtt_connected", "failed"];
+
+    // Field specs: { type, required, enum, min, max, pattern, fields (nested object), items (array element) }.
+    // "number" also accepts numeric strings, which older firmware sends for sensor values. type may list
+    // several types. dropInvalidItems (incoming lists): bad elements are removed and reported, the message is kept.
+    const onOff = { type: "string", enum: ["ON", "OFF"] };
+    const setPoint = { type: "integer", min: 16, max: 30 };
+    const acMode = { type: "string", enum: AC_MODES };
+    const fanSpeed = { type: "string", enum: FAN_SPEEDS };
+    const clockTime = { type: "string", pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };
+    const scheduleEntry = {
+        type: "object",
+        fields: {
+            id: { type: ["string", "integer"], required: true }, // Some firmware numbers its entries; the app keeps ids as strings
+            name: { type: "string" },
+            days: { type: "array", items: { type: "integer", min: 0, max: 6 } },
+            start: { ...clockTime, required: true },
+            end: { type: "string", pattern: /^$|^([01]\d|2[0-3]):[0-5]\d$/ },
+            power: onOff, temp: setPoint, mode: acMode, fan_speed: fanSpeed,
+            scene: { type: "string" }, // Set when the entry runs a scene; relays then holds the scene's relay states
+            relays: { type: "object", values: onOff },
+            enabled: { type: "boolean" }
+        }
+    };
+    const relayId = { type: "string", pattern: /^[A-Za-z0-9_]{1,16}$/ }; // Channel ids come from the firmware (relay_channels)
+    const required = (spec) => ({ ...spec, required: true });
+    // Weekly on/off window for one relay: on at start, off at end, on the listed days.
+    const relayScheduleEntry = {
+        type: "object",
+        fields: {
+            id: { type: ["string", "integer"], required: true },
+            relay: required(relayId),
+            days: { type: "array", items: { type: "integer", min: 0, max: 6 } },
+            start: required(clockTime), end: required(clockTime),
+            enabled: { type: "boolean" }
+        }
+    };
+    // One step of a sleep curve: offset_min after the curve's start, the AC goes to temp/fan_speed.
+    const sleepCurvePoint = { type: "object", fields: { offset_min: { type: "integer", required: true, min: 0, max: 1439 }, temp: required(setPoint), fan_speed: required(fanSpeed) } };
+    const MAX_SLEEP_CURVE_POINTS = 12;
+    const phaseMinutes = { type: "integer", min: 1, max: 720 };
+    const _clockMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+    // A running countdown as the device reports it. When it runs out the relay goes to the opposite of value.
+    const relayTimer = { type: "object", fields: { relay: required(relayId), value: required(onOff), remaining_s: { type: "integer", required: true, min: 0 } } };
+
+    // Outgoing commands. `check` adds rules that depend on other fields.
+    const OUTGOING = {
+        ac_fan: { fields: { power: required(onOff), temp: required(setPoint), mode: required(acMode), fan_speed: required(fanSpeed) } },
+        relay: { fields: { relay: required(relayId), value: required(onOff) } },
+        schedule: {
+            fields: {
+                schedule_type: { type: "string", required: true, enum: ["fixed", "oscillation", "sleep_curve", "duty_cycle"] },
+                time: clockTime, on_time: clockTime, off_time: clockTime,
+                power: required(onOff), temp: required(setPoint), mode: required(acMode), fan_speed: required(fanSpeed),
+                points: { type: "array", items: sleepCurvePoint }, // sleep_curve: steps from on_time; the AC is switched off at off_time
+                // duty_cycle: from on_time the AC runs run_minutes with the top-level settings, then rests rest_minutes with
+                // `rest`, repeated until off_time or for `cycles` cycles; the AC is switched off when it ends
+                run_minutes: phaseMinutes, rest_minutes: phaseMinutes, cycles: { type: "integer", min: 1, max: 99 },
+                rest: { type: "object", fields: { power: required(onOff), temp: required(setPoint), mode: required(acMode), fan_speed: required(fanSpeed) } }
+            },
+            check: (msg) => {
+                if (msg.schedule_type === "fixed" && !msg.time) return ["time is required for a fixed schedule"];
+                if (msg.schedule_type === "oscillation" && (!msg.on_time || !msg.off_time)) return ["on_time and off_time are required for an oscillation schedule"];
+                if (msg.schedule_type === "sleep_curve") {
+                    if (!msg.on_time || !msg.off_time) return ["on_time and off_time are required for a sleep curve"];
+                    if (!Array.isArray(msg.points) || msg.points.length === 0 || msg.points.length > MAX_SLEEP_CURVE_POINTS) return [`a sleep curve needs 1 to ${MAX_SLEEP_CURVE_POINTS} points`];
+                    if (msg.points[0].offset_min !== 0) return ["the first sleep curve point must be at offset 0"];
+                    const duration = ((_clockMinutes(msg.off_time) - _clockMinutes(msg.on_time) + 1440) % 1440) || 1440;
+                    if (msg.points.some((p, i) => i > 0 && p.offset_min <= msg.points[i - 1].offset_min)) return ["sleep curve points must be in increasing order"];
+                    if (msg.points[msg.points.length - 1].offset_min >= duration) return ["every sleep curve point must be before off_time"];
+                }
+                if (msg.schedule_type === "duty_cycle") {
+                    if (!msg.on_time || !msg.run_minutes || !msg.rest_minutes || !msg.rest) return ["on_time, run_minutes, rest_minutes and rest are required for a duty cycle"];
+                    if (!msg.off_time && !msg.cycles) return ["a duty cycle needs off_time or cycles"];
+                    if (msg.cycles && msg.cycles * (msg.run_minutes + msg.rest_minutes) > 1440) return [`${msg.cycles} cycles of ${msg.run_minutes + msg.rest_minutes} minutes do not fit in a day`];
+                    if (msg.off_time) {
+                        const window = ((_clockMinutes(msg.off_time) - _clockMinutes(msg.on_time) + 1440) % 1440) || 1440;
+                        if (window < msg.run_minutes) return [`the ${window}-minute window is shorter than run_minutes`];
+                    }
+                }
+                return [];
+            }
+        },
+        schedule_entry: {
+            fields: { op: { type: "string", required: true, enum: ["add", "update", "delete", "list"] }, entry: scheduleEntry, id: { type: "string" } },
+            check: (msg) => {
+                if ((msg.op === "add" || msg.op === "update") && !msg.entry) return [`entry is required for op "${msg.op}"`];
+                if (msg.op === "delete" && !msg.id) return ['id is required for op "delete"'];
+                return [];
+            }
+        },
+        // AC state plus relays, applied together: the device checks all of it first and acks or nacks the whole scene.
+        scene: {
+            fields: {
+                name: { type: "string", required: true },
+                ac: { type: "object", required: true, fields: { power: required(onOff), temp: required(setPoint), mode: required(acMode), fan_speed: required(fanSpeed) } },
+                relays: { type: "object", required: true, values: onOff }
+            }
+        },
+        // Switches the relay to value now and back after duration_s; op "cancel" leaves it as it is.
+        relay_timer: {
+            fields: { op: { type: "string", required: true, enum: ["start", "cancel"] }, relay: required(relayId), value: onOff, duration_s: { type: "integer", min: 60, max: 86400 } },
+            check: (msg) => (msg.op === "start" && (!msg.value || !msg.duration_s) ? ['value and duration_s are required for op "start"'] : [])
+        },
+        relay_schedule: {
+            fields: { op: { type: "string", required: true, enum: ["add", "update", "delete", "list"] }, entry: relayScheduleEntry, id: { type: "string" } },
+            check: (msg) => {
+                if ((msg.op === "add" || msg.op === "update") && !msg.entry) return [`entry is required for op "${msg.op}"`];
+                if (msg.op === "delete" && !msg.id) return ['id is required for op "delete"'];
+                return [];
+            }
+        },
+        system_control: { fields: { command: { type: "string", required: true, enum: ["shutdown", "mqtt_activate"] } } },
+        // Shared MQTT signing key (base64, 32 bytes). Only ever sent over BLE.
+        key_provision: { fields: { key: { type: "string", required: true, pattern: /^[A-Za-z0-9+/]{43}=$/ }, encrypt: { type: "boolean", required: true } } },
+        // Wi-Fi provisioning. Results and join progress arrive later as wifi_scan_result / wifi_status.
+        wifi_scan: { fields: {} },
+        wifi_config: {
+            fields: {
+                ssid: { type: "string", required: true, pattern: /^.{1,32}$/ },
+                password: { type: "string" },
+                mqtt: {
+                    type: "object", required: true,
+                    fields: { host: { type: "string", required: true }, port: { type: "integer", required: true, min: 1, max: 65535 }, username: { type: "string" }, password: { type: "string" }, topic: { type: "string", required: true } }
+                }
+            }
+        },
+        state_request: { fields: {} }
+    };
+
+    // Fields any incoming message may carry alongside its own (periodic status rides on other messages).
+    const INCOMING_COMMON = {
+        v: { type: "integer", min: 1 },
+        req_id: { type: "string" },
+        roomTemp: { type: "number", min: -40, max: 85 },
+        humidity: { type: "number", min: 0, max: 100 },
+        relay_states: { type: "object", values: onOff },
+        mtu: { type: "integer", min: 23, max: 517 }, // Negotiated BLE MTU, so the app can size its chunks
+        relay_timers: { type: "array", items: relayTimer }, // Every running countdown; sent whenever one starts, ends or is cancelled
+        // Live state of a duty_cycle schedule, with every status while one is set. remaining_s counts down to the next phase
+        // ("idle": to the next start); cycle is 1-based and 0 while idle.
+        duty_cycle: {
+            type: "object",
+            fields: {
+                phase: { type: "string", required: true, enum: ["idle", "run", "rest"] },
+                remaining_s: { type: "integer", required: true, min: 0 },
+                cycle: { type: "integer", min: 0 }, cycles: { type: "integer", min: 1 }
+            }
+        }
+    };
+    const ACK_FIELDS = { reason: { type: "string" } };
+    // Messages from the ESP32, keyed by type. "" is a plain status message without a type.
+    const INCOMING = {
+        "": { fields: {} },
+        ac_fan: { fields: { power: required(onOff), temp: setPoint, mode: acMode, fan_speed: fanSpeed } },
+        relay: { fields: { relay: { type: "string", required: true }, value: required(onOff) } },
+        connection_status: { fields: { status: { type: "string", required: true } } },
+        mqtt_handshake: { fields: { status: { type: "string", required: true } } },
+        mqtt_feedback: { fields: { status: { type: "string", required: true } } },
+        schedule_ack: { fields: { schedule: { type: "string" } } },
+        schedule_nack: { fields: { schedule: { type: "string" }, ...ACK_FIELDS } },
+        schedule_entry_ack: { fields: { entries: { type: "array", items: scheduleEntry, dropInvalidItems: true } } },
+        relay_schedule_ack: { fields: { entries: { type: "array", items: relayScheduleEntry, dropInvalidItems: true } } },
+        wifi_scan_result: { fields: { networks: { type: "array", required: true, items: { type: "object", fields: { ssid: { type: "string", required: true }, rssi: { type: "number" }, secure: { type: "boolean" } } } } } },
+        wifi_status: { fields: { state: { type: "string", required: true, enum: WIFI_STATES }, reason: { type: "string" }, ip: { type: "string" } } },
+        state_request_ack: {
+            fields: {
+                ac: { type: "object", fields: { power: onOff, temp: setPoint, mode: acMode, fan_speed: fanSpeed } },
+                schedules: { type: "array", items: scheduleEntry, dropInvalidItems: true },
+                relay_schedules: { type: "array", items: relayScheduleEntry, dropInvalidItems: true },
+                // The board's relay outputs: id is used in relay commands, name is the key in relay_states
+                relay_channels: { type: "array", items: { type: "object", fields: { id: required(relayId), name: { type: "string", required: true } } } }
+            }
+        }
+    };
+    const GENERIC_ACK = { fields: ACK_FIELDS }; // Any other "<type>_ack" / "<type>_nack"
+
+    // --- State Variables ---
+    const diagnostics = []; // Newest first: { at, direction: "in"|"out", kind, type, errors, raw }
+    let peerVersion = null; // Last protocol version reported by the firmware on this connection
+    let onDiagnosticCallback = null;
+    let onVersionMismatchCallback = null;
+
+    // --- Private Helper Functions ---
+    const _error = (message, err = '') => console.error(`Protocol_Ctrl ERROR: ${message}`, err);
+
+    function _checkValue(value, spec, path) {
+        if (Array.isArray(spec.type)) {
+            if (spec.type.every(type => _checkValue(value, { type }, path).length)) return [`${path} must be a ${spec.type.join(" or ")}`];
+            return _checkValue(value, { ...spec, type: undefined }, path);
+        }
+        const errors = [];
+        const isNumeric = typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)));
+        switch (spec.type) {
+            case "string": if (typeof value !== "string") return [`${path} must be a string`]; break;
+            case "boolean": if (typeof value !== "boolean") return [`${path} must be true or false`]; break;
+            case "integer": if (!Number.isInteger(value)) return [`${path} must be a whole number`]; break;
+            case "number": if (!isNumeric || !Number.isFinite(Number(value))) return [`${path} must be a number`]; break;
+            case "array": if (!Array.isArray(value)) return [`${path} must be a list`]; break;
+            case "object": if (!value || typeof value !== "object" || Array.isArray(value)) return [`${path} must be an object`]; break;
+        }
+        if (spec.enum && !spec.enum.includes(value)) errors.push(`${path} must be one of ${spec.enum.join("/")} (got ${JSON.stringify(value)})`);
+        if (spec.min !== undefined && Number(value) < spec.min) errors.push(`${path} must be at least ${spec.min} (got ${value})`);
+        if (spec.max !== undefined && Number(value) > spec.max) errors.push(`${path} must be at most ${spec.max} (got ${value})`);
+        if (spec.pattern && !spec.pattern.test(value)) errors.push(`${path} has an invalid format (got ${JSON.stringify(value)})`);
+        if (spec.fields) errors.push(..._checkFields(value, spec.fields, `${path}.`));
+        if (spec.items) value.forEach((item, i) => errors.push(..._checkValue(item, spec.items, `${path}[${i}]`)));
+        if (spec.values) Object.keys(value).forEach(key => errors.push(..._checkValue(value[key], spec.values, `${path}.${key}`)));
+        return errors;
+    }
+    // Unknown extra fields are allowed so newer firmware can add data without breaking older apps.
+    function _checkFields(msg, fields, prefix = "") {
+        const errors = [];
+        Object.keys(fields).forEach(name => {
+            const spec = fields[name];
+            if (msg[name] === undefined || msg[name] === null) {
+                if (spec.required) errors.push(`${prefix}${name} is required`);
+                return;
+            }
+            errors.push(..._checkValue(msg[name], spec, `${prefix}${name}`));
+        });
+        return errors;
+    }
+    // Removes the bad elements of dropInvalidItems lists in place, so one bad entry does not cost the whole message.
+    function _dropInvalidItems(msg, fields) {
+        const errors = [];
+        Object.keys(fields).forEach(name => {
+            const spec = fields[name];
+            if (!spec.dropInvalidItems || !Array.isArray(msg[name])) return;
+            msg[name] = msg[name].filter((item, i) => {
+                const itemErrors = _checkValue(item, spec.items, `${name}[${i}]`);
+                if (itemErrors.length) errors.push(`${name}[${i}] dropped: ${itemErrors.join(", ")}`);
+                return itemErrors.length === 0;
+            });
+        });
+        return errors;
+    }
+    function _report(direction, kind, type, errors, raw) {
+        const entry = { at: new Date().getTime(), direction, kind, type: type || "", errors, raw: String(raw).slice(0, 500) };
+        diagnostics.unshift(entry);
+        if (diagnostics.length > MAX_DIAGNOSTICS) diagnostics.length = MAX_DIAGNOSTICS;
+        console.warn(`Protocol_Ctrl: ${direction === "in" ? "Incoming" : "Outgoing"} ${kind} message${type ? ` "${type}"` : ""}:`, errors.join("; "));
+        if (onDiagnosticCallback) {
+            try { onDiagnosticCallback(entry); } catch (e) { _error("onDiagnostic callback failed.", e); }
+        }
+    }
+
+    // --- Public Interface ---
+    function init(callbacks = {}) {
+        onDiagnosticCallback = callbacks.onDiagnostic || null;
+        onVersionMismatchCallback = callbacks.onVersionMismatch || null;
+    }
+
+    // Stamps the protocol version on an outgoing command and checks it against its schema.
+    // Returns { ok, message, errors }.
+    function prepareOutgoing(command) {
+        const message = { ...command, v: VERSION };
+        const schema = OUTGOING[message.type];
+        const errors = schema ? [..._checkFields(message, schema.fields), ...(schema.check ? schema.check(message) : [])] : [`unknown command type "${message.type}"`];
+        if (errors.length) _report("out", schema ? "invalid" : "unknown", message.type, errors, JSON.stringify(message));
+        return { ok: errors.length === 0, message, errors };
+    }
+
+    // Parses and checks a raw payload from the device. Only messages with ok: true may touch app state.
+    // Returns { ok, data, kind: "valid"|"malformed"|"unknown"|"invalid", errors }.
+    function parseIncoming(raw) {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            _report("in", "malformed", "", [`not valid JSON: ${error.message}`], raw);
+            return { ok: false, data: null, kind: "malformed", errors: [error.message] };
+        }
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            _report("in", "malformed", "", ["message must be a JSON object"], raw);
+            return { ok: false, data: null, kind: "malformed", errors: ["message must be a JSON object"] };
+        }
+        const type = typeof data.type === "string" ? data.type : "";
+        const schema = INCOMING[type] || (/_n?ack$/.test(type) ? GENERIC_ACK : null);
+        if (!schema) {
+            _report("in", "unknown", type, [`unknown message type "${type}"`], raw);
+            return { ok: false, data, kind: "unknown", errors: [`unknown message type "${type}"`] };
+        }
+        const dropped = _dropInvalidItems(data, schema.fields);
+        if (dropped.length) _report("in", "invalid", type, dropped, raw);
+        const errors = [..._checkFields(data, INCOMING_COMMON), ..._checkFields(data, schema.fields)];
+        if (errors.length) {
+            _report("in", "invalid", type, errors, raw);
+            return { ok: false, data, kind: "invalid", errors };
+        }
+        if (data.v !== undefined && data.v !== peerVersion) {
+            peerVersion = data.v;
+            if (data.v !== VERSION) {
+                _report("in", "version", type, [`firmware speaks protocol v${data.v}, this app speaks v${VERSION}`], raw);
+                if (onVersionMismatchCallback) onVersionMismatchCallback(data.v, VERSION);
+            }
+        }
+        return { ok: true, data, kind: "valid", errors: [] };
+    }
+
+    // For problems found below the message layer (e.g. BLE framing), so they show up with the rest.
+    function reportIncoming(kind, errors, raw = "") { _report("in", kind, "", errors, raw); }
+
+    // Call when a connection ends so the next firmware is checked (and warned about) afresh.
+    function resetPeer() { peerVersion = null; }
+    function getPeerVersion() { return peerVersion; }
+    function getDiagnostics() { return [...diagnostics]; }
+    function clearDiagnostics() { diagnostics.length = 0; }
+
+    return {
+        VERSION,
+        init,
+        prepareOutgoing,
+        parseIncoming,
+        reportIncoming,
+        resetPeer,
+        getPeerVersion,
+        getDiagnostics,
+        clearDiagnostics
+    };
+})();
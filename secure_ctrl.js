@@ -0,0 +1,101 @@
+// secure_ctrl.js (MQTT Message Security) - HMAC signing, replay protection and optional encryption for broker traffic
+
+const Secure_Ctrl = (() => {
+    // --- Configuration ---
+    // Envelope: { sv, ts, nonce, p } for a signed message, or { sv, ts, nonce, iv, ct } when encrypted, plus
+    // sig = hex HMAC-SHA256 over "sv.ts.nonce.p" (or "sv.ts.nonce.iv.ct"). Two subkeys are derived from the
+    // shared device key so the firmware needs nothing beyond HMAC and AES-GCM:
+    //   mac key = HMAC-SHA256(deviceKey, "ac-remote/mac"), enc key = HMAC-SHA256(deviceKey, "ac-remote/enc")
+    const ENVELOPE_VERSION = 1;
+    const KEY_BYTES = 32;
+    const NONCE_BYTES = 12;
+    const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000; // Messages stamped further from this clock are rejected (the ESP32 keeps NTP time)
+
+    // --- State Variables ---
+    const derivedKeys = new Map(); // base64 device key -> Promise<{ macKey, encKey }>
+    const seenNonces = new Map(); // nonce -> ts, for messages inside the skew window
+
+    // --- Private Helper Functions ---
+    const _encoder = new TextEncoder();
+    const _decoder = new TextDecoder('utf-8');
+    const _toHex = (bytes) => Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+    const _toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    const _fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    const _randomBytes = (count) => crypto.getRandomValues(new Uint8Array(count));
+
+    function _keysFor(deviceKey) {
+        if (!derivedKeys.has(deviceKey)) {
+            derivedKeys.set(deviceKey, (async () => {
+                const master = await crypto.subtle.importKey("raw", _fromBase64(deviceKey), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+                const derive = (label) => crypto.subtle.sign("HMAC", master, _encoder.encode(label));
+                const macKey = await crypto.subtle.importKey("raw", await derive("ac-remote/mac"), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+                const encKey = await crypto.subtle.importKey("raw", await derive("ac-remote/enc"), { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+                return { macKey, encKey };
+            })());
+        }
+        return derivedKeys.get(deviceKey);
+    }
+    const _signingInput = (env) => [env.sv, env.ts, env.nonce, ...(env.ct !== undefined ? [env.iv, env.ct] : [env.p])].join('.');
+
+    function _pruneNonces(now) {
+        seenNonces.forEach((ts, nonce) => { if (Math.abs(now - ts) > MAX_CLOCK_SKEW_MS) seenNonces.delete(nonce); });
+    }
+
+    // --- Public Interface ---
+    function isSupported() { return typeof crypto !== 'undefined' && !!crypto.subtle; } // Needs a secure context (https/localhost)
+
+    // A fresh random device key, base64 encoded.
+    function generateKey() { return _toBase64(_randomBytes(KEY_BYTES)); }
+
+    // Wraps a JSON command in a signed (and optionally encrypted) envelope. Returns the envelope as a string.
+    async function seal(deviceKey, jsonString, { encrypt = false } = {}) {
+        const { macKey, encKey } = await _keysFor(deviceKey);
+        const env = { sv: ENVELOPE_VERSION, ts: new Date().getTime(), nonce: _toHex(_randomBytes(NONCE_BYTES)) };
+        if (encrypt) {
+            const iv = _randomBytes(NONCE_BYTES);
+            env.iv = _toBase64(iv);
+            env.ct = _toBase64(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, encKey, _encoder.encode(jsonString)));
+        } else {
+            env.p = jsonString;
+        }
+        env.sig = _toHex(await crypto.subtle.sign("HMAC", macKey, _encoder.encode(_signingInput(env))));
+        return JSON.stringify(env);
+    }
+
+    // Checks an envelope from the device. Returns { ok, text, error }: text is the inner JSON when ok,
+    // otherwise the raw payload. Unsigned messages, bad signatures, stale timestamps and replayed nonces fail.
+    async function open(deviceKey, payload) {
+        const fail = (error) => ({ ok: false, text: payload, error });
+        let env;
+        try { env = JSON.parse(payload); } catch (error) { return fail("not valid JSON"); }
+        if (!env || typeof env !== 'object' || typeof env.sig !== 'string') return fail("message is not signed");
+        if (env.sv !== ENVELOPE_VERSION) return fail(`unsupported envelope version ${env.sv}`);
+        if (!Number.isFinite(env.ts) || typeof env.nonce !== 'string' || (typeof env.p !== 'string' && typeof env.ct !== 'string')) return fail("envelope is incomplete");
+        if (!/^[0-9a-f]{64}$/.test(env.sig)) return fail("signature has an invalid format");
+
+        const { macKey, encKey } = await _keysFor(deviceKey);
+        const signature = Uint8Array.from(env.sig.match(/../g), h => parseInt(h, 16));
+        if (!await crypto.subtle.verify("HMAC", macKey, signature, _encoder.encode(_signingInput(env)))) return fail("bad signature");
+
+        const now = new Date().getTime();
+        if (Math.abs(now - env.ts) > MAX_CLOCK_SKEW_MS) return fail(`timestamp is ${Math.round((now - env.ts) / 1000)}s off this clock`);
+        _pruneNonces(now);
+        if (seenNonces.has(env.nonce)) return fail("replayed message (nonce already seen)");
+        seenNonces.set(env.nonce, env.ts);
+
+        if (env.ct === undefined) return { ok: true, text: env.p, error: null };
+        try {
+            const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: _fromBase64(env.iv) }, encKey, _fromBase64(env.ct));
+            return { ok: true, text: _decoder.decode(plain), error: null };
+        } catch (error) {
+            return fail("could not decrypt");
+        }
+    }
+
+    return {
+        isSupported,
+        generateKey,
+        seal,
+        open
+    };
+})();
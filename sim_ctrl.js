@@ -0,0 +1,387 @@
+// sim_ctrl.js (Simulated ESP32) - in-browser stand-in for the firmware, for demos and UI work without hardware
+
+const SIM_Ctrl = (() => {
+    // --- Configuration ---
+    const TICK_MS = 5000; // Status broadcast interval; each tick moves the room as if a few minutes passed
+    const MIN_LATENCY_MS = 80;
+    const MAX_LATENCY_MS = 250;
+    const AMBIENT_TEMP = 31; // Where the room drifts with the AC off
+    const AMBIENT_HUMIDITY = 68;
+    const MAX_SCHEDULE_ENTRIES = 16; // Mirrors the firmware's table size
+    const RELAY_NAMES = { relay1: "LIGHT", relay2: "FAN", relay3: "AUX" }; // Command id -> name used in relay_states
+    const AC_MODES = ["COOL", "DRY", "HEAT", "FAN"];
+    const FAN_SPEEDS = ["LOW", "MEDIUM", "HIGH", "AUTO"];
+    const DEFAULT_FAULTS = {
+        dropAckRate: 0, // 0..1: chance an ack is lost (the command still takes effect, like a lost radio packet)
+        malformedRate: 0, // 0..1: chance an outgoing message is corrupted into invalid JSON
+        protocolVersion: null // Report a different protocol version than the app's, to exercise the mismatch warning
+    };
+
+    // --- State Variables ---
+    let connected = false;
+    let tickIntervalId = null;
+    let connectTimeoutId = null; // Set while connect() is pending
+    let faults = { ...DEFAULT_FAULTS };
+    let onDataReceivedCallback = null;
+    let onConnectionStatusChangeCallback = null;
+    const firedEntries = new Set(); // "<id>|start|<minute>" keys so an entry fires once per minute
+    let dutyPhaseKey = null; // "<run start>|<cycle>|<phase>" last applied by the duty cycle, null while idle
+    const device = {
+        ac: { power: "OFF", temp: 24, mode: "COOL", fan_speed: "LOW" },
+        relays: { LIGHT: "OFF", FAN: "OFF", AUX: "OFF" },
+        roomTemp: 28.5,
+        humidity: 62,
+        schedule: null, // Last schedule command; sleep_curve and duty_cycle are run, fixed/oscillation are stored
+        scheduleEntries: [],
+        relaySchedules: [],
+        relayTimers: {} // relay id -> { value, endsAt, timeoutId }
+    };
+
+    // --- Private Helper Functions ---
+    const _log = (message) => console.log(`SIM_Ctrl: ${message}`);
+    const _version = () => faults.protocolVersion ?? (typeof Protocol_Ctrl !== 'undefined' ? Protocol_Ctrl.VERSION : 1);
+    const _round1 = (value) => Math.round(value * 10) / 10;
+
+    function _emit(message) {
+        if (!connected || !onDataReceivedCallback) return;
+        let payload = JSON.stringify({ ...message, v: _version() });
+        if (Math.random() < faults.malformedRate) {
+            payload = payload.slice(0, Math.max(1, Math.floor(payload.length / 2))); // Truncated like a cut-off notification
+            _log("Fault: sending malformed JSON.");
+        }
+        const delay = MIN_LATENCY_MS + Math.random() * (MAX_LATENCY_MS - MIN_LATENCY_MS);
+        setTimeout(() => { if (connected) onDataReceivedCallback(payload); }, delay);
+    }
+    function _ack(command, extra = {}) {
+        if (Math.random() < faults.dropAckRate) { _log(`Fault: dropping ack for ${command.type} (${command.req_id}).`); return; }
+        _emit({ type: `${command.type}_ack`, req_id: command.req_id, ...extra });
+    }
+    const _nack = (command, reason) => _emit({ type: `${command.type}_nack`, req_id: command.req_id, reason });
+    const _toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+    // Where a duty_cycle schedule is right now: { phase, remaining_s, cycle, cycles, runKey }, or null without one.
+    function _dutyCycleState() {
+        const duty = device.schedule;
+        if (!duty || duty.schedule_type !== "duty_cycle") return null;
+        const now = new Date();
+        const DAY_MS = 24 * 60 * 60 * 1000, MINUTE_MS = 60 * 1000;
+        const msOfDay = ((now.getHours() * 60 + now.getMinutes()) * 60 + now.getSeconds()) * 1000 + now.getMilliseconds();
+        const elapsed = (msOfDay - _toMinutes(duty.on_time) * MINUTE_MS + DAY_MS) % DAY_MS;
+        const period = (duty.run_minutes + duty.rest_minutes) * MINUTE_MS;
+        const windowMs = duty.off_time ? (((_toMinutes(duty.off_time) - _toMinutes(duty.on_time) + 1440) % 1440) || 1440) * MINUTE_MS : duty.cycles * period;
+        const cycles = duty.cycles || Math.ceil(windowMs / period);
+        if (elapsed >= windowMs) return { phase: "idle", remaining_s: Math.ceil((DAY_MS - elapsed) / 1000), cycle: 0, cycles, runKey: null };
+        const cycle = Math.floor(elapsed / period);
+        const inPeriod = elapsed % period;
+        const running = inPeriod < duty.run_minutes * MINUTE_MS;
+        const phaseEnd = Math.min(running ? duty.run_minutes * MINUTE_MS : period, windowMs - cycle * period);
+        return {
+            phase: running ? "run" : "rest", remaining_s: Math.ceil((phaseEnd - inPeriod) / 1000), cycle: cycle + 1, cycles,
+            runKey: `${new Date(now.getTime() - elapsed).toDateString()}|${cycle}|${running ? "run" : "rest"}`
+        };
+    }
+    function _statusFields() {
+        const fields = { roomTemp: _round1(device.roomTemp), humidity: _round1(device.humidity), relay_states: { ...device.relays } };
+        const duty = _dutyCycleState();
+        if (duty) fields.duty_cycle = { phase: duty.phase, remaining_s: duty.remaining_s, cycle: duty.cycle, cycles: duty.cycles };
+        return fields;
+    }
+
+    const _relayTimerList = () => Object.keys(device.relayTimers).map(relay => ({ relay, value: device.relayTimers[relay].value, remaining_s: Math.max(0, Math.round((device.relayTimers[relay].endsAt - Date.now()) / 1000)) }));
+    function _clearRelayTimer(relay) {
+        if (!device.relayTimers[relay]) return;
+        clearTimeout(device.relayTimers[relay].timeoutId);
+        delete device.relayTimers[relay];
+    }
+
+    function _acStateError(state) {
+        if (!Number.isInteger(state.temp) || state.temp < 16 || state.temp > 30) return "Temperature out of range";
+        if (!AC_MODES.includes(state.mode) || !FAN_SPEEDS.includes(state.fan_speed)) return "Unknown mode or fan speed";
+        return null;
+    }
+    function _applyAcState(state) {
+        Object.assign(device.ac, state);
+        _emit({ type: "ac_fan", ...device.ac });
+    }
+
+    // add/update/delete/list on one of the device's tables (AC schedule entries or relay schedules).
+    function _handleScheduleTable(command, entries) {
+        const index = command.entry ? entries.findIndex(e => e.id === command.entry.id) : entries.findIndex(e => e.id === command.id);
+        switch (command.op) {
+            case "add":
+                if (index !== -1) return _nack(command, "Duplicate schedule id");
+                if (entries.length >= MAX_SCHEDULE_ENTRIES) return _nack(command, "Schedule table full");
+                entries.push({ ...command.entry });
+                return _ack(command);
+            case "update":
+                if (index === -1) return _nack(command, "No such schedule");
+                entries[index] = { ...command.entry };
+                return _ack(command);
+            case "delete":
+                if (index === -1) return _nack(command, "No such schedule");
+                entries.splice(index, 1);
+                return _ack(command);
+            case "list":
+                return _ack(command, { entries: entries.map(e => ({ ...e })) });
+            default:
+                return _nack(command, `Unknown op "${command.op}"`);
+        }
+    }
+
+    // Same command handling as the firmware's processCommand().
+    function _handleCommand(command) {
+        switch (command.type) {
+            case "ac_fan": {
+                const acError = _acStateError(command);
+                if (acError) return _nack(command, acError);
+                _applyAcState({ power: command.power === "ON" ? "ON" : "OFF", temp: command.temp, mode: command.mode, fan_speed: command.fan_speed });
+                return _ack(command);
+            }
+            case "relay": {
+                const name = RELAY_NAMES[command.relay];
+                if (!name) return _nack(command, `Unknown relay "${command.relay}"`);
+                device.relays[name] = command.value === "ON" ? "ON" : "OFF";
+                _clearRelayTimer(command.relay); // A manual switch wins over a running countdown
+                return _ack(command, { relay_states: { ...device.relays }, relay_timers: _relayTimerList() });
+            }
+            case "scene": {
+                const ac = command.ac || {};
+                const relays = command.relays || {};
+                const acError = _acStateError(ac);
+                if (acError) return _nack(command, acError);
+                const unknownRelay = Object.keys(relays).find(id => !RELAY_NAMES[id]);
+                if (unknownRelay) return _nack(command, `Unknown relay "${unknownRelay}"`);
+                // Everything checked before anything changes, so a scene is applied completely or not at all
+                Object.keys(relays).forEach(id => { device.relays[RELAY_NAMES[id]] = relays[id] === "ON" ? "ON" : "OFF"; _clearRelayTimer(id); });
+                _applyAcState({ power: ac.power === "ON" ? "ON" : "OFF", temp: ac.temp, mode: ac.mode, fan_speed: ac.fan_speed });
+                _log(`Scene "${command.name}" applied.`);
+                return _ack(command, { relay_states: { ...device.relays }, relay_timers: _relayTimerList() });
+            }
+            case "relay_timer": {
+                const name = RELAY_NAMES[command.relay];
+                if (!name) return _nack(command, `Unknown relay "${command.relay}"`);
+                _clearRelayTimer(command.relay);
+                if (command.op === "start") {
+                    const value = command.value === "ON" ? "ON" : "OFF";
+                    device.relays[name] = value;
+                    const timeoutId = setTimeout(() => {
+                        delete device.relayTimers[command.relay];
+                        device.relays[name] = value === "ON" ? "OFF" : "ON";
+                        _log(`Relay timer on ${command.relay} ran out.`);
+                        _emit({ relay_states: { ...device.relays }, relay_timers: _relayTimerList() });
+                    }, command.duration_s * 1000);
+                    device.relayTimers[command.relay] = { value, endsAt: Date.now() + command.duration_s * 1000, timeoutId };
+                }
+                return _ack(command, { relay_states: { ...device.relays }, relay_timers: _relayTimerList() });
+            }
+            case "relay_schedule":
+                if (command.entry && !RELAY_NAMES[command.entry.relay]) return _nack(command, `Unknown relay "${command.entry.relay}"`);
+                return _handleScheduleTable(command, device.relaySchedules);
+            case "schedule":
+                device.schedule = { ...command };
+                firedEntries.forEach(key => { if (key.startsWith("curve|")) firedEntries.delete(key); }); // A new curve starts from its current point
+                dutyPhaseKey = null;
+                return _ack(command, { schedule: command.schedule_type });
+            case "schedule_entry":
+                return _handleScheduleTable(command, device.scheduleEntries);
+            case "state_request":
+                return _ack(command, {
+                    ac: { ...device.ac },
+                    schedules: device.scheduleEntries.map(e => ({ ...e })),
+                    relay_schedules: device.relaySchedules.map(e => ({ ...e })),
+                    relay_timers: _relayTimerList(),
+                    relay_channels: Object.keys(RELAY_NAMES).map(id => ({ id, name: RELAY_NAMES[id] })),
+                    ..._statusFields()
+                });
+            case "system_control":
+                if (command.command === "shutdown") {
+                    _log("Shutdown requested. Going offline.");
+                    setTimeout(() => _goOffline("Simulated device shut down"), MAX_LATENCY_MS);
+                    return; // The real board powers down before it could ack
+                }
+                if (command.command === "mqtt_activate") return _emit({ type: "mqtt_feedback", status: "mqtt_activation_received" });
+                return _nack(command, `Unknown system command "${command.command}"`);
+            default:
+                return _nack(command, "Unknown command type");
+        }
+    }
+
+    // Moves the room towards what the AC is doing, plus a little sensor noise.
+    function _simulateRoom() {
+        const { power, temp, mode, fan_speed } = device.ac;
+        const fanFactor = { LOW: 0.6, MEDIUM: 0.8, HIGH: 1, AUTO: 0.9 }[fan_speed] || 0.8;
+        let targetTemp = AMBIENT_TEMP, tempRate = 0.03, targetHumidity = AMBIENT_HUMIDITY, humidityRate = 0.03;
+        if (power === "ON") {
+            if (mode === "COOL") { targetTemp = temp; tempRate = 0.12 * fanFactor; targetHumidity = 50; humidityRate = 0.05; }
+            else if (mode === "HEAT") { targetTemp = Math.max(temp, AMBIENT_TEMP); tempRate = 0.12 * fanFactor; targetHumidity = 45; humidityRate = 0.04; }
+            else if (mode === "DRY") { targetTemp = Math.max(temp, AMBIENT_TEMP - 2); tempRate = 0.05; targetHumidity = 40; humidityRate = 0.12; }
+            else if (mode === "FAN") { targetTemp = AMBIENT_TEMP - 0.5; tempRate = 0.05; }
+        }
+        device.roomTemp += (targetTemp - device.roomTemp) * tempRate + (Math.random() - 0.5) * 0.1;
+        device.humidity = Math.min(100, Math.max(0, device.humidity + (targetHumidity - device.humidity) * humidityRate + (Math.random() - 0.5) * 0.4));
+    }
+
+    // Fires enabled weekly entries (AC and relay) at their start/end minute, like the firmware's scheduler.
+    function _runScheduleEntries() {
+        const now = new Date();
+        const hhmm = now.toTimeString().slice(0, 5);
+        const minuteKey = `${now.toDateString()} ${hhmm}`;
+        device.scheduleEntries.forEach(entry => {
+            if (!entry.enabled || !entry.days.includes(now.getDay())) return;
+            if (entry.start === hhmm && !firedEntries.has(`${entry.id}|start|${minuteKey}`)) {
+                firedEntries.add(`${entry.id}|start|${minuteKey}`);
+                _log(`Schedule "${entry.name}" started.`);
+                _applyAcState({ power: entry.power, temp: entry.temp, mode: entry.mode, fan_speed: entry.fan_speed });
+                if (entry.relays) {
+                    Object.keys(entry.relays).forEach(id => { if (RELAY_NAMES[id]) device.relays[RELAY_NAMES[id]] = entry.relays[id]; });
+                    _emit({ relay_states: { ...device.relays } });
+                }
+            } else if (entry.end === hhmm && !firedEntries.has(`${entry.id}|end|${minuteKey}`)) {
+                firedEntries.add(`${entry.id}|end|${minuteKey}`);
+                _log(`Schedule "${entry.name}" ended.`);
+                _applyAcState({ power: "OFF" });
+            }
+        });
+        device.relaySchedules.forEach(entry => {
+            if (!entry.enabled || !entry.days.includes(now.getDay())) return;
+            const edge = entry.start === hhmm ? "start" : entry.end === hhmm ? "end" : null;
+            if (!edge || firedEntries.has(`${entry.id}|${edge}|${minuteKey}`)) return;
+            firedEntries.add(`${entry.id}|${edge}|${minuteKey}`);
+            _log(`Relay schedule ${entry.id} switched ${entry.relay} ${edge === "start" ? "on" : "off"}.`);
+            _clearRelayTimer(entry.relay);
+            device.relays[RELAY_NAMES[entry.relay]] = edge === "start" ? "ON" : "OFF";
+            _emit({ relay_states: { ...device.relays }, relay_timers: _relayTimerList() });
+        });
+        if (firedEntries.size > 200) firedEntries.clear();
+    }
+
+    // Steps through a sleep_curve: the point whose offset was reached last is applied once per night,
+    // and the AC is switched off at off_time.
+    function _runSleepCurve() {
+        const curve = device.schedule;
+        if (!curve || curve.schedule_type !== "sleep_curve") return;
+        const now = new Date();
+        const start = _toMinutes(curve.on_time);
+        const duration = ((_toMinutes(curve.off_time) - start + 1440) % 1440) || 1440;
+        const elapsed = (now.getHours() * 60 + now.getMinutes() - start + 1440) % 1440;
+        const nightKey = new Date(now.getTime() - elapsed * 60 * 1000).toDateString(); // The day this run started
+        if (duration < 1440 && elapsed === duration) {
+            if (firedEntries.has(`curve|off|${nightKey}`)) return;
+            firedEntries.add(`curve|off|${nightKey}`);
+            _log("Sleep curve reached wake time.");
+            _applyAcState({ power: "OFF" });
+            return;
+        }
+        if (elapsed >= duration) return;
+        const index = curve.points.reduce((last, point, i) => point.offset_min <= elapsed ? i : last, 0);
+        if (firedEntries.has(`curve|${index}|${nightKey}`)) return;
+        firedEntries.add(`curve|${index}|${nightKey}`);
+        const point = curve.points[index];
+        _log(`Sleep curve point ${index + 1}: ${point.temp}°C, fan ${point.fan_speed}.`);
+        _applyAcState({ power: "ON", temp: point.temp, mode: curve.mode, fan_speed: point.fan_speed });
+    }
+
+    // Applies each duty cycle phase once as it starts, and switches the AC off when the last one ends.
+    function _runDutyCycle() {
+        const duty = _dutyCycleState();
+        if (!duty || duty.runKey === dutyPhaseKey) return;
+        if (!duty.runKey) {
+            dutyPhaseKey = null;
+            _log("Duty cycle finished.");
+            _applyAcState({ power: "OFF" });
+            return;
+        }
+        dutyPhaseKey = duty.runKey;
+        const schedule = device.schedule;
+        const state = duty.phase === "run" ? { power: "ON", temp: schedule.temp, mode: schedule.mode, fan_speed: schedule.fan_speed } : schedule.rest;
+        _log(`Duty cycle ${duty.cycle}/${duty.cycles}: ${duty.phase} for ${duty.remaining_s}s.`);
+        _applyAcState(state.power === "OFF" ? { power: "OFF" } : { ...state });
+    }
+
+    function _tick() {
+        _simulateRoom();
+        _runScheduleEntries();
+        _runSleepCurve();
+        _runDutyCycle();
+        _emit(_statusFields());
+    }
+
+    function _goOffline(message) {
+        if (!connected) return;
+        connected = false;
+        clearInterval(tickIntervalId);
+        tickIntervalId = null;
+        if (onConnectionStatusChangeCallback) onConnectionStatusChangeCallback(false, message);
+    }
+
+    // --- Public Interface ---
+    function init(callbacks) {
+        onDataReceivedCallback = callbacks.onDataReceived;
+        onConnectionStatusChangeCallback = callbacks.onConnectionStatusChange;
+        _log("Simulator ready.");
+        return true;
+    }
+
+    function connect() {
+        if (connected || connectTimeoutId) return;
+        connectTimeoutId = setTimeout(() => {
+            connectTimeoutId = null;
+            connected = true;
+            tickIntervalId = setInterval(_tick, TICK_MS);
+            _log("Simulated device online.");
+            if (onConnectionStatusChangeCallback) onConnectionStatusChangeCallback(true, "Simulated Device Online");
+            _emit({ type: "connection_status", status: "connected_to_esp32" });
+        }, 400); // Roughly a BLE connect
+    }
+
+    function disconnect() {
+        if (connectTimeoutId) { // Cancelled before the simulated device came online
+            clearTimeout(connectTimeoutId);
+            connectTimeoutId = null;
+            if (onConnectionStatusChangeCallback) onConnectionStatusChangeCallback(false, "Simulator Disconnected");
+            return;
+        }
+        _goOffline("Simulator Disconnected");
+    }
+
+    // Takes the same JSON string the BLE/MQTT paths write. Returns false if the link is down.
+    function send(jsonString) {
+        if (!connected) return false;
+        const delay = MIN_LATENCY_MS + Math.random() * (MAX_LATENCY_MS - MIN_LATENCY_MS);
+        setTimeout(() => {
+            if (!connected) return;
+            let command;
+            try {
+                command = JSON.parse(jsonString);
+            } catch (error) {
+                _log("Ignoring unparsable command."); // The firmware drops it silently as well
+                return;
+            }
+            _handleCommand(command);
+        }, delay);
+        return true;
+    }
+
+    function isConnected() { return connected; }
+
+    // faults: any of { dropAckRate, malformedRate, protocolVersion }
+    function setFaults(newFaults) {
+        faults = { ...faults, ...newFaults };
+        _log(`Faults set: ${JSON.stringify(faults)}`);
+    }
+    function getFaults() { return { ...faults }; }
+
+    // Drops the link as if the board went out of range.
+    function simulateDisconnect() { _goOffline("Simulated Device Connection Lost"); }
+
+    return {
+        init,
+        connect,
+        disconnect,
+        send,
+        isConnected,
+        setFaults,
+        getFaults,
+        simulateDisconnect
+    };
+})();
@@ -0,0 +1,68 @@
+// sw.js (Service Worker) - serves the app shell and its libraries from a cache so the page loads offline
+
+// --- Configuration ---
+const CACHE_NAME = 'ac-hub-v5'; // Bump when SHELL_FILES changes; caches with another name are dropped on activate
+const SHELL_FILES = [
+    './', 'index.html', 'css6.css', 'manifest.webmanifest', 'icon.svg',
+    'vendor/tailwind.min.css', 'vendor/paho-mqtt.min.js',
+    'js6.js', 'protocol_ctrl.js', 'framing_ctrl.js', 'secure_ctrl.js', 'history_ctrl.js',
+    'lan_ctrl.js', 'sim_ctrl.js', 'thermostat_ctrl.js', 'alert_ctrl.js', 'activity_ctrl.js', 'energy_ctrl.js',
+    'js7.js'
+];
+// Font Awesome still comes from its CDN (icons only). Fetched on install when reachable; its font files are
+// requested by the stylesheet and get cached the first time they load.
+const LIBRARY_URLS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+const LIBRARY_HOSTS = ['cdnjs.cloudflare.com'];
+
+// --- Lifecycle ---
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL_FILES);
+        // no-cors like the page's own <script>/<link> tags; a CDN that is unreachable now is cached on first use instead
+        await Promise.allSettled(LIBRARY_URLS.map(async (url) => cache.put(url, await fetch(new Request(url, { mode: 'no-cors' })))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// --- Requests ---
+// Stale-while-revalidate: answer from the cache at once (BLE control must not wait for a flaky network),
+// refresh the cached copy in the background, and use the network only for what is not cached yet.
+async function _staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => {})); // Offline: keep serving the cached copy
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (error) {
+        const shell = request.mode === 'navigate' ? await cache.match('index.html') : null;
+        if (shell) return shell;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin && !LIBRARY_HOSTS.includes(url.hostname)) return; // Broker and anything else go straight to the network
+    event.respondWith(_staleWhileRevalidate(event));
+});
@@ -0,0 +1,137 @@
+// thermostat_ctrl.js (Client-side Thermostat) - decides AC power/set point from room temperature readings
+
+const Thermostat_Ctrl = (() => {
+    // --- Configuration ---
+    const DEFAULT_CONFIG = {
+        enabled: false,
+        target: 24, // Room temperature to hold, °C
+        hysteresis: 1, // Half-width of the dead band: cooling starts above target + hysteresis and stops below target - hysteresis
+        minOnMinutes: 5, // Compressor protection: the AC is never switched off sooner than this after switching on...
+        minOffMinutes: 3, // ...nor switched on sooner than this after switching off
+        staleAfterMinutes: 10, // Readings older than this no longer drive decisions
+        staleAction: "restore" // "restore": hand control back to the AC's own thermostat at the target; "off": switch the AC off
+    };
+    const STEP_INTERVAL_MS = 10 * 60 * 1000; // Set point is stepped at most once per 10 min so the room can respond
+    const MIN_SET_POINT = 16;
+    const MAX_SET_POINT = 30;
+
+    // --- State Variables ---
+    // deviceId -> { lastPower, lastPowerChangeAt, lastStepAt, staleHandled, lastDecision, lastAction }
+    const runtime = {};
+
+    // --- Private Helper Functions ---
+    const _log = (message) => console.log(`Thermostat_Ctrl: ${message}`);
+
+    function _runtimeFor(deviceId) {
+        if (!runtime[deviceId]) runtime[deviceId] = { lastPower: null, lastPowerChangeAt: 0, lastStepAt: 0, staleHandled: false, lastDecision: null, lastAction: null };
+        return runtime[deviceId];
+    }
+    const _minutesLeft = (sinceTs, minutes, now) => Math.ceil((sinceTs + minutes * 60 * 1000 - now) / 60000);
+    const _fmt = (value) => Number(value).toFixed(1);
+
+    // --- Public Interface ---
+    function getDefaultConfig() { return { ...DEFAULT_CONFIG }; }
+
+    function normalizeConfig(config) {
+        const merged = { ...DEFAULT_CONFIG, ...(config || {}) };
+        const clamp = (value, min, max, fallback) => Number.isFinite(Number(value)) ? Math.min(max, Math.max(min, Number(value))) : fallback;
+        return {
+            enabled: merged.enabled === true,
+            target: clamp(merged.target, MIN_SET_POINT, MAX_SET_POINT, DEFAULT_CONFIG.target),
+            hysteresis: clamp(merged.hysteresis, 0.2, 5, DEFAULT_CONFIG.hysteresis),
+            minOnMinutes: clamp(merged.minOnMinutes, 0, 60, DEFAULT_CONFIG.minOnMinutes),
+            minOffMinutes: clamp(merged.minOffMinutes, 0, 60, DEFAULT_CONFIG.minOffMinutes),
+            staleAfterMinutes: clamp(merged.staleAfterMinutes, 1, 120, DEFAULT_CONFIG.staleAfterMinutes),
+            staleAction: merged.staleAction === "off" ? "off" : "restore"
+        };
+    }
+
+    // Works out what the AC should do now. Pure apart from the per-device timing it keeps (last power
+    // change, last set point step), which assumes the returned action gets applied.
+    // input: { now, roomTemp (number|null), readingAt, isPowerOn, setPoint, mode }
+    // Returns { action: "none"|"power_on"|"power_off"|"set_point", power, temp, reason, at }
+    function evaluate(deviceId, config, input) {
+        const rt = _runtimeFor(deviceId);
+        const { now, roomTemp, readingAt, isPowerOn, setPoint, mode } = input;
+        if (rt.lastPower !== null && rt.lastPower !== isPowerOn) rt.lastPowerChangeAt = now; // Manual or device-side changes count too
+        rt.lastPower = isPowerOn;
+
+        const decide = (action, reason, changes = {}) => {
+            const decision = { action, power: changes.power ?? isPowerOn, temp: changes.temp ?? setPoint, reason, at: now };
+            rt.lastDecision = decision;
+            if (action !== "none") {
+                rt.lastAction = decision;
+                if (decision.power !== isPowerOn) { rt.lastPowerChangeAt = now; rt.lastPower = decision.power; }
+                if (action === "set_point" || action === "power_on") rt.lastStepAt = now; // A fresh start also gets time to work
+                _log(`${deviceId}: ${action} (${reason})`);
+            }
+            return decision;
+        };
+
+        if (!config.enabled) return decide("none", "Thermostat is off.");
+
+        const isStale = !Number.isFinite(roomTemp) || !readingAt || now - readingAt > config.staleAfterMinutes * 60 * 1000;
+        if (isStale) {
+            if (rt.staleHandled) return decide("none", `No fresh room reading for over ${config.staleAfterMinutes} min. Fallback already applied.`);
+            rt.staleHandled = true;
+            if (config.staleAction === "off" && isPowerOn) return decide("power_off", `No fresh room reading for over ${config.staleAfterMinutes} min. Switched the AC off for safety.`, { power: false });
+            if (config.staleAction === "restore" && isPowerOn && setPoint !== Math.round(config.target)) return decide("set_point", `No fresh room reading for over ${config.staleAfterMinutes} min. Set point restored to ${Math.round(config.target)}°C so the AC regulates itself.`, { temp: Math.round(config.target) });
+            return decide("none", `No fresh room reading for over ${config.staleAfterMinutes} min. Leaving the AC as it is.`);
+        }
+        rt.staleHandled = false;
+
+        if (mode === "FAN") return decide("none", "FAN mode does not condition the air. Switch to COOL, DRY or HEAT.");
+        const heating = mode === "HEAT";
+        const upper = config.target + config.hysteresis;
+        const lower = config.target - config.hysteresis;
+        const tooWarm = roomTemp >= upper;
+        const tooCold = roomTemp <= lower;
+        const needsAc = heating ? tooCold : tooWarm; // Room is outside the band on the side the AC can fix
+        const overshot = heating ? tooWarm : tooCold; // Room has gone past the band on the other side
+        const roomText = `Room ${_fmt(roomTemp)}°C`;
+
+        if (!isPowerOn) {
+            if (!needsAc) return decide("none", `${roomText} is within ${_fmt(lower)}–${_fmt(upper)}°C. AC stays off.`);
+            const wait = _minutesLeft(rt.lastPowerChangeAt, config.minOffMinutes, now);
+            if (wait > 0) return decide("none", `${roomText} is ${heating ? 'below' : 'above'} the band, but the AC must stay off ${wait} more min (minimum off time).`);
+            return decide("power_on", `${roomText} is ${heating ? 'below' : 'above'} ${_fmt(heating ? lower : upper)}°C. Switched the AC on at ${Math.round(config.target)}°C.`, { power: true, temp: Math.round(config.target) });
+        }
+
+        if (overshot) {
+            const wait = _minutesLeft(rt.lastPowerChangeAt, config.minOnMinutes, now);
+            if (wait > 0) return decide("none", `${roomText} reached the far side of the band, but the AC must run ${wait} more min (minimum on time).`);
+            return decide("power_off", `${roomText} is ${heating ? 'above' : 'below'} ${_fmt(heating ? upper : lower)}°C. Switched the AC off.`, { power: false });
+        }
+
+        if (now - rt.lastStepAt < STEP_INTERVAL_MS) return decide("none", `${roomText}, AC set to ${setPoint}°C. Waiting for the room to respond.`);
+        if (needsAc) {
+            // Still outside the band while running: push the AC's own set point further.
+            const next = heating ? Math.min(MAX_SET_POINT, setPoint + 1) : Math.max(MIN_SET_POINT, setPoint - 1);
+            if (next !== setPoint) return decide("set_point", `${roomText} is still ${heating ? 'below' : 'above'} the band. Set point stepped to ${next}°C.`, { temp: next });
+            return decide("none", `${roomText} is still outside the band with the AC at its ${heating ? 'highest' : 'lowest'} set point.`);
+        }
+        // Inside the band: walk a pushed set point back towards the target.
+        const target = Math.round(config.target);
+        if (setPoint !== target) {
+            const next = setPoint < target ? setPoint + 1 : setPoint - 1;
+            return decide("set_point", `${roomText} is back within the band. Set point eased to ${next}°C.`, { temp: next });
+        }
+        return decide("none", `${roomText} is within ${_fmt(lower)}–${_fmt(upper)}°C. AC holds at ${setPoint}°C.`);
+    }
+
+    function getStatus(deviceId) {
+        const rt = _runtimeFor(deviceId);
+        return { lastDecision: rt.lastDecision, lastAction: rt.lastAction };
+    }
+
+    // Forgets timing and decisions, e.g. when the thermostat is switched on again with new settings.
+    function reset(deviceId) { delete runtime[deviceId]; }
+
+    return {
+        getDefaultConfig,
+        normalizeConfig,
+        evaluate,
+        getStatus,
+        reset
+    };
+})();